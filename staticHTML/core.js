@@ -103,7 +103,12 @@ const MetaMind = (function() {
                 // Keep last 500 entries
                 if (logs.length > 500) logs = logs.slice(-500);
 
-                localStorage.setItem(key, JSON.stringify(logs));
+                try {
+                    localStorage.setItem(key, JSON.stringify(logs));
+                } catch (e) {
+                    // Full: shrink rather than crowd out progress data
+                    localStorage.setItem(key, JSON.stringify(logs.slice(-100)));
+                }
             } catch (e) {
                 // Storage might be full or unavailable
             }
@@ -124,14 +129,7 @@ const MetaMind = (function() {
          * Download logs as debug-log.txt
          */
         downloadLogs() {
-            const text = this.getLogsAsText();
-            const blob = new Blob([text], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'debug-log.txt';
-            a.click();
-            URL.revokeObjectURL(url);
+            DOM.download('debug-log.txt', this.getLogsAsText());
         },
 
         /**
@@ -372,6 +370,28 @@ const MetaMind = (function() {
             if (el) el.innerHTML = '';
         },
 
+        /**
+         * Offer text content as a file download
+         * @param {string} filename - Suggested file name
+         * @param {string} content - File content
+         * @param {string} type - MIME type
+         */
+        download(filename, content, type = 'text/plain') {
+            try {
+                const blob = new Blob([content], { type });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                a.click();
+                URL.revokeObjectURL(url);
+                return true;
+            } catch (e) {
+                Debug.error('DOM', `Failed to download ${filename}`, e);
+                return false;
+            }
+        },
+
         /**
          * Check if DOM is ready
          */
@@ -388,13 +408,34 @@ const MetaMind = (function() {
     // AUDIO UTILITIES (Enhanced)
     // ============================================
 
+    // Pitch classes for MIDI/note-name conversion
+    const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+    const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
     const Audio = {
         context: null,
         gainNode: null,
         initialized: false,
 
+        // Simultaneous voices before the oldest is stolen
+        maxVoices: 16,
+
+        // Sounding (or scheduled) voices, oldest first
+        voices: [],
+
+        // Envelope used when a note doesn't pass its own (seconds; sustain is a level 0-1)
+        envelope: { attack: 0.01, decay: 0.1, sustain: 0.7, release: 0.1 },
+
+        // Timbre caches: periodic waves by recipe, plucked strings by frequency, and noise
+        _waves: {},
+        _plucks: {},
+        _noise: null,
+
+        NOTE_NAMES,
+
         /**
-         * Initialize Web Audio API
+         * Initialize Web Audio API. Every module shares this one context.
          */
         init(volume = 0.3) {
             if (this.initialized) return true;
@@ -411,6 +452,13 @@ const MetaMind = (function() {
                 this.gainNode.gain.value = volume;
                 this.gainNode.connect(this.context.destination);
                 this.initialized = true;
+
+                // The audio clock stops with the timers so scheduled notes stay in step
+                Timer.onPauseChange(paused => {
+                    if (paused) this.suspend();
+                    else this.resume();
+                });
+
                 Debug.info('Audio', 'Audio system initialized');
                 return true;
             } catch (e) {
@@ -438,314 +486,1848 @@ const MetaMind = (function() {
         },
 
         /**
-         * Play a tone with validation
+         * Suspend the audio context, freezing its clock
          */
-        playTone(frequency, duration = 0.3, type = 'sine') {
-            if (!this.context) {
-                Debug.warn('Audio', 'Cannot play tone: audio not initialized');
-                return;
-            }
-
-            // Validate inputs
-            if (frequency <= 0 || frequency > 20000) {
-                Debug.warn('Audio', `Invalid frequency: ${frequency}`);
-                return;
-            }
-            if (duration <= 0 || duration > 10) {
-                Debug.warn('Audio', `Invalid duration: ${duration}`);
-                return;
+        async suspend() {
+            if (!this.context || this.context.state !== 'running') return false;
+            try {
+                await this.context.suspend();
+                Debug.debug('Audio', 'Audio context suspended');
+                return true;
+            } catch (e) {
+                Debug.warn('Audio', 'Failed to suspend audio context', e);
+                return false;
             }
+        },
 
-            this.resume();
+        /**
+         * Current audio clock time in seconds (0 before init)
+         */
+        now() {
+            return this.context ? this.context.currentTime : 0;
+        },
 
-            try {
-                const oscillator = this.context.createOscillator();
-                const envelope = this.context.createGain();
+        /**
+         * Set the master volume (0-1)
+         */
+        setVolume(volume) {
+            if (this.gainNode) this.gainNode.gain.value = MathUtils.clamp(volume, 0, 1);
+        },
 
-                oscillator.type = type;
-                oscillator.frequency.value = frequency;
+        // ---------- Pitch conversion ----------
 
-                oscillator.connect(envelope);
-                envelope.connect(this.gainNode);
+        /**
+         * Frequency of a MIDI note number (A4 = 69 = 440 Hz)
+         */
+        midiToFrequency(midi) {
+            return 440 * Math.pow(2, (midi - 69) / 12);
+        },
 
-                const now = this.context.currentTime;
-                envelope.gain.setValueAtTime(0, now);
-                envelope.gain.linearRampToValueAtTime(0.5, now + 0.01);
-                envelope.gain.exponentialRampToValueAtTime(0.01, now + duration);
+        /**
+         * Fractional MIDI note number of a frequency
+         */
+        frequencyToMidi(frequency) {
+            return 69 + 12 * Math.log2(frequency / 440);
+        },
 
-                oscillator.start(now);
-                oscillator.stop(now + duration);
-            } catch (e) {
-                Debug.error('Audio', 'Failed to play tone', e);
-            }
+        /**
+         * Parse a note name ('C4', 'F#3', 'Bb5', 'e') into a MIDI number
+         * @param {string} name - Letter, optional #/b accidentals, optional octave (default 4)
+         * @returns {number|null} MIDI number, or null if not a note name
+         */
+        noteNameToMidi(name) {
+            const match = /^([A-Ga-g])([#b]*)(-?\d+)?$/.exec(String(name).trim());
+            if (!match) return null;
+            const [, letter, accidentals, octave] = match;
+            const shift = [...accidentals].reduce((sum, a) => sum + (a === '#' ? 1 : -1), 0);
+            return PITCH_CLASSES[letter.toUpperCase()] + shift + ((octave === undefined ? 4 : parseInt(octave, 10)) + 1) * 12;
         },
 
         /**
-         * Play a note by name
+         * Name of a MIDI note, e.g. 61 -> 'C#4' (or 'Db4' with flats)
+         * @param {number} midi - MIDI note number
+         * @param {Object} options - { flats: false, octave: true }
          */
-        playNote(note, duration = 0.3) {
-            const freq = this.noteToFrequency(note);
-            if (freq) this.playTone(freq, duration);
+        midiToNoteName(midi, options = {}) {
+            const names = options.flats ? FLAT_NAMES : NOTE_NAMES;
+            const rounded = Math.round(midi);
+            const name = names[((rounded % 12) + 12) % 12];
+            return options.octave === false ? name : `${name}${Math.floor(rounded / 12) - 1}`;
         },
 
         /**
          * Convert note name to frequency
          */
         noteToFrequency(note) {
-            const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-            const match = note.match(/^([A-G]#?)(\d+)$/);
-            if (!match) {
+            const midi = this.noteNameToMidi(note);
+            if (midi === null) {
                 Debug.warn('Audio', `Invalid note format: ${note}`);
                 return 440;
             }
-
-            const [, noteName, octave] = match;
-            const noteIndex = notes.indexOf(noteName);
-            const semitones = noteIndex - 9 + (parseInt(octave) - 4) * 12;
-            return 440 * Math.pow(2, semitones / 12);
+            return this.midiToFrequency(midi);
         },
 
         /**
-         * Play feedback sound
+         * Distance from a reference frequency in cents (100 per semitone)
          */
-        playFeedback(correct) {
-            if (correct) {
-                this.playTone(523.25, 0.15, 'sine');
-                Timer.delay('feedback_tone', 100, () => this.playTone(659.25, 0.2, 'sine'));
-            } else {
-                this.playTone(200, 0.3, 'sawtooth');
-            }
-        }
-    };
-
-    // ============================================
-    // SCREEN MANAGEMENT (Enhanced)
-    // ============================================
+        centsBetween(frequency, reference) {
+            return 1200 * Math.log2(frequency / reference);
+        },
 
-    const Screens = {
-        screens: {},
-        current: null,
+        // ---------- Pitch detection ----------
 
         /**
-         * Register screens by ID with validation
+         * Detect the fundamental of a frame of samples with the YIN algorithm
+         * @param {Float32Array|number[]} samples - Time-domain samples (-1..1)
+         * @param {number} sampleRate - Samples per second
+         * @param {Object} options - { threshold: 0.15, minFrequency: 60, maxFrequency: 1500, minLevel: 0.01 }
+         * @returns {{frequency: number, clarity: number}|null} null when silent or unpitched
          */
-        register(ids) {
-            const missing = [];
-            ids.forEach(id => {
-                const el = DOM.get(id);
-                if (el) {
-                    this.screens[id] = el;
-                } else {
-                    missing.push(id);
+        detectPitch(samples, sampleRate, options = {}) {
+            const { threshold = 0.15, minFrequency = 60, maxFrequency = 1500, minLevel = 0.01 } = options;
+            const size = samples.length;
+
+            // Too quiet to be a voice
+            let energy = 0;
+            for (let i = 0; i < size; i++) energy += samples[i] * samples[i];
+            if (Math.sqrt(energy / size) < minLevel) return null;
+
+            const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(size / 2));
+            const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+            const span = size - maxLag;
+
+            // Difference function, normalized by its cumulative mean
+            const normalized = new Float32Array(maxLag + 1);
+            normalized[0] = 1;
+            let runningSum = 0;
+            for (let lag = 1; lag <= maxLag; lag++) {
+                let sum = 0;
+                for (let i = 0; i < span; i++) {
+                    const delta = samples[i] - samples[i + lag];
+                    sum += delta * delta;
                 }
-            });
+                runningSum += sum;
+                normalized[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+            }
 
-            if (missing.length > 0) {
-                Debug.warn('Screens', `Missing screen elements: ${missing.join(', ')}`);
+            // First dip under the threshold, followed down to its minimum
+            let period = -1;
+            for (let lag = minLag; lag <= maxLag; lag++) {
+                if (normalized[lag] < threshold) {
+                    while (lag < maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+                    period = lag;
+                    break;
+                }
+            }
+            if (period === -1) return null;
+
+            // Parabolic interpolation between neighbouring lags
+            let refined = period;
+            if (period > 1 && period < maxLag) {
+                const before = normalized[period - 1];
+                const after = normalized[period + 1];
+                const curvature = before - 2 * normalized[period] + after;
+                if (curvature !== 0) refined = period + (before - after) / (2 * curvature);
             }
 
-            Debug.info('Screens', `Registered ${Object.keys(this.screens).length} screens`);
+            return { frequency: sampleRate / refined, clarity: 1 - normalized[period] };
         },
 
+        // ---------- Timbres ----------
+
         /**
-         * Show a specific screen
+         * Periodic wave from harmonic amplitudes (cached per recipe)
+         * @param {number[]} harmonics - Amplitude of the 1st, 2nd, ... harmonic
+         * @returns {PeriodicWave}
          */
-        show(id, callback) {
-            // Hide all screens
-            Object.values(this.screens).forEach(screen => {
-                if (screen) screen.classList.add('hidden');
-            });
-
-            // Show requested screen
-            if (this.screens[id]) {
-                this.screens[id].classList.remove('hidden');
-                this.current = id;
-                Debug.debug('Screens', `Showing screen: ${id}`);
-            } else {
-                Debug.error('Screens', `Cannot show unregistered screen: ${id}`);
+        periodicWave(harmonics) {
+            const key = harmonics.join(',');
+            if (!this._waves[key]) {
+                const real = new Float32Array(harmonics.length + 1);
+                const imag = new Float32Array(harmonics.length + 1);
+                harmonics.forEach((amplitude, i) => { imag[i + 1] = amplitude; });
+                this._waves[key] = this.context.createPeriodicWave(real, imag);
             }
-
-            if (callback) Timer.delay('screen_callback', 50, callback);
+            return this._waves[key];
         },
 
-        getCurrent() {
-            return this.current;
-        }
-    };
-
-    // ============================================
-    // TIMER UTILITIES (Enhanced)
-    // ============================================
-
-    const Timer = {
-        timers: {},
-
         /**
-         * Start a countdown timer
+         * One second of white noise, for attack transients
+         * @returns {AudioBuffer}
          */
-        countdown(id, seconds, onTick, onComplete) {
-            this.clear(id);
-
-            if (seconds <= 0) {
-                Debug.warn('Timer', `Invalid countdown duration: ${seconds}`);
-                if (onComplete) onComplete();
-                return;
+        noiseBuffer() {
+            if (!this._noise) {
+                const length = this.context.sampleRate;
+                this._noise = this.context.createBuffer(1, length, this.context.sampleRate);
+                const data = this._noise.getChannelData(0);
+                for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
             }
+            return this._noise;
+        },
 
-            let remaining = seconds;
-            if (onTick) onTick(remaining);
+        /**
+         * Plucked string (Karplus-Strong): a noise burst recirculates through a
+         * one-period delay line, averaged on every pass so it mellows and dies away.
+         * The delay is whole samples, so the playback rate trims the pitch.
+         * @param {number} frequency - Hz
+         * @returns {{buffer: AudioBuffer, rate: number}} Cached per frequency
+         */
+        pluckBuffer(frequency) {
+            const key = frequency.toFixed(2);
+            if (!this._plucks[key]) {
+                const sampleRate = this.context.sampleRate;
+                const length = 2 * sampleRate;
+                const period = Math.max(2, Math.round(sampleRate / frequency + 0.5));
+                const buffer = this.context.createBuffer(1, length, sampleRate);
+                const data = buffer.getChannelData(0);
+                for (let i = 0; i < period; i++) data[i] = Math.random() * 2 - 1;
+                for (let i = period; i < length; i++) {
+                    data[i] = 0.498 * (data[i - period] + data[i - period + 1]);
+                }
+                // Averaging with the next sample shortens the loop by half a sample
+                this._plucks[key] = { buffer, rate: frequency * (period - 0.5) / sampleRate };
+            }
+            return this._plucks[key];
+        },
 
-            this.timers[id] = {
-                type: 'countdown',
-                interval: setInterval(() => {
-                    remaining--;
-                    if (onTick) onTick(remaining);
+        /**
+         * Short burst of noise into a voice, like a hammer or pick hitting the string
+         * @param {AudioNode} destination - Voice gain
+         * @param {number} when - Audio clock time
+         * @param {Object} noise - { level, duration }
+         */
+        _noiseBurst(destination, when, { level, duration }) {
+            const source = this.context.createBufferSource();
+            const gain = this.context.createGain();
+            source.buffer = this.noiseBuffer();
+            gain.gain.setValueAtTime(level, when);
+            gain.gain.linearRampToValueAtTime(0, when + duration);
+            source.connect(gain);
+            gain.connect(destination);
+            source.start(when);
+            source.stop(when + duration);
+        },
 
-                    if (remaining <= 0) {
-                        this.clear(id);
-                        if (onComplete) onComplete();
-                    }
-                }, 1000),
-                timeout: null
-            };
+        // ---------- Voices ----------
 
-            Debug.debug('Timer', `Started countdown: ${id} (${seconds}s)`);
+        /**
+         * Gain of an ADSR envelope a given time after note-on (before release)
+         * @param {Object} envelope - { attack, decay, sustain }
+         * @param {number} elapsed - Seconds since note-on
+         * @param {number} peak - Level at the end of the attack
+         */
+        envelopeLevel(envelope, elapsed, peak = 1) {
+            const { attack, decay, sustain } = envelope;
+            if (elapsed <= 0) return 0;
+            if (elapsed < attack) return peak * (elapsed / attack);
+            if (elapsed < attack + decay) return peak * (1 - (1 - sustain) * ((elapsed - attack) / decay));
+            return peak * sustain;
         },
 
         /**
-         * Set a delayed action
+         * Start a voice at a frequency.
+         * With a duration the release is scheduled right away; without one the
+         * voice sustains until noteOff().
+         * @param {number} frequency - Hz
+         * @param {Object} options - Optional settings
+         * @param {number} options.when - Audio clock start time (default now)
+         * @param {number} options.duration - Seconds until release (null = hold)
+         * @param {string} options.type - Oscillator type (default 'sine')
+         * @param {Object} options.timbre - { harmonics: amplitudes for a periodic wave,
+         *   pluck: true for a Karplus-Strong string, noise: { level, duration } attack burst }
+         * @param {number} options.velocity - Peak level 0-1 (default 0.7)
+         * @param {Object} options.envelope - ADSR overrides
+         * @returns {Object|null} Voice handle for noteOff()
          */
-        delay(id, ms, callback) {
-            this.clear(id);
+        playFrequency(frequency, options = {}) {
+            if (!this.context) {
+                Debug.warn('Audio', 'Cannot play: audio not initialized');
+                return null;
+            }
+            if (!(frequency > 0 && frequency <= 20000)) {
+                Debug.warn('Audio', `Invalid frequency: ${frequency}`);
+                return null;
+            }
 
-            if (ms < 0) {
-                Debug.warn('Timer', `Invalid delay: ${ms}ms`);
-                if (callback) callback();
-                return;
+            // The audio clock is suspended along with paused timers; resuming it for
+            // one note would set audio and its scheduled key highlights adrift
+            if (Timer.paused) {
+                Debug.debug('Audio', `Dropped a note (${Math.round(frequency)} Hz) played while paused`);
+                return null;
             }
+            this.resume();
 
-            this.timers[id] = {
-                type: 'delay',
-                interval: null,
-                timeout: setTimeout(() => {
-                    delete this.timers[id];
-                    if (callback) callback();
-                }, ms)
-            };
+            try {
+                const now = this.context.currentTime;
+                const when = Math.max(now, options.when !== undefined ? options.when : now);
+                const envelope = { ...this.envelope, ...(options.envelope || {}) };
+                const peak = options.velocity !== undefined ? options.velocity : 0.7;
+
+                this._reserveVoice(when);
+
+                // The source is an oscillator, or a buffer source for plucked strings
+                const timbre = options.timbre || {};
+                let oscillator;
+                if (timbre.pluck) {
+                    const pluck = this.pluckBuffer(frequency);
+                    oscillator = this.context.createBufferSource();
+                    oscillator.buffer = pluck.buffer;
+                    oscillator.playbackRate.setValueAtTime(pluck.rate, when);
+                } else {
+                    oscillator = this.context.createOscillator();
+                    if (timbre.harmonics) oscillator.setPeriodicWave(this.periodicWave(timbre.harmonics));
+                    else oscillator.type = options.type || 'sine';
+                    oscillator.frequency.setValueAtTime(frequency, when);
+                }
+                const gain = this.context.createGain();
+                oscillator.connect(gain);
+                gain.connect(this.gainNode);
+                if (timbre.noise) this._noiseBurst(gain, when, timbre.noise);
+
+                const voice = { oscillator, gain, frequency, envelope, peak, startTime: when, endTime: Infinity };
+                gain.gain.setValueAtTime(0, when);
+                gain.gain.linearRampToValueAtTime(peak, when + envelope.attack);
+                gain.gain.linearRampToValueAtTime(peak * envelope.sustain, when + envelope.attack + envelope.decay);
+                oscillator.start(when);
+                oscillator.onended = () => this._removeVoice(voice);
+                this.voices.push(voice);
+
+                if (options.duration !== undefined && options.duration !== null) {
+                    this.noteOff(voice, when + Math.max(0, options.duration));
+                }
+                return voice;
+            } catch (e) {
+                Debug.error('Audio', 'Failed to start voice', e);
+                return null;
+            }
         },
 
         /**
-         * Clear a specific timer
+         * Play a MIDI note (see playFrequency for options)
          */
-        clear(id) {
-            if (this.timers[id]) {
-                if (this.timers[id].interval) clearInterval(this.timers[id].interval);
-                if (this.timers[id].timeout) clearTimeout(this.timers[id].timeout);
-                delete this.timers[id];
-                Debug.debug('Timer', `Cleared timer: ${id}`);
-            }
+        playMidi(midi, options = {}) {
+            const voice = this.playFrequency(this.midiToFrequency(midi), options);
+            if (voice) voice.midi = midi;
+            return voice;
         },
 
         /**
-         * Clear all timers
+         * Hold a MIDI note until noteOff()
          */
-        clearAll() {
-            const count = Object.keys(this.timers).length;
-            Object.keys(this.timers).forEach(id => this.clear(id));
-            Debug.debug('Timer', `Cleared all timers (${count})`);
+        noteOn(midi, options = {}) {
+            return this.playMidi(midi, { ...options, duration: null });
         },
 
         /**
-         * Get active timer count
+         * Release a voice: fade out over its envelope's release time
+         * @param {Object} voice - Handle from playFrequency/playMidi/noteOn
+         * @param {number} when - Audio clock release time (default now)
          */
-        getActiveCount() {
-            return Object.keys(this.timers).length;
-        }
-    };
+        noteOff(voice, when = null) {
+            if (!voice || !this.context) return;
+            const releaseAt = Math.max(this.context.currentTime, when === null ? this.context.currentTime : when);
+            if (releaseAt >= voice.endTime) return;
+
+            const level = this.envelopeLevel(voice.envelope, releaseAt - voice.startTime, voice.peak);
+            const gain = voice.gain.gain;
+            gain.cancelScheduledValues(releaseAt);
+            gain.setValueAtTime(level, releaseAt);
+            gain.linearRampToValueAtTime(0, releaseAt + voice.envelope.release);
+
+            voice.endTime = releaseAt + voice.envelope.release;
+            voice.oscillator.stop(voice.endTime + 0.01);
+        },
 
-    // ============================================
-    // STATE MANAGEMENT
-    // ============================================
+        /**
+         * Release every voice now
+         */
+        stopAll() {
+            [...this.voices].forEach(voice => this.noteOff(voice));
+        },
 
-    function createState(initialState, onChange) {
-        return new Proxy({ ...initialState }, {
-            set(target, prop, value) {
-                const oldValue = target[prop];
-                target[prop] = value;
-                if (onChange && oldValue !== value) {
-                    try {
-                        onChange(prop, value, oldValue);
-                    } catch (e) {
-                        Debug.error('State', `Error in onChange callback for ${prop}`, e);
-                    }
-                }
-                return true;
-            }
-        });
-    }
+        /**
+         * Voices sounding at, or scheduled after, a given audio time
+         */
+        activeVoices(at = this.now()) {
+            return this.voices.filter(v => v.endTime > at);
+        },
 
-    // ============================================
-    // MATH UTILITIES
-    // ============================================
+        /**
+         * Make room for a voice starting at `when`, stealing the oldest if full
+         */
+        _reserveVoice(when) {
+            const sounding = this.activeVoices(when);
+            if (sounding.length < this.maxVoices) return;
 
-    const MathUtils = {
-        randomInt(min, max) {
-            return Math.floor(Math.random() * (max - min + 1)) + min;
-        },
+            const oldest = sounding.reduce((a, b) => (b.startTime < a.startTime ? b : a));
+            Debug.debug('Audio', `Voice limit reached, stealing voice started at ${oldest.startTime.toFixed(3)}`);
 
-        shuffle(array) {
-            const result = [...array];
-            for (let i = result.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [result[i], result[j]] = [result[j], result[i]];
+            if (oldest.startTime >= when) {
+                // Hasn't started by then - silence it entirely
+                oldest.oscillator.stop(oldest.startTime);
+                oldest.endTime = oldest.startTime;
+            } else {
+                // Very short release avoids a click
+                oldest.envelope = { ...oldest.envelope, release: 0.005 };
+                this.noteOff(oldest, when);
             }
-            return result;
+            this._removeVoice(oldest);
         },
 
-        clamp(value, min, max) {
-            return Math.min(Math.max(value, min), max);
+        _removeVoice(voice) {
+            const i = this.voices.indexOf(voice);
+            if (i > -1) this.voices.splice(i, 1);
         },
 
-        lerp(a, b, t) {
-            return a + (b - a) * MathUtils.clamp(t, 0, 1);
-        }
-    };
-
-    // ============================================
-    // STORAGE UTILITIES
-    // ============================================
+        // ---------- Scheduling ----------
 
-    const Storage = {
-        prefix: 'metamind_',
+        /**
+         * Schedule notes on the audio clock relative to a start time.
+         * Each note is { midi | note | frequency, time, duration, velocity, type, timbre, envelope }
+         * where time is seconds after start.
+         * @param {Object[]} notes - Notes to play
+         * @param {Object} options - { start: audio time (default now + 0.05), type, timbre, envelope }
+         * @returns {Object} { start, end, voices } in audio clock time
+         */
+        schedule(notes, options = {}) {
+            const start = options.start !== undefined ? options.start : this.now() + 0.05;
+            let end = start;
+
+            const voices = notes.map(note => {
+                const frequency = note.frequency !== undefined ? note.frequency :
+                    note.midi !== undefined ? this.midiToFrequency(note.midi) :
+                    this.noteToFrequency(note.note);
+                const duration = note.duration !== undefined ? note.duration : 0.3;
+                const when = start + (note.time || 0);
+                end = Math.max(end, when + duration);
+
+                const voice = this.playFrequency(frequency, {
+                    when,
+                    duration,
+                    velocity: note.velocity,
+                    type: note.type || options.type,
+                    timbre: note.timbre || options.timbre,
+                    envelope: { ...(options.envelope || {}), ...(note.envelope || {}) }
+                });
+                if (voice && note.midi !== undefined) voice.midi = note.midi;
+                return voice;
+            });
 
-        save(key, value) {
-            try {
-                localStorage.setItem(this.prefix + key, JSON.stringify(value));
-                return true;
-            } catch (e) {
-                Debug.warn('Storage', `Failed to save: ${key}`, e);
-                return false;
-            }
+            return { start, end, voices };
         },
 
-        load(key, defaultValue = null) {
-            try {
-                const item = localStorage.getItem(this.prefix + key);
-                return item ? JSON.parse(item) : defaultValue;
-            } catch (e) {
-                Debug.warn('Storage', `Failed to load: ${key}`, e);
-                return defaultValue;
-            }
-        },
+        // ---------- Simple helpers ----------
 
-        remove(key) {
+        /**
+         * Play a tone with validation
+         */
+        playTone(frequency, duration = 0.3, type = 'sine') {
+            if (!this.context) {
+                Debug.warn('Audio', 'Cannot play tone: audio not initialized');
+                return;
+            }
+
+            // Validate inputs
+            if (frequency <= 0 || frequency > 20000) {
+                Debug.warn('Audio', `Invalid frequency: ${frequency}`);
+                return;
+            }
+            if (duration <= 0 || duration > 10) {
+                Debug.warn('Audio', `Invalid duration: ${duration}`);
+                return;
+            }
+
+            // Percussive: fast attack, decays over the whole tone
+            this.playFrequency(frequency, {
+                duration,
+                type,
+                velocity: 0.5,
+                envelope: { attack: 0.01, decay: Math.max(0.01, duration - 0.01), sustain: 0.02, release: 0.01 }
+            });
+        },
+
+        /**
+         * Play a note by name ('A4') or MIDI number
+         */
+        playNote(note, duration = 0.3) {
+            const freq = typeof note === 'number' ? this.midiToFrequency(note) : this.noteToFrequency(note);
+            if (freq) this.playTone(freq, duration);
+        },
+
+        /**
+         * Play feedback sound
+         */
+        playFeedback(correct) {
+            if (correct) {
+                this.playTone(523.25, 0.15, 'sine');
+                Timer.delay('feedback_tone', 100, () => this.playTone(659.25, 0.2, 'sine'));
+            } else {
+                this.playTone(200, 0.3, 'sawtooth');
+            }
+        },
+
+        // ---------- Analysis ----------
+
+        /**
+         * Tap the master output with an AnalyserNode for visualizations.
+         * Untap it with releaseAnalyser() once nothing draws from it.
+         * @param {Object} options - { fftSize: 2048, smoothing: 0.8 }
+         * @returns {AnalyserNode|null} null before init
+         */
+        createAnalyser(options = {}) {
+            if (!this.gainNode) return null;
+            const analyser = this.context.createAnalyser();
+            analyser.fftSize = options.fftSize || 2048;
+            analyser.smoothingTimeConstant = options.smoothing !== undefined ? options.smoothing : 0.8;
+            this.gainNode.connect(analyser);
+            return analyser;
+        },
+
+        /**
+         * Disconnect an analyser made by createAnalyser() from the master output
+         * @param {AnalyserNode} analyser - Analyser to release
+         */
+        releaseAnalyser(analyser) {
+            if (!analyser || !this.gainNode) return;
+            try {
+                this.gainNode.disconnect(analyser);
+            } catch (e) {
+                Debug.debug('Audio', 'Analyser was already disconnected');
+            }
+        },
+
+        // ---------- Microphone ----------
+
+        /**
+         * Open the microphone (asks for permission) and analyse it without playing it back
+         * @param {Object} options - { fftSize: 2048 }
+         * @returns {Promise<Object>} { analyser, sampleRate, read(), detect(options), close() }
+         */
+        async openMicrophone(options = {}) {
+            if (!this.context) throw new Error('Audio is not initialized');
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Microphone input is not supported');
+            }
+
+            // Raw input: browser voice processing bends pitch and level
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            const source = this.context.createMediaStreamSource(stream);
+            const analyser = this.context.createAnalyser();
+            analyser.fftSize = options.fftSize || 2048;
+            source.connect(analyser);
+
+            const frame = new Float32Array(analyser.fftSize);
+            const sampleRate = this.context.sampleRate;
+            Debug.info('Audio', 'Microphone opened');
+
+            return {
+                analyser,
+                sampleRate,
+                /** Latest frame of samples (reused between calls) */
+                read() {
+                    analyser.getFloatTimeDomainData(frame);
+                    return frame;
+                },
+                /** Pitch of the latest frame, or null */
+                detect(detectOptions) {
+                    return Audio.detectPitch(this.read(), sampleRate, detectOptions);
+                },
+                close() {
+                    source.disconnect();
+                    stream.getTracks().forEach(track => track.stop());
+                    Debug.info('Audio', 'Microphone closed');
+                }
+            };
+        }
+    };
+
+    // ============================================
+    // MIDI INPUT
+    // ============================================
+
+    const MIDI = {
+        access: null,
+        input: null,
+
+        // Storage key of the chosen input's id
+        storageKey: 'midi_input',
+
+        _noteListeners: [],
+        _deviceListeners: [],
+
+        /**
+         * True when the browser has the Web MIDI API
+         */
+        supported() {
+            return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+        },
+
+        /**
+         * Ask for MIDI access (once) and reconnect the saved input
+         * @returns {Promise<boolean>} False when unsupported or refused
+         */
+        async init() {
+            if (this.access) return true;
+            if (!this.supported()) {
+                Debug.info('MIDI', 'Web MIDI not supported');
+                return false;
+            }
+
+            try {
+                const access = await navigator.requestMIDIAccess();
+                await Storage.ready;
+                this.connect(access);
+                return true;
+            } catch (e) {
+                Debug.warn('MIDI', 'MIDI access refused', e);
+                return false;
+            }
+        },
+
+        /**
+         * Use a MIDIAccess object (from requestMIDIAccess, or a mock in tests)
+         */
+        connect(access) {
+            this.access = access;
+            access.onstatechange = () => {
+                if (this.input && this.input.state === 'disconnected') this.input = null;
+
+                // Pick the saved device back up when it is plugged in again
+                const saved = Storage.load(this.storageKey);
+                if (!this.input && saved && access.inputs.has(saved)) this.select(saved);
+                this._deviceListeners.forEach(listener => listener(this.inputs()));
+            };
+
+            const saved = Storage.load(this.storageKey);
+            if (saved && access.inputs.has(saved)) this.select(saved);
+            Debug.info('MIDI', `MIDI ready with ${access.inputs.size} input(s)`);
+        },
+
+        /**
+         * Connected input devices
+         * @returns {Array<{id: string, name: string, manufacturer: string}>}
+         */
+        inputs() {
+            if (!this.access) return [];
+            return Array.from(this.access.inputs.values())
+                .filter(input => input.state !== 'disconnected')
+                .map(input => ({ id: input.id, name: input.name, manufacturer: input.manufacturer || '' }));
+        },
+
+        /**
+         * Listen to one input (null for none) and remember the choice
+         * @param {string|null} id - Input id from inputs()
+         * @returns {boolean} False if there is no such input
+         */
+        select(id) {
+            if (this.input) this.input.onmidimessage = null;
+            this.input = null;
+
+            if (id) {
+                const input = this.access && this.access.inputs.get(id);
+                if (!input) {
+                    Debug.warn('MIDI', `No MIDI input ${id}`);
+                    return false;
+                }
+                input.onmidimessage = event => this._handleMessage(event.data);
+                this.input = input;
+                Debug.info('MIDI', `Listening to ${input.name}`);
+            }
+
+            Storage.save(this.storageKey, id || null);
+            return true;
+        },
+
+        /**
+         * Listen for notes from the selected input
+         * @param {Function} listener - ({ type: 'noteon'|'noteoff', note, velocity, channel }) => void
+         * @returns {Function} Unsubscribe
+         */
+        onNote(listener) {
+            this._noteListeners.push(listener);
+            return () => {
+                this._noteListeners = this._noteListeners.filter(l => l !== listener);
+            };
+        },
+
+        /**
+         * Listen for devices being plugged in or removed
+         * @param {Function} listener - (inputs) => void
+         * @returns {Function} Unsubscribe
+         */
+        onDevicesChange(listener) {
+            this._deviceListeners.push(listener);
+            return () => {
+                this._deviceListeners = this._deviceListeners.filter(l => l !== listener);
+            };
+        },
+
+        _handleMessage(data) {
+            const command = data[0] & 0xf0;
+            const channel = data[0] & 0x0f;
+
+            // Note-on with velocity 0 is a note-off
+            let type = null;
+            if (command === 0x90 && data[2] > 0) type = 'noteon';
+            else if (command === 0x80 || command === 0x90) type = 'noteoff';
+            if (!type) return;
+
+            const message = { type, note: data[1], velocity: data[2], channel };
+            this._noteListeners.forEach(listener => {
+                try {
+                    listener(message);
+                } catch (e) {
+                    Debug.error('MIDI', 'Error in note listener', e);
+                }
+            });
+        }
+    };
+
+    // ============================================
+    // SCREEN MANAGEMENT (Enhanced)
+    // ============================================
+
+    const Screens = {
+        screens: {},
+        current: null,
+
+        /**
+         * Register screens by ID with validation
+         */
+        register(ids) {
+            const missing = [];
+            ids.forEach(id => {
+                const el = DOM.get(id);
+                if (el) {
+                    this.screens[id] = el;
+                } else {
+                    missing.push(id);
+                }
+            });
+
+            if (missing.length > 0) {
+                Debug.warn('Screens', `Missing screen elements: ${missing.join(', ')}`);
+            }
+
+            Debug.info('Screens', `Registered ${Object.keys(this.screens).length} screens`);
+        },
+
+        /**
+         * Show a specific screen
+         */
+        show(id, callback) {
+            // Hide all screens
+            Object.values(this.screens).forEach(screen => {
+                if (screen) screen.classList.add('hidden');
+            });
+
+            // Show requested screen
+            if (this.screens[id]) {
+                this.screens[id].classList.remove('hidden');
+                this.current = id;
+                Debug.debug('Screens', `Showing screen: ${id}`);
+            } else {
+                Debug.error('Screens', `Cannot show unregistered screen: ${id}`);
+            }
+
+            if (callback) Timer.delay('screen_callback', 50, callback);
+        },
+
+        getCurrent() {
+            return this.current;
+        }
+    };
+
+    // ============================================
+    // TIMER UTILITIES (Enhanced)
+    // ============================================
+
+    const Timer = {
+        timers: {},
+
+        // True while pauseAll() is in effect; timers created meanwhile start paused
+        paused: false,
+        pauseReason: null,
+
+        _listeners: [],
+        _autoId: 0,
+        _autoPause: false,
+        _overlay: null,
+
+        /**
+         * Register a timer and start it unless everything is paused
+         * @param {string} id - Timer identifier
+         * @param {string} type - 'delay', 'repeat' or 'countdown'
+         * @param {number} ms - Time until the first callback
+         * @param {Function} callback - Called when the timer fires
+         * @param {number} period - Repeat period in ms (null for one-shot timers)
+         */
+        _add(id, type, ms, callback, period = null) {
+            const entry = { type, callback, period, remaining: ms, startedAt: null, handle: null, paused: false };
+            this.timers[id] = entry;
+            if (this.paused) entry.paused = true;
+            else this._schedule(id, entry);
+            return entry;
+        },
+
+        _schedule(id, entry) {
+            entry.startedAt = Date.now();
+            entry.handle = setTimeout(() => this._fire(id, entry), entry.remaining);
+        },
+
+        _fire(id, entry) {
+            if (this.timers[id] !== entry) return;
+
+            // Re-arm repeating timers first so the callback may clear them
+            if (entry.period) {
+                entry.remaining = entry.period;
+                this._schedule(id, entry);
+            } else {
+                delete this.timers[id];
+            }
+            if (entry.callback) entry.callback();
+        },
+
+        /**
+         * Start a countdown timer
+         */
+        countdown(id, seconds, onTick, onComplete) {
+            this.clear(id);
+
+            if (seconds <= 0) {
+                Debug.warn('Timer', `Invalid countdown duration: ${seconds}`);
+                if (onComplete) onComplete();
+                return;
+            }
+
+            let remaining = seconds;
+            if (onTick) onTick(remaining);
+
+            this._add(id, 'countdown', 1000, () => {
+                remaining--;
+                if (onTick) onTick(remaining);
+
+                if (remaining <= 0) {
+                    this.clear(id);
+                    if (onComplete) onComplete();
+                }
+            }, 1000);
+
+            Debug.debug('Timer', `Started countdown: ${id} (${seconds}s)`);
+        },
+
+        /**
+         * Set a delayed action
+         */
+        delay(id, ms, callback) {
+            this.clear(id);
+
+            if (ms < 0) {
+                Debug.warn('Timer', `Invalid delay: ${ms}ms`);
+                if (callback) callback();
+                return;
+            }
+
+            this._add(id, 'delay', ms, callback);
+        },
+
+        /**
+         * Call back every ms milliseconds until cleared
+         */
+        repeat(id, ms, callback) {
+            this.clear(id);
+
+            if (ms <= 0) {
+                Debug.warn('Timer', `Invalid repeat period: ${ms}ms`);
+                return;
+            }
+
+            this._add(id, 'repeat', ms, callback, ms);
+        },
+
+        /**
+         * Delayed action that needs no name (effects, chained steps)
+         * @returns {string} Generated timer id, usable with clear()
+         */
+        after(ms, callback) {
+            const id = `_after_${++this._autoId}`;
+            this.delay(id, ms, callback);
+            return id;
+        },
+
+        /**
+         * Milliseconds until a timer next fires (0 if not running)
+         */
+        remaining(id) {
+            const entry = this.timers[id];
+            if (!entry) return 0;
+            if (entry.paused) return entry.remaining;
+            return Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+        },
+
+        /**
+         * Pause a single timer, keeping its remaining time
+         */
+        pause(id) {
+            const entry = this.timers[id];
+            if (!entry || entry.paused) return;
+            clearTimeout(entry.handle);
+            entry.remaining = this.remaining(id);
+            entry.paused = true;
+        },
+
+        /**
+         * Resume a paused timer with the time it had left
+         */
+        resume(id) {
+            const entry = this.timers[id];
+            if (!entry || !entry.paused) return;
+            entry.paused = false;
+            this._schedule(id, entry);
+        },
+
+        /**
+         * Pause every timer. Listeners registered with onPauseChange are told.
+         * @param {string} reason - Why ('manual', 'hidden', 'blur')
+         * @returns {boolean} False if already paused
+         */
+        pauseAll(reason = 'manual') {
+            if (this.paused) return false;
+            this.paused = true;
+            this.pauseReason = reason;
+            Object.keys(this.timers).forEach(id => this.pause(id));
+            Debug.info('Timer', `Paused all timers (${reason})`, { count: this.getActiveCount() });
+            this._notify(true, reason);
+            return true;
+        },
+
+        /**
+         * Resume everything paused by pauseAll()
+         * @returns {boolean} False if not paused
+         */
+        resumeAll() {
+            if (!this.paused) return false;
+            const reason = this.pauseReason;
+            this.paused = false;
+            this.pauseReason = null;
+            this._hidePauseOverlay();
+            Object.keys(this.timers).forEach(id => this.resume(id));
+            Debug.info('Timer', 'Resumed all timers');
+            this._notify(false, reason);
+            return true;
+        },
+
+        /**
+         * Listen for pauseAll/resumeAll, e.g. to stop audio or an animation loop
+         * @param {Function} listener - (paused, reason) => void
+         * @returns {Function} Unsubscribe
+         */
+        onPauseChange(listener) {
+            this._listeners.push(listener);
+            return () => {
+                this._listeners = this._listeners.filter(l => l !== listener);
+            };
+        },
+
+        _notify(paused, reason) {
+            this._listeners.forEach(listener => {
+                try {
+                    listener(paused, reason);
+                } catch (e) {
+                    Debug.error('Timer', 'Error in pause listener', e);
+                }
+            });
+        },
+
+        /**
+         * Pause everything when the tab is hidden or the window loses focus,
+         * showing an overlay with a Resume button.
+         * @param {Object} options - Optional settings
+         * @param {Function} options.isActive - Whether there is anything to pause
+         *        (default: any timer running)
+         * @param {boolean} options.overlay - Show the built-in overlay (default true);
+         *        turn off when the module shows its own pause screen
+         */
+        enableAutoPause(options = {}) {
+            if (this._autoPause || typeof document === 'undefined' || typeof window === 'undefined') return;
+            this._autoPause = true;
+
+            const isActive = options.isActive || (() => this.getActiveCount() > 0);
+            const autoPause = reason => {
+                if (this.paused || !isActive()) return;
+                this.pauseAll(reason);
+                if (options.overlay !== false) this._showPauseOverlay();
+            };
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) autoPause('hidden');
+            });
+            window.addEventListener('blur', () => autoPause('blur'));
+            Debug.debug('Timer', 'Auto-pause enabled');
+        },
+
+        _showPauseOverlay() {
+            if (this._overlay || !document.body) return;
+
+            const overlay = DOM.create('div', {
+                className: 'pause-overlay',
+                role: 'dialog',
+                style: {
+                    position: 'fixed', top: '0', left: '0', right: '0', bottom: '0', zIndex: '999',
+                    display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center',
+                    gap: '1rem', background: 'rgba(20, 25, 31, 0.92)', color: '#f0f0f0', textAlign: 'center'
+                }
+            });
+            const title = DOM.create('h2', {}, 'Paused');
+            const text = DOM.create('p', {}, 'Training paused while you were away. Timers stopped where they were.');
+            const button = DOM.create('button', {
+                style: {
+                    padding: '0.7rem 2rem', fontSize: '1.1rem', fontWeight: 'bold', border: 'none',
+                    borderRadius: '5px', background: Colors.primary, color: '#fff', cursor: 'pointer'
+                }
+            }, 'Resume');
+            if (!overlay || !title || !text || !button) return;
+
+            button.addEventListener('click', () => this.resumeAll());
+            overlay.append(title, text, button);
+            document.body.appendChild(overlay);
+            button.focus();
+            this._overlay = overlay;
+        },
+
+        _hidePauseOverlay() {
+            if (this._overlay) {
+                this._overlay.remove();
+                this._overlay = null;
+            }
+        },
+
+        /**
+         * Clear a specific timer
+         */
+        clear(id) {
+            if (this.timers[id]) {
+                clearTimeout(this.timers[id].handle);
+                delete this.timers[id];
+                Debug.debug('Timer', `Cleared timer: ${id}`);
+            }
+        },
+
+        /**
+         * Clear all timers
+         */
+        clearAll() {
+            const count = Object.keys(this.timers).length;
+            Object.keys(this.timers).forEach(id => this.clear(id));
+            Debug.debug('Timer', `Cleared all timers (${count})`);
+        },
+
+        /**
+         * Get active timer count
+         */
+        getActiveCount() {
+            return Object.keys(this.timers).length;
+        }
+    };
+
+    // ============================================
+    // STATE MANAGEMENT
+    // ============================================
+
+    function createState(initialState, onChange) {
+        return new Proxy({ ...initialState }, {
+            set(target, prop, value) {
+                const oldValue = target[prop];
+                target[prop] = value;
+                if (onChange && oldValue !== value) {
+                    try {
+                        onChange(prop, value, oldValue);
+                    } catch (e) {
+                        Debug.error('State', `Error in onChange callback for ${prop}`, e);
+                    }
+                }
+                return true;
+            }
+        });
+    }
+
+    // ============================================
+    // MATH UTILITIES
+    // ============================================
+
+    /**
+     * Mulberry32 generator - small, fast and good enough for game content
+     * @param {number} seed - 32-bit unsigned seed
+     * @returns {Function} Generator returning floats in [0, 1)
+     */
+    function mulberry32(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Build the random helpers on top of a [0, 1) source so the shared
+     * stream and standalone streams behave identically
+     * @param {Function} next - Source of floats in [0, 1)
+     */
+    function randomHelpers(next) {
+        return {
+            randomInt(min, max) {
+                return Math.floor(next() * (max - min + 1)) + min;
+            },
+
+            shuffle(array) {
+                const result = [...array];
+                for (let i = result.length - 1; i > 0; i--) {
+                    const j = Math.floor(next() * (i + 1));
+                    [result[i], result[j]] = [result[j], result[i]];
+                }
+                return result;
+            },
+
+            pick(array) {
+                if (!array || array.length === 0) return undefined;
+                return array[Math.floor(next() * array.length)];
+            },
+
+            /**
+             * Pick with probability proportional to weight
+             * @param {Array} array - Items
+             * @param {number[]} weights - Non-negative weight per item
+             */
+            weightedPick(array, weights) {
+                if (!array || array.length === 0) return undefined;
+                const total = weights.reduce((sum, weight) => sum + weight, 0);
+                if (!(total > 0)) return array[Math.floor(next() * array.length)];
+
+                let target = next() * total;
+                for (let i = 0; i < array.length; i++) {
+                    target -= weights[i];
+                    if (target < 0) return array[i];
+                }
+                return array[array.length - 1];
+            },
+
+            chance(probability) {
+                return next() < probability;
+            }
+        };
+    }
+
+    const MathUtils = {
+        _stream: null,
+
+        // Named streams derived from the current seed, by name (see stream())
+        _streams: {},
+
+        /**
+         * Next float in [0, 1) from the seeded session stream,
+         * or Math.random() when no seed has been set
+         */
+        random() {
+            return MathUtils._stream ? MathUtils._stream.next() : Math.random();
+        },
+
+        ...randomHelpers(() => MathUtils.random()),
+
+        clamp(value, min, max) {
+            return Math.min(Math.max(value, min), max);
+        },
+
+        lerp(a, b, t) {
+            return a + (b - a) * MathUtils.clamp(t, 0, 1);
+        },
+
+        /**
+         * Normalize a seed to a 32-bit unsigned integer.
+         * Numbers and numeric strings are used as-is, other strings are hashed (FNV-1a).
+         * @param {number|string} value - Seed value
+         * @returns {number} 32-bit unsigned seed
+         */
+        hashSeed(value) {
+            if (typeof value === 'number' && isFinite(value)) return value >>> 0;
+            const str = String(value);
+            if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < str.length; i++) {
+                hash ^= str.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        },
+
+        /**
+         * Create an independent seeded stream
+         * @param {number|string} seed - Seed value
+         * @returns {Object} Stream with next, randomInt, shuffle, pick, weightedPick and chance
+         */
+        createRNG(seed) {
+            const normalized = MathUtils.hashSeed(seed);
+            const next = mulberry32(normalized);
+            return { seed: normalized, next, ...randomHelpers(next) };
+        },
+
+        /**
+         * A named stream derived from the seed, e.g. one per module. Other
+         * draws on the page (cosmetic ones, other modules) never shift it, so
+         * a seed always replays the same content. Unseeded until a seed is set;
+         * a name keeps its stream until the seed changes.
+         * @param {string} name - Stream name
+         * @returns {Object} Stream with next, randomInt, shuffle, pick, weightedPick and chance
+         */
+        stream(name) {
+            if (!MathUtils._streams[name]) {
+                MathUtils._streams[name] = MathUtils._stream
+                    ? MathUtils.createRNG(`${MathUtils._stream.seed}:${name}`)
+                    : { seed: null, next: Math.random, ...randomHelpers(Math.random) };
+            }
+            return MathUtils._streams[name];
+        },
+
+        /**
+         * Seed the shared stream used by random/randomInt/shuffle/pick,
+         * and the named streams derived from it
+         * @param {number|string} seed - Seed value
+         * @returns {number} The normalized seed
+         */
+        setSeed(seed) {
+            MathUtils._stream = MathUtils.createRNG(seed);
+            MathUtils._streams = {};
+            return MathUtils._stream.seed;
+        },
+
+        /**
+         * Return to unseeded Math.random() behaviour
+         */
+        clearSeed() {
+            MathUtils._stream = null;
+            MathUtils._streams = {};
+        },
+
+        getSeed() {
+            return MathUtils._stream ? MathUtils._stream.seed : null;
+        },
+
+        /**
+         * Seed shared by everyone on the same (UTC) day
+         * @param {Date} date - Day to derive the seed from
+         */
+        dailySeed(date = new Date()) {
+            return MathUtils.hashSeed(`daily-${date.toISOString().slice(0, 10)}`);
+        },
+
+        /**
+         * Seed the shared and named streams for a new training session.
+         * Honours ?seed=<value> and ?daily in the page URL so a session can be
+         * replayed or compared; otherwise a fresh seed is drawn.
+         * @returns {{seed: number, daily: boolean, fromUrl: boolean}} fromUrl when
+         *   the content must not depend on anything but the seed
+         */
+        startSession() {
+            let params = null;
+            try {
+                params = new URLSearchParams(window.location.search);
+            } catch (e) { /* no location outside the browser */ }
+
+            let seed;
+            let daily = false;
+            if (params && params.has('daily')) {
+                seed = MathUtils.dailySeed();
+                daily = true;
+            } else if (params && params.get('seed')) {
+                seed = MathUtils.hashSeed(params.get('seed'));
+            } else {
+                seed = Math.floor(Math.random() * 4294967296);
+            }
+
+            MathUtils.setSeed(seed);
+            Debug.info('MathUtils', `Session seed: ${seed}${daily ? ' (daily challenge)' : ''}`);
+            return { seed, daily, fromUrl: daily || !!(params && params.get('seed')) };
+        }
+    };
+
+    // ============================================
+    // STORAGE UTILITIES
+    // ============================================
+
+    /**
+     * Check whether a storage error means the quota is exhausted
+     */
+    function isQuotaError(e) {
+        return !!e && (e.name === 'QuotaExceededError' ||
+                       e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+                       e.code === 22 || e.code === 1014);
+    }
+
+    /**
+     * localStorage backend - synchronous, ~5 MB shared with the debug log
+     */
+    const LocalStorageBackend = {
+        name: 'localStorage',
+        sessionLimit: 50,
+
+        available() {
+            try {
+                return typeof localStorage !== 'undefined' && localStorage !== null;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        read(key) {
+            return localStorage.getItem(key);
+        },
+
+        write(key, value) {
+            localStorage.setItem(key, value);
+        },
+
+        remove(key) {
+            localStorage.removeItem(key);
+        },
+
+        keys() {
+            const result = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key) result.push(key);
+            }
+            return result;
+        }
+    };
+
+    /**
+     * IndexedDB backend - asynchronous with a far larger quota.
+     * Everything is loaded into an in-memory cache on open() so reads stay
+     * synchronous; writes update the cache and are persisted in the background
+     * (a write that fails to commit is taken back out of the cache). Committed
+     * writes are announced on a BroadcastChannel so other tabs' caches follow.
+     */
+    const IndexedDBBackend = {
+        name: 'indexedDB',
+        sessionLimit: 1000,
+        dbName: 'metamind',
+        storeName: 'keyvalue',
+        db: null,
+        cache: new Map(),
+        channel: null,
+
+        available() {
+            try {
+                return typeof indexedDB !== 'undefined' && indexedDB !== null;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Open the database and fill the cache
+         * @returns {Promise<void>}
+         */
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+            }).then(() => new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.storeName, 'readonly');
+                const cursorRequest = tx.objectStore(this.storeName).openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        this.cache.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    } else {
+                        this._listen();
+                        resolve();
+                    }
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            }));
+        },
+
+        /**
+         * Follow the writes other tabs commit, so a read-modify-write here
+         * doesn't overwrite their records with a stale copy
+         */
+        _listen() {
+            if (typeof BroadcastChannel === 'undefined' || this.channel) return;
+            this.channel = new BroadcastChannel(this.dbName);
+            this.channel.onmessage = event => {
+                (Array.isArray(event.data) ? event.data : []).forEach(([key, value]) => this._cache(key, value));
+            };
+        },
+
+        // Tell other tabs about committed entries
+        _announce(entries) {
+            if (this.channel) this.channel.postMessage(entries);
+        },
+
+        // Set a cached entry (null removes it)
+        _cache(key, value) {
+            if (value === null) this.cache.delete(key);
+            else this.cache.set(key, value);
+        },
+
+        read(key) {
+            return this.cache.has(key) ? this.cache.get(key) : null;
+        },
+
+        write(key, value) {
+            return this._update(key, value, store => store.put(value, key));
+        },
+
+        remove(key) {
+            return this._update(key, null, store => store.delete(key));
+        },
+
+        keys() {
+            return Array.from(this.cache.keys());
+        },
+
+        /**
+         * Store several entries in one transaction, caching them once it commits
+         * @param {Array<[string, string|null]>} entries - Key/value pairs (a null value removes the key)
+         * @returns {Promise<void>} Rejects (caching nothing) if the transaction fails
+         */
+        writeAll(entries) {
+            if (entries.length === 0) return Promise.resolve();
+            return this._persist(store => entries.forEach(([key, value]) => {
+                if (value === null) store.delete(key);
+                else store.put(value, key);
+            })).then(() => {
+                entries.forEach(([key, value]) => this._cache(key, value));
+                this._announce(entries);
+            });
+        },
+
+        /**
+         * Change a cached entry (null removes it) and persist the change. If it
+         * fails, the old value comes back unless a later write replaced it.
+         * @returns {Promise<void>} Resolves once it commits; rejects if it fails
+         */
+        _update(key, value, operation) {
+            const previous = this.read(key);
+            this._cache(key, value);
+            return this._persist(operation).then(() => this._announce([[key, value]]), e => {
+                if (this.read(key) === value) this._cache(key, previous);
+                throw e;
+            });
+        },
+
+        /**
+         * Run a write in its own transaction
+         * @param {Function} operation - Receives the object store
+         * @returns {Promise<void>} Resolves once it commits; rejects if it fails or aborts
+         */
+        _persist(operation) {
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.storeName, 'readwrite');
+                operation(tx.objectStore(this.storeName));
+                tx.oncomplete = () => resolve();
+                tx.onerror = event => reject((event && event.target && event.target.error) || tx.error);
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            });
+        }
+    };
+
+    const Storage = {
+        prefix: 'metamind_',
+        backend: LocalStorageBackend,
+        backends: { localStorage: LocalStorageBackend, indexedDB: IndexedDBBackend },
+
+        // Resolves once init() has settled on a backend
+        ready: Promise.resolve('localStorage'),
+
+        // localStorage keys that never move to IndexedDB
+        migrationFlag: 'metamind_storage_migrated',
+        debugLogKey: 'metamind_debug_log',
+
+        _warningShown: false,
+
+        // Latest write to each key, so a retry never overwrites a newer value
+        _latestWrites: new Map(),
+
+        /**
+         * Switch to IndexedDB when available, moving existing localStorage
+         * data over. Falls back to localStorage on any failure.
+         * @param {Object} backend - Backend to open (defaults to IndexedDB)
+         * @returns {Promise<string>} Name of the active backend
+         */
+        init(backend = IndexedDBBackend) {
+            this.ready = (async () => {
+                if (!backend.available()) {
+                    Debug.info('Storage', `${backend.name} unavailable, using localStorage`);
+                    return this.backend.name;
+                }
+
+                try {
+                    await backend.open();
+                    await this._migrate(backend);
+                    this.backend = backend;
+                    Debug.info('Storage', `Using ${backend.name} storage`);
+                } catch (e) {
+                    Debug.warn('Storage', `Failed to open or migrate to ${backend.name}, using localStorage`, e);
+                }
+                return this.backend.name;
+            })();
+            return this.ready;
+        },
+
+        /**
+         * Copy a snapshot of the prefixed localStorage entries into the new
+         * backend in one transaction. Entries this page or another tab changes
+         * in localStorage while it commits are copied after it, and the local
+         * copies are freed only once nothing is left to merge (a failed copy
+         * rejects and leaves localStorage untouched). Data already present in
+         * the backend wins over stray local copies from before the snapshot.
+         * @returns {Promise<void>}
+         */
+        async _migrate(backend) {
+            if (!LocalStorageBackend.available()) return;
+
+            const migratable = () => LocalStorageBackend.keys()
+                .filter(key => key.startsWith(this.prefix) &&
+                               key !== this.migrationFlag && key !== this.debugLogKey);
+            const snapshot = new Map(migratable().map(key => [key, LocalStorageBackend.read(key)]));
+            const entries = [];
+
+            snapshot.forEach((value, key) => {
+                if (backend.read(key) === null) {
+                    entries.push([key, value]);
+                } else if (value !== backend.read(key)) {
+                    Debug.warn('Storage', `Kept ${backend.name} copy of ${key} over localStorage copy`);
+                }
+            });
+
+            // Mark the move as started before waiting on it, and take the mark back if it fails
+            const firstRun = LocalStorageBackend.read(this.migrationFlag) === null;
+            try {
+                LocalStorageBackend.write(this.migrationFlag, new Date().toISOString());
+            } catch (e) { /* flag is informational only */ }
+
+            let moved = entries.length;
+            try {
+                await backend.writeAll(entries);
+
+                // Merge what changed meanwhile (null for keys removed since the snapshot)
+                let changed;
+                while ((changed = this._changedSince(snapshot, migratable())).length > 0) {
+                    await backend.writeAll(changed);
+                    changed.forEach(([key, value]) => snapshot.set(key, value));
+                    moved += changed.length;
+                }
+            } catch (e) {
+                if (firstRun) {
+                    try {
+                        LocalStorageBackend.remove(this.migrationFlag);
+                    } catch (removeError) { /* flag is informational only */ }
+                }
+                throw e;
+            }
+
+            // Nothing changed since the last check, so every local entry is in the backend
+            snapshot.forEach((value, key) => LocalStorageBackend.remove(key));
+
+            if (firstRun || moved > 0) {
+                Debug.info('Storage', `Migrated ${moved} entries from localStorage to ${backend.name}`);
+            }
+        },
+
+        /**
+         * localStorage entries that differ from a snapshot of them
+         * @param {Map<string, string|null>} snapshot - Values by key
+         * @param {string[]} keys - Keys in localStorage now
+         * @returns {Array<[string, string|null]>} Changed entries (null where removed)
+         */
+        _changedSince(snapshot, keys) {
+            const changed = keys
+                .map(key => [key, LocalStorageBackend.read(key)])
+                .filter(([key, value]) => snapshot.get(key) !== value);
+            snapshot.forEach((value, key) => {
+                if (value !== null && !keys.includes(key)) changed.push([key, null]);
+            });
+            return changed;
+        },
+
+        /**
+         * Save a value. True once the backend has taken it; IndexedDB commits
+         * in the background, so use persist() to know it was stored.
+         * @param {string} key - Key (without prefix)
+         * @param {*} value - JSON-serializable value
+         * @returns {boolean} False if it was refused outright
+         */
+        save(key, value) {
+            return this._write(key, value) !== null;
+        },
+
+        /**
+         * Save a value and wait until the backend has stored it
+         * @param {string} key - Key (without prefix)
+         * @param {*} value - JSON-serializable value
+         * @returns {Promise<boolean>} False if it could not be stored (the failure is reported)
+         */
+        persist(key, value) {
+            return this._write(key, value) || Promise.resolve(false);
+        },
+
+        /**
+         * Write through the backend, freeing space and retrying once when it is full
+         * @returns {Promise<boolean>|null} Whether the value was stored, or null if refused outright
+         */
+        _write(key, value) {
+            const fullKey = this.prefix + key;
+            const json = JSON.stringify(value);
+            const backend = this.backend;
+            const token = {};
+            this._latestWrites.set(fullKey, token);
+
+            let committed;
+            try {
+                committed = backend.write(fullKey, json);
+            } catch (e) {
+                if (!isQuotaError(e)) {
+                    Debug.warn('Storage', `Failed to save: ${key}`, e);
+                    return null;
+                }
+
+                // The debug log is the most expendable data - drop it and retry once
+                Debug.warn('Storage', `Quota exceeded saving ${key}, clearing debug log`);
+                try {
+                    localStorage.removeItem(this.debugLogKey);
+                    committed = backend.write(fullKey, json);
+                } catch (retryError) {
+                    this._handleWriteError(key, retryError);
+                    return null;
+                }
+            }
+
+            // IndexedDB only reports a full disk when the write fails to commit
+            const done = result => {
+                if (this._latestWrites.get(fullKey) === token) this._latestWrites.delete(fullKey);
+                return result;
+            };
+            return Promise.resolve(committed).then(() => done(true), e => {
+                if (!isQuotaError(e) || this._latestWrites.get(fullKey) !== token) {
+                    this._handleWriteError(key, e);
+                    return done(false);
+                }
+                Debug.warn('Storage', `Quota exceeded saving ${key}, dropping old trial logs`);
+                return this._freeSpace(backend)
+                    .then(() => backend.write(fullKey, json))
+                    .then(() => done(true), retryError => {
+                        this._handleWriteError(key, retryError);
+                        return done(false);
+                    });
+            });
+        },
+
+        /**
+         * Make room in a full asynchronous backend. The debug log lives in
+         * localStorage, so there the trial logs of older sessions go instead.
+         * @returns {Promise<void>}
+         */
+        _freeSpace(backend) {
+            const entries = Progress.withoutOldTrials()
+                .map(([key, record]) => [this.prefix + key, JSON.stringify(record)]);
+            return backend.writeAll ? backend.writeAll(entries) : Promise.resolve();
+        },
+
+        load(key, defaultValue = null) {
+            try {
+                const item = this.backend.read(this.prefix + key);
+                return item ? JSON.parse(item) : defaultValue;
+            } catch (e) {
+                Debug.warn('Storage', `Failed to load: ${key}`, e);
+                return defaultValue;
+            }
+        },
+
+        remove(key) {
             try {
-                localStorage.removeItem(this.prefix + key);
+                Promise.resolve(this.backend.remove(this.prefix + key))
+                    .catch(e => this._handleWriteError(key, e));
                 return true;
             } catch (e) {
                 Debug.warn('Storage', `Failed to remove: ${key}`, e);
                 return false;
             }
+        },
+
+        /**
+         * List stored keys (without prefix)
+         * @param {string} startsWith - Optional key filter
+         * @returns {string[]} Matching keys
+         */
+        keys(startsWith = '') {
+            try {
+                return this.backend.keys()
+                    .filter(key => key.startsWith(this.prefix + startsWith) &&
+                                   key !== this.migrationFlag && key !== this.debugLogKey)
+                    .map(key => key.slice(this.prefix.length));
+            } catch (e) {
+                Debug.warn('Storage', 'Failed to list keys', e);
+                return [];
+            }
+        },
+
+        /**
+         * Report a failed write, warning the user once if storage is full
+         */
+        _handleWriteError(key, error) {
+            if (isQuotaError(error)) {
+                Debug.error('Storage', `Storage quota exceeded, could not save: ${key}`, error);
+                this.warnUser('Storage is full, so your latest progress could not be saved. ' +
+                              'Export your data from the home page to keep a backup.');
+            } else {
+                Debug.error('Storage', `Failed to persist: ${key}`, error);
+            }
+        },
+
+        /**
+         * Show a dismissible warning banner (once per page)
+         * @param {string} message - Warning text
+         */
+        warnUser(message) {
+            if (this._warningShown || typeof document === 'undefined' || !document.body) return;
+            this._warningShown = true;
+
+            const banner = DOM.create('div', {
+                className: 'storage-warning',
+                role: 'alert',
+                style: {
+                    position: 'fixed', top: '0', left: '0', right: '0', zIndex: '1000',
+                    padding: '10px 40px 10px 16px', background: '#ff9500', color: '#14191f',
+                    fontWeight: 'bold', textAlign: 'center'
+                }
+            }, message);
+            const close = DOM.create('button', {
+                title: 'Dismiss',
+                style: {
+                    position: 'absolute', right: '10px', top: '6px', background: 'none',
+                    border: 'none', fontSize: '1.2rem', cursor: 'pointer'
+                }
+            }, '×');
+            if (!banner || !close) return;
+
+            close.addEventListener('click', () => banner.remove());
+            banner.appendChild(close);
+            document.body.appendChild(banner);
+        }
+    };
+
+    // Move to IndexedDB in the browser; Node and old browsers stay on localStorage
+    if (typeof window !== 'undefined') {
+        Storage.init();
+    }
+
+    // ============================================
+    // MODULE REGISTRY
+    // ============================================
+
+    const Modules = {
+        // Manifests keyed by id, in registration order
+        _manifests: new Map(),
+
+        /**
+         * Register a training module. Registering an id again replaces it.
+         * @param {Object} manifest - Module description
+         * @param {string} manifest.id - Identifier used for progress storage (e.g. 'symbol_memory')
+         * @param {string} manifest.title - Display name
+         * @param {string} manifest.category - Category heading the module is listed under
+         * @param {string[]} [manifest.skills] - Skills trained, shown as tags
+         * @param {string} manifest.entry - Page that runs the module
+         * @param {string} [manifest.script] - Module script, when not inline in the entry page
+         * @param {string} [manifest.stylesheet] - Module stylesheet
+         * @param {string} [manifest.description] - Short description for the home page
+         * @param {boolean} [manifest.daily] - Whether the module supports ?daily sessions
+         * @param {string} [manifest.tagStyle] - Style of the first skill tag ('advanced', 'music')
+         * @param {Object} [manifest.stats] - Stats schema: which of score, level and accuracy
+         *        the module records (default all), and labels for its session.details fields
+         * @returns {Object|null} The stored manifest, or null if invalid
+         */
+        register(manifest) {
+            const required = ['id', 'title', 'category', 'entry'];
+            const missing = required.filter(field => !manifest || typeof manifest[field] !== 'string' || !manifest[field]);
+            if (missing.length > 0) {
+                Debug.error('Modules', `Invalid manifest, missing: ${missing.join(', ')}`, manifest);
+                return null;
+            }
+            if (!/^[a-z0-9_]+$/.test(manifest.id)) {
+                Debug.error('Modules', `Invalid module id: ${manifest.id}`);
+                return null;
+            }
+            if (this._manifests.has(manifest.id)) {
+                Debug.warn('Modules', `Replacing registered module: ${manifest.id}`);
+            }
+
+            const stats = manifest.stats || {};
+            const entry = {
+                description: '',
+                skills: [],
+                daily: false,
+                tagStyle: '',
+                script: null,
+                stylesheet: null,
+                ...manifest,
+                stats: {
+                    score: stats.score !== false,
+                    level: stats.level !== false,
+                    accuracy: stats.accuracy !== false,
+                    details: { ...(stats.details || {}) }
+                }
+            };
+
+            this._manifests.set(entry.id, entry);
+            Debug.debug('Modules', `Registered module: ${entry.id}`);
+            return entry;
+        },
+
+        /**
+         * Get a module's manifest
+         * @param {string} id - Module identifier
+         */
+        get(id) {
+            return this._manifests.get(id) || null;
+        },
+
+        /**
+         * Registered manifests, optionally limited to one category
+         * @param {string} category - Optional category filter
+         */
+        list(category = null) {
+            const all = Array.from(this._manifests.values());
+            return category ? all.filter(m => m.category === category) : all;
+        },
+
+        /**
+         * Registered module ids
+         */
+        ids() {
+            return Array.from(this._manifests.keys());
+        },
+
+        /**
+         * Categories in the order their first module was registered
+         */
+        categories() {
+            return [...new Set(this.list().map(m => m.category))];
         }
     };
 
@@ -754,39 +2336,353 @@ const MetaMind = (function() {
     // ============================================
 
     const Progress = {
+        // Sessions kept per module - more when the backend has room for them
+        get maxSessions() {
+            return Storage.backend.sessionLimit;
+        },
+
+        // Identifier and version of the export file format
+        exportFormat: 'metamind-progress',
+        exportVersion: 1,
+
+        // Version of persisted progress records (unversioned records are version 1)
+        schemaVersion: 2,
+
+        // Session fields shared by every module; anything else goes in session.details
+        sessionFields: ['schemaVersion', 'timestamp', 'score', 'level', 'accuracy', 'seed', 'daily', 'trials', 'details'],
+
+        /**
+         * Upgrades keyed by the version they upgrade from.
+         * Each receives a record of that version and returns the next version's shape.
+         */
+        migrations: {
+            1(record) {
+                // Module-specific fields (gridSize, matrixSize, maxCombo, ...) move into details
+                record.sessions = (Array.isArray(record.sessions) ? record.sessions : []).map(session => {
+                    if (!session || typeof session !== 'object') return session;
+                    const upgraded = { details: {} };
+                    Object.entries(session).forEach(([field, value]) => {
+                        if (Progress.sessionFields.includes(field)) upgraded[field] = value;
+                        else upgraded.details[field] = value;
+                    });
+                    return upgraded;
+                });
+                return record;
+            }
+        },
+
+        // Sessions that keep their trial logs when storage runs out of room
+        trialLogLimit: 50,
+
+        // Trials recorded since the module's last saveSession, keyed by module
+        _trials: {},
+
+        /**
+         * Record a single trial of the module's current session.
+         * Trials are buffered and attached to the next saveSession() call.
+         * @param {string} moduleName - Module identifier
+         * @param {Object} trial - Trial data
+         * @param {*} trial.stimulus - What was presented
+         * @param {*} trial.response - What the user answered (null if missed)
+         * @param {boolean} trial.correct - Whether the response was correct
+         * @param {number} [trial.presentedAt] - Epoch ms the stimulus was presented
+         * @param {number} [trial.respondedAt] - Epoch ms of the response (defaults to now)
+         * @param {number} [trial.reactionTime] - Response latency in ms (derived when omitted)
+         * @returns {Object} The recorded trial
+         */
+        recordTrial(moduleName, trial = {}) {
+            if (!this._trials[moduleName]) this._trials[moduleName] = [];
+            const trials = this._trials[moduleName];
+
+            const respondedAt = typeof trial.respondedAt === 'number' ? trial.respondedAt : Date.now();
+            const presentedAt = typeof trial.presentedAt === 'number' ? trial.presentedAt : null;
+            let reactionTime = typeof trial.reactionTime === 'number' ? trial.reactionTime : null;
+            if (reactionTime === null && presentedAt !== null) {
+                reactionTime = respondedAt - presentedAt;
+            }
+
+            const entry = {
+                ...trial,
+                index: trials.length,
+                stimulus: trial.stimulus !== undefined ? trial.stimulus : null,
+                response: trial.response !== undefined ? trial.response : null,
+                correct: Boolean(trial.correct),
+                reactionTime,
+                presentedAt,
+                respondedAt,
+                timestamp: new Date(respondedAt).toISOString()
+            };
+
+            trials.push(entry);
+            Debug.debug('Progress', `Recorded trial ${entry.index} for ${moduleName}`, { correct: entry.correct, reactionTime });
+            return entry;
+        },
+
+        /**
+         * Get the trials recorded since the last saved session
+         * @param {string} moduleName - Module identifier
+         */
+        getTrials(moduleName) {
+            return [...(this._trials[moduleName] || [])];
+        },
+
+        /**
+         * Discard unsaved trials (call when a session is restarted)
+         * @param {string} moduleName - Module identifier
+         */
+        clearTrials(moduleName) {
+            delete this._trials[moduleName];
+        },
+
+        /**
+         * Register an upgrade from one record version to the next
+         * @param {number} fromVersion - Version the migration upgrades from
+         * @param {Function} migrate - (record) => record of version fromVersion + 1
+         */
+        registerMigration(fromVersion, migrate) {
+            this.migrations[fromVersion] = migrate;
+        },
+
+        /**
+         * Whether records of a version can be brought up to the current schema
+         * @param {*} version - A record's schemaVersion
+         */
+        canUpgrade(version) {
+            if (!Number.isInteger(version) || version < 1 || version > this.schemaVersion) return false;
+            for (let v = version; v < this.schemaVersion; v++) {
+                if (!this.migrations[v]) return false;
+            }
+            return true;
+        },
+
+        /**
+         * Empty progress record at the current schema version
+         */
+        emptyRecord() {
+            return { schemaVersion: this.schemaVersion, sessions: [], bestScore: 0, bestLevel: 0, totalSessions: 0 };
+        },
+
+        /**
+         * Check a session against the current schema, repairing what can be repaired.
+         * Scores, levels and accuracy that are missing or not numbers become null
+         * so they are left out of statistics instead of counting as zero.
+         * @param {Object} session - Session in the current schema's shape
+         * @returns {Object} { session, repairs } - session is null when rejected
+         */
+        validateSession(session) {
+            const repairs = [];
+            if (!session || typeof session !== 'object' || Array.isArray(session)) {
+                return { session: null, repairs: ['not an object'] };
+            }
+            if (typeof session.timestamp !== 'string' || isNaN(Date.parse(session.timestamp))) {
+                return { session: null, repairs: ['no valid timestamp'] };
+            }
+
+            // Shared fields first so equal sessions serialize identically
+            const clean = {};
+            this.sessionFields.forEach(field => { clean[field] = session[field]; });
+            Object.assign(clean, session, { schemaVersion: this.schemaVersion });
+            const number = (field, min, max) => {
+                const value = session[field];
+                if (value === null || value === undefined) {
+                    if (value === undefined) repairs.push(`${field} missing`);
+                    clean[field] = null;
+                } else if (typeof value !== 'number' || !isFinite(value)) {
+                    repairs.push(`${field} not a number`);
+                    clean[field] = null;
+                } else if (value < min || value > max) {
+                    repairs.push(`${field} out of range`);
+                    clean[field] = MathUtils.clamp(value, min, max);
+                }
+            };
+            number('score', 0, Infinity);
+            number('level', 0, Infinity);
+            number('accuracy', 0, 100);
+
+            if (!Array.isArray(session.trials)) {
+                if (session.trials !== undefined) repairs.push('trials not a list');
+                clean.trials = [];
+            }
+            if (!session.details || typeof session.details !== 'object' || Array.isArray(session.details)) {
+                if (session.details !== undefined) repairs.push('details not an object');
+                clean.details = {};
+            }
+            if (typeof session.seed !== 'number' && typeof session.seed !== 'string') clean.seed = null;
+            clean.daily = session.daily === true;
+
+            return { session: clean, repairs };
+        },
+
+        /**
+         * Bring a stored record up to the current schema: run migrations for
+         * its version, drop sessions that cannot be repaired and recompute bests.
+         * @param {Object} record - Stored progress record (any version)
+         * @param {string} moduleName - Module identifier (for logging)
+         * @returns {Object} { record, changed, dropped } - dropped lists { index, reasons } of rejected sessions
+         */
+        upgradeRecord(record, moduleName = '') {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                Debug.warn('Progress', `Discarded malformed progress record: ${moduleName}`);
+                return { record: this.emptyRecord(), changed: true, dropped: [] };
+            }
+
+            let version = typeof record.schemaVersion === 'number' ? record.schemaVersion : 1;
+            if (version > this.schemaVersion) {
+                Debug.warn('Progress', `Progress for ${moduleName} is from a newer version (${version})`);
+                return { record, changed: false, dropped: [] };
+            }
+
+            const before = JSON.stringify(record);
+            let upgraded = JSON.parse(before);
+            while (version < this.schemaVersion) {
+                const migrate = this.migrations[version];
+                if (!migrate) throw new Error(`No progress migration from version ${version}`);
+                upgraded = migrate(upgraded) || upgraded;
+                version++;
+            }
+
+            const sessions = [];
+            const dropped = [];
+            (Array.isArray(upgraded.sessions) ? upgraded.sessions : []).forEach((raw, i) => {
+                const { session, repairs } = this.validateSession(raw);
+                if (!session) {
+                    Debug.warn('Progress', `Dropped invalid session ${i} of ${moduleName}: ${repairs.join(', ')}`);
+                    dropped.push({ index: i, reasons: repairs });
+                    return;
+                }
+                if (repairs.length > 0) {
+                    Debug.debug('Progress', `Repaired session ${i} of ${moduleName}: ${repairs.join(', ')}`);
+                }
+                sessions.push(session);
+            });
+
+            const best = (field, stored) => Math.max(0,
+                typeof stored === 'number' && isFinite(stored) ? stored : 0,
+                ...sessions.map(s => s[field] || 0));
+
+            const result = {
+                ...upgraded,
+                schemaVersion: this.schemaVersion,
+                sessions,
+                bestScore: best('score', upgraded.bestScore),
+                bestLevel: best('level', upgraded.bestLevel),
+                totalSessions: Math.max(sessions.length, Math.floor(Number(upgraded.totalSessions)) || 0)
+            };
+            return { record: result, changed: JSON.stringify(result) !== before, dropped };
+        },
+
         /**
-         * Save a session result for a module
+         * Save a session result for a module.
+         * Trials recorded via recordTrial() are attached as result.trials.
+         * Fields other than score, level, accuracy, seed and daily are
+         * stored under result.details.
          * @param {string} moduleName - Module identifier
          * @param {Object} result - Session result data
+         * @returns {Object} The updated progress record
          */
         saveSession(moduleName, result) {
             const key = `progress_${moduleName}`;
-            const data = Storage.load(key, { sessions: [], bestScore: 0, bestLevel: 0, totalSessions: 0 });
+            const data = this.getProgress(moduleName);
 
-            // Add timestamp to result
+            // Add timestamp and trial log to result
             result.timestamp = new Date().toISOString();
+            if (!result.trials) result.trials = this.getTrials(moduleName);
+            this.clearTrials(moduleName);
+
+            const shaped = { details: { ...(result.details || {}) } };
+            Object.entries(result).forEach(([field, value]) => {
+                if (field === 'details') return;
+                if (this.sessionFields.includes(field)) shaped[field] = value;
+                else shaped.details[field] = value;
+            });
+            const { session, repairs } = this.validateSession(shaped);
+            if (repairs.length > 0) {
+                Debug.warn('Progress', `Repaired session for ${moduleName}: ${repairs.join(', ')}`);
+            }
 
             // Update best scores
-            if (result.score > data.bestScore) data.bestScore = result.score;
-            if (result.level > data.bestLevel) data.bestLevel = result.level;
+            if (session.score > data.bestScore) data.bestScore = session.score;
+            if (session.level > data.bestLevel) data.bestLevel = session.level;
             data.totalSessions++;
 
-            // Keep last 50 sessions
-            data.sessions.push(result);
-            if (data.sessions.length > 50) data.sessions = data.sessions.slice(-50);
+            // Keep the most recent sessions
+            data.sessions.push(session);
+            if (data.sessions.length > this.maxSessions) data.sessions = data.sessions.slice(-this.maxSessions);
 
-            Storage.save(key, data);
-            Debug.info('Progress', `Saved session for ${moduleName}`, { score: result.score, level: result.level });
+            // Failed writes are reported by Storage, so only a stored session is logged as saved
+            Storage.persist(key, data).then(saved => {
+                if (saved) Debug.info('Progress', `Saved session for ${moduleName}`, { score: session.score, level: session.level, trials: session.trials.length });
+            });
             return data;
         },
 
         /**
-         * Get progress data for a module
+         * Get progress data for a module, upgraded to the current schema.
+         * Read-only: records still on an older schema are upgraded in memory
+         * (upgradeStored() writes them back once per page).
          * @param {string} moduleName - Module identifier
          */
         getProgress(moduleName) {
-            const key = `progress_${moduleName}`;
-            return Storage.load(key, { sessions: [], bestScore: 0, bestLevel: 0, totalSessions: 0 });
+            const stored = Storage.load(`progress_${moduleName}`, null);
+            if (stored === null) return this.emptyRecord();
+            if (stored.schemaVersion === this.schemaVersion) return stored;
+            return this.upgradeRecord(stored, moduleName).record;
+        },
+
+        /**
+         * Upgrade and repair every stored progress record, writing back the
+         * ones that changed. Runs once storage is ready; a record that cannot
+         * be upgraded is logged and left as it is.
+         */
+        upgradeStored() {
+            Storage.keys('progress_').forEach(key => {
+                const moduleName = key.slice('progress_'.length);
+                try {
+                    const stored = Storage.load(key, null);
+                    if (stored === null) return;
+
+                    const { record, changed } = this.upgradeRecord(stored, moduleName);
+                    if (changed) {
+                        Storage.save(key, record);
+                        Debug.info('Progress', `Upgraded stored progress for ${moduleName} to schema ${this.schemaVersion}`);
+                    }
+                } catch (e) {
+                    Debug.warn('Progress', `Could not upgrade stored progress for ${moduleName}`, e);
+                }
+            });
+        },
+
+        /**
+         * Progress records with the trial logs of all but their latest
+         * trialLogLimit sessions dropped, to make room when storage is full
+         * @returns {Array<[string, Object]>} Storage keys and trimmed records (only those that shrank)
+         */
+        withoutOldTrials() {
+            const trimmed = [];
+            this.listModules().forEach(moduleName => {
+                const record = this.getProgress(moduleName);
+                const old = record.sessions.slice(0, Math.max(0, record.sessions.length - this.trialLogLimit))
+                    .filter(session => session.trials.length > 0);
+                if (old.length === 0) return;
+                old.forEach(session => { session.trials = []; });
+                trimmed.push([`progress_${moduleName}`, record]);
+            });
+            return trimmed;
+        },
+
+        /**
+         * Get a module's sessions within a date range, oldest first
+         * @param {string} moduleName - Module identifier
+         * @param {Object} range - Optional { from, to } as Dates, timestamps or date strings (inclusive)
+         * @returns {Object[]} Matching sessions
+         */
+        getSessions(moduleName, range = {}) {
+            const from = range.from ? new Date(range.from).getTime() : -Infinity;
+            const to = range.to ? new Date(range.to).getTime() : Infinity;
+            return this.getProgress(moduleName).sessions.filter(s => {
+                const time = Date.parse(s.timestamp);
+                return time >= from && time <= to;
+            });
         },
 
         /**
@@ -799,8 +2695,9 @@ const MetaMind = (function() {
                 return { bestScore: 0, bestLevel: 0, avgScore: 0, totalSessions: 0, recentTrend: 'none' };
             }
 
-            const scores = data.sessions.map(s => s.score || 0);
-            const avgScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+            // Sessions without a score (repaired or score-less modules) are left out
+            const scores = data.sessions.map(s => s.score).filter(score => typeof score === 'number');
+            const avgScore = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
 
             // Calculate recent trend (last 5 vs previous 5)
             let recentTrend = 'stable';
@@ -821,17 +2718,191 @@ const MetaMind = (function() {
         },
 
         /**
-         * Get all modules progress summary
+         * Get progress summary for every registered module
          */
         getAllStats() {
-            const modules = ['symbol_memory', 'morph_matrix', 'expand_vision', 'music_theory', 'psychoacoustic_wizard', 'neural_synthesis'];
             const stats = {};
-            modules.forEach(m => {
+            Modules.ids().forEach(m => {
                 stats[m] = this.getStats(m);
             });
             return stats;
         },
 
+        /**
+         * Module identifiers with stored progress
+         */
+        listModules() {
+            return Storage.keys('progress_').map(key => key.slice('progress_'.length));
+        },
+
+        /**
+         * Bundle all progress into a versioned export object
+         * @returns {Object} Export data (see importData for the format)
+         */
+        exportData() {
+            const modules = {};
+            this.listModules().forEach(m => {
+                modules[m] = this.getProgress(m);
+            });
+
+            return {
+                format: this.exportFormat,
+                version: this.exportVersion,
+                exportedAt: new Date().toISOString(),
+                stats: this.getAllStats(),
+                modules
+            };
+        },
+
+        /**
+         * Flatten all sessions into CSV, one row per session
+         * @returns {string} CSV text with header row
+         */
+        exportCSV() {
+            const columns = ['module', 'timestamp', 'score', 'level', 'accuracy', 'trials', 'seed', 'daily'];
+            const escape = value => {
+                if (value === null || value === undefined) return '';
+                const str = String(value);
+                return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+            };
+
+            const rows = [columns.join(',')];
+            this.listModules().forEach(m => {
+                this.getProgress(m).sessions.forEach(s => {
+                    rows.push([
+                        m,
+                        s.timestamp,
+                        s.score,
+                        s.level,
+                        s.accuracy,
+                        Array.isArray(s.trials) ? s.trials.length : 0,
+                        s.seed,
+                        s.daily
+                    ].map(escape).join(','));
+                });
+            });
+            return rows.join('\n');
+        },
+
+        /**
+         * Download all progress as JSON or CSV
+         * @param {string} format - 'json' or 'csv'
+         */
+        download(format = 'json') {
+            const date = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') {
+                return DOM.download(`metamind-progress-${date}.csv`, this.exportCSV(), 'text/csv');
+            }
+            return DOM.download(`metamind-progress-${date}.json`,
+                JSON.stringify(this.exportData(), null, 2), 'application/json');
+        },
+
+        /**
+         * Validate and merge exported progress into local storage.
+         * Sessions are matched by timestamp: identical ones are skipped as
+         * duplicates, differing ones are reported as conflicts and the local
+         * copy is kept.
+         * @param {Object|string} input - Export object or its JSON text
+         * @returns {Object} Report { ok, modules, added, duplicates, conflicts, errors }
+         */
+        importData(input) {
+            const report = { ok: false, modules: [], added: 0, duplicates: 0, conflicts: [], errors: [] };
+
+            let data = input;
+            if (typeof input === 'string') {
+                try {
+                    data = JSON.parse(input);
+                } catch (e) {
+                    report.errors.push(`Invalid JSON: ${e.message}`);
+                    return report;
+                }
+            }
+
+            if (!data || data.format !== this.exportFormat) {
+                report.errors.push('Not a MetaMind progress export');
+                return report;
+            }
+            if (typeof data.version !== 'number' || data.version > this.exportVersion) {
+                report.errors.push(`Unsupported export version: ${data.version}`);
+                return report;
+            }
+            if (!data.modules || typeof data.modules !== 'object') {
+                report.errors.push('Export contains no module data');
+                return report;
+            }
+
+            for (const [moduleName, incoming] of Object.entries(data.modules)) {
+                if (!/^[a-z0-9_]+$/i.test(moduleName) || !incoming || !Array.isArray(incoming.sessions)) {
+                    report.errors.push(`Skipped malformed module entry: ${moduleName}`);
+                    continue;
+                }
+
+                // Unversioned exports are version 1
+                const version = incoming.schemaVersion === undefined ? 1 : incoming.schemaVersion;
+                if (typeof version === 'number' && version > this.schemaVersion) {
+                    report.errors.push(`${moduleName}: progress is from a newer version (${version})`);
+                    continue;
+                }
+                if (!this.canUpgrade(version)) {
+                    report.errors.push(`${moduleName}: unknown progress version (${JSON.stringify(version)})`);
+                    continue;
+                }
+
+                const local = this.getProgress(moduleName);
+                const byTimestamp = new Map(local.sessions.map(s => [s.timestamp, s]));
+                let added = 0;
+
+                // Bring older exports up to the current schema, session by session
+                const { record: upgraded, dropped } = this.upgradeRecord({
+                    schemaVersion: version,
+                    sessions: incoming.sessions
+                }, moduleName);
+                dropped.forEach(({ index, reasons }) => {
+                    report.errors.push(`${moduleName}: session ${index} rejected (${reasons.join(', ')})`);
+                });
+
+                upgraded.sessions.forEach(session => {
+                    const existing = byTimestamp.get(session.timestamp);
+                    if (!existing) {
+                        byTimestamp.set(session.timestamp, session);
+                        added++;
+                    } else if (JSON.stringify(existing) === JSON.stringify(session)) {
+                        report.duplicates++;
+                    } else {
+                        report.conflicts.push({ module: moduleName, timestamp: session.timestamp });
+                    }
+                });
+
+                if (added === 0) continue;
+
+                const sessions = Array.from(byTimestamp.values())
+                    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+                    .slice(-this.maxSessions);
+                // Bests may predate the kept sessions, so take them from both sides too
+                const best = (field, ...known) => Math.max(0,
+                    ...known.map(v => Number(v) || 0),
+                    ...sessions.map(s => Number(s[field]) || 0));
+
+                Storage.save(`progress_${moduleName}`, {
+                    ...local,
+                    schemaVersion: this.schemaVersion,
+                    sessions,
+                    bestScore: best('score', local.bestScore, incoming.bestScore),
+                    bestLevel: best('level', local.bestLevel, incoming.bestLevel),
+                    totalSessions: (local.totalSessions || 0) + added
+                });
+
+                report.modules.push(moduleName);
+                report.added += added;
+            }
+
+            report.ok = report.errors.length === 0;
+            Debug.info('Progress', `Imported ${report.added} sessions`, {
+                duplicates: report.duplicates, conflicts: report.conflicts.length, errors: report.errors.length
+            });
+            return report;
+        },
+
         /**
          * Clear progress for a module
          * @param {string} moduleName - Module identifier
@@ -842,6 +2913,11 @@ const MetaMind = (function() {
         }
     };
 
+    // Bring stored progress up to date once the storage backend (and any migration to it) has settled
+    if (typeof window !== 'undefined') {
+        Storage.ready.then(() => Progress.upgradeStored());
+    }
+
     // ============================================
     // COLOR UTILITIES
     // ============================================
@@ -853,6 +2929,7 @@ const MetaMind = (function() {
         secondary: '#ff9500',
 
         randomBright() {
+            // Cosmetic, so it stays off the seeded streams
             const hue = Math.floor(Math.random() * 360);
             return `hsl(${hue}, 80%, 60%)`;
         },
@@ -1076,11 +3153,13 @@ const MetaMind = (function() {
     return {
         // Core utilities
         Audio,
+        MIDI,
         Screens,
         Timer,
         DOM,
         MathUtils,
         Storage,
+        Modules,
         Colors,
         Progress,
 
@@ -13,13 +13,13 @@ const state = {
     numbers: [0, 0, 0, 0],
     wordIndex: 0,
     centralContent: '',
-    timerId: null,
-    numberTimerId: null,
     timeRemaining: 0,
     // Positioning factors - these control how far the numbers are from center
     distanceFactorY: 0.1, // Initial Y distance (top/bottom)
     distanceFactorX: 0.1, // Initial X distance (left/right)
-    distanceIncreaseFactor: 0.01 // How much to increase distance each round
+    distanceIncreaseFactor: 0.01, // How much to increase distance each round
+    seed: null, // Seed of the session's random stream
+    daily: false // True when playing the shared daily challenge
 };
 
 // Word list for central display
@@ -34,6 +34,11 @@ let elements = {};
 // Module name for logging
 const MODULE_NAME = 'ExpandVision';
 
+// The module's seeded stream, which session content is drawn from
+function rng() {
+    return MetaMind.MathUtils.stream('expand_vision');
+}
+
 // Safe logging helper
 function log(level, message, data) {
     if (typeof MetaMind !== 'undefined' && MetaMind.Debug) {
@@ -119,6 +124,9 @@ function init() {
         }
     });
 
+    // Stop the clock while the tab is hidden or loses focus
+    MetaMind.Timer.enableAutoPause();
+
     // Show initial screen
     showScreen('start');
     log('info', 'Module initialized successfully');
@@ -149,6 +157,11 @@ function showScreen(screenName) {
 
 // Start the game
 function startGame() {
+    // Seed the session's random stream (replayable via ?seed= or ?daily)
+    const session = MetaMind.MathUtils.startSession();
+    state.seed = session.seed;
+    state.daily = session.daily;
+
     // Reset game state
     resetGame();
     
@@ -162,8 +175,7 @@ function startGame() {
 // Reset the game state
 function resetGame() {
     // Clear any running timers
-    if (state.timerId) clearTimeout(state.timerId);
-    if (state.numberTimerId) clearTimeout(state.numberTimerId);
+    MetaMind.Timer.clearAll();
     
     // Reset state values
     state.phase = 'preparation';
@@ -178,7 +190,7 @@ function resetGame() {
     updateUI();
     
     // Choose a random word
-    state.wordIndex = Math.floor(Math.random() * wordList.length);
+    state.wordIndex = rng().randomInt(0, wordList.length - 1);
     state.centralContent = wordList[state.wordIndex];
     
     // Hide numbers and focus point
@@ -216,7 +228,7 @@ function startPreparationPhase() {
     // Continue growing or transition to active phase after a few cycles
     if (state.ovalWidth < 120) {
         // Continue preparation phase
-        state.timerId = setTimeout(startPreparationPhase, 300);
+        MetaMind.Timer.delay('vision_step', 300, startPreparationPhase);
     } else {
         // Transition to active phase (first round)
         startRound();
@@ -236,14 +248,17 @@ function startRound() {
         state.phase = 'completed';
         showScreen('complete');
 
-        // Save progress to localStorage
+        // Save progress - this exercise has no answers, so nothing is scored
         if (typeof MetaMind !== 'undefined' && MetaMind.Progress) {
             MetaMind.Progress.saveSession('expand_vision', {
-                score: state.score,
-                level: state.level,
-                accuracy: state.correctAnswers > 0 ? Math.round((state.correctAnswers / state.totalRounds) * 100) : 0
+                score: null,
+                level: null,
+                accuracy: null,
+                rounds: state.totalRounds,
+                seed: state.seed,
+                daily: state.daily
             });
-            log('info', `Progress saved: score=${state.score}, level=${state.level}`);
+            log('info', `Progress saved: rounds=${state.totalRounds}`);
         }
         return;
     }
@@ -262,7 +277,7 @@ function startRound() {
     generateRandomNumbers();
     
     // Occasionally change the central word
-    if (Math.random() < 0.2) { // 20% chance to change word
+    if (rng().chance(0.2)) { // 20% chance to change word
         state.wordIndex = (state.wordIndex + 1) % wordList.length;
         state.centralContent = wordList[state.wordIndex];
         elements.centralContent.textContent = state.centralContent;
@@ -292,7 +307,7 @@ function startRound() {
     updateUI();
     
     // Schedule next round
-    state.timerId = setTimeout(startPreparationPhase, state.delay);
+    MetaMind.Timer.delay('vision_step', state.delay, startPreparationPhase);
 }
 
 // Update the UI based on current state
@@ -345,7 +360,7 @@ function generateRandomNumbers() {
     state.numbers = [];
     for (let i = 0; i < 4; i++) {
         // Generate a random number between -range/2 and range/2
-        const num = Math.floor(Math.random() * state.range) - Math.floor(state.range / 2);
+        const num = rng().randomInt(0, state.range - 1) - Math.floor(state.range / 2);
         state.numbers.push(num);
     }
     
@@ -364,12 +379,12 @@ function showNumbers() {
     elements.numberLeft.classList.remove('hidden');
     
     // Add visible class with slight delay for animation
-    setTimeout(() => {
+    MetaMind.Timer.delay('vision_numbers', 50, () => {
         elements.numberTop.classList.add('visible');
         elements.numberRight.classList.add('visible');
         elements.numberBottom.classList.add('visible');
         elements.numberLeft.classList.add('visible');
-    }, 50);
+    });
 }
 
 // Hide the peripheral numbers
@@ -380,30 +395,26 @@ function hideNumbers() {
     elements.numberLeft.classList.remove('visible');
     
     // Add hidden class with delay for animation
-    setTimeout(() => {
+    MetaMind.Timer.delay('vision_numbers', 300, () => {
         elements.numberTop.classList.add('hidden');
         elements.numberRight.classList.add('hidden');
         elements.numberBottom.classList.add('hidden');
         elements.numberLeft.classList.add('hidden');
-    }, 300);
+    });
 }
 
 // Start the countdown timer
 function startCountdown() {
-    // Clear any existing timer
-    if (state.numberTimerId) clearTimeout(state.numberTimerId);
-    
-    // Set up the countdown
-    const updateTime = () => {
+    // Tick once a second until zero (replaces any running countdown)
+    MetaMind.Timer.repeat('vision_countdown', 1000, () => {
         state.timeRemaining--;
         if (state.timeRemaining >= 0) {
             elements.timeRemainingDisplay.textContent = state.timeRemaining;
-            state.numberTimerId = setTimeout(updateTime, 1000);
         }
-    };
-    
-    // Start the countdown
-    state.numberTimerId = setTimeout(updateTime, 1000);
+        if (state.timeRemaining <= 0) {
+            MetaMind.Timer.clear('vision_countdown');
+        }
+    });
 }
 
 // Show the sum prompt
@@ -415,15 +426,15 @@ function showSumPrompt() {
     elements.sumValue.textContent = sum;
     
     // Show the result after 3 seconds
-    setTimeout(() => {
+    MetaMind.Timer.delay('vision_sum_result', 3000, () => {
         elements.sumResult.classList.add('visible');
-    }, 3000);
+    });
     
     // Hide the prompt before the next round
-    setTimeout(() => {
+    MetaMind.Timer.delay('vision_sum_hide', Math.max(0, state.delay - 1000), () => {
         elements.sumPrompt.classList.remove('visible');
         elements.sumResult.classList.remove('visible');
-    }, state.delay - 1000);
+    });
 }
 
 // Initialize the game when the DOM is loaded
@@ -0,0 +1,328 @@
+/**
+ * MetaMindIQTrain - Landing Page
+ * Module list from the registry, progress dashboard with per-module charts,
+ * and progress data backup:
+ * export to JSON/CSV and import from JSON
+ */
+
+// Module name for logging
+const MODULE_NAME = 'Home';
+
+// Chart size and margins in SVG units (scaled to the card width by CSS)
+const CHART = { width: 300, height: 110, left: 34, right: 8, top: 8, bottom: 18 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Helper function for logging
+function log(level, message, data) {
+    if (typeof MetaMind !== 'undefined' && MetaMind.Debug) {
+        MetaMind.Debug[level](MODULE_NAME, message, data);
+    } else {
+        const logFn = level === 'error' ? console.error :
+                      level === 'warn' ? console.warn : console.log;
+        logFn(`[${MODULE_NAME}]`, message, data || '');
+    }
+}
+
+// DOM Elements - populated in init() after DOM is ready
+let elements = {};
+
+// Initialize the page
+function init() {
+    log('info', 'Initializing landing page');
+
+    elements = MetaMind.DOM.getAll({
+        moduleList: 'module-list',
+        dashboard: 'dashboard',
+        rangePreset: 'range-preset',
+        rangeFrom: 'range-from',
+        rangeTo: 'range-to',
+        exportJson: 'export-json',
+        exportCsv: 'export-csv',
+        importFile: 'import-file',
+        importReport: 'import-report'
+    });
+
+    renderModuleList();
+
+    MetaMind.DOM.on('range-preset', 'change', () => {
+        applyRangePreset(elements.rangePreset.value);
+        renderDashboard();
+    }, MODULE_NAME);
+    const customRange = () => {
+        elements.rangePreset.value = 'custom';
+        renderDashboard();
+    };
+    MetaMind.DOM.on('range-from', 'change', customRange, MODULE_NAME);
+    MetaMind.DOM.on('range-to', 'change', customRange, MODULE_NAME);
+
+    MetaMind.DOM.onClick('export-json', () => MetaMind.Progress.download('json'), MODULE_NAME);
+    MetaMind.DOM.onClick('export-csv', () => MetaMind.Progress.download('csv'), MODULE_NAME);
+    MetaMind.DOM.on('import-file', 'change', handleImportFile, MODULE_NAME);
+
+    // Progress may still be moving to IndexedDB
+    if (elements.rangePreset) applyRangePreset(elements.rangePreset.value);
+    MetaMind.Storage.ready.then(renderDashboard);
+
+    log('info', 'Landing page initialized');
+}
+
+// One heading and card grid per registered category
+function renderModuleList() {
+    const container = elements.moduleList;
+    if (!container) return;
+
+    const { DOM, Modules } = MetaMind;
+    DOM.clear(container);
+
+    Modules.categories().forEach(category => {
+        container.appendChild(DOM.create('h2', { className: 'category-header' }, category));
+        const grid = DOM.create('div', { className: 'modules-grid' });
+        Modules.list(category).forEach(manifest => grid.appendChild(createModuleCard(manifest)));
+        container.appendChild(grid);
+    });
+}
+
+// Card linking to a module's entry page
+function createModuleCard(manifest) {
+    const { DOM } = MetaMind;
+    const card = DOM.create('div', { className: 'module-card' });
+    card.appendChild(DOM.create('h3', { className: 'module-title' }, manifest.title));
+
+    manifest.skills.forEach((skill, i) => {
+        const style = i === 0 && manifest.tagStyle ? ` ${manifest.tagStyle}` : '';
+        card.appendChild(DOM.create('span', { className: `tag${style}` }, skill));
+    });
+    card.appendChild(DOM.create('p', { className: 'module-description' }, manifest.description));
+
+    const actions = DOM.create('div', { className: 'module-actions' });
+    actions.appendChild(DOM.create('a', { className: 'module-link', href: manifest.entry }, 'Start Training'));
+    if (manifest.daily) {
+        actions.appendChild(DOM.create('a', {
+            className: 'module-link daily-link',
+            href: `${manifest.entry}?daily`,
+            title: 'Same content for everyone today'
+        }, 'Daily Challenge'));
+    }
+    card.appendChild(actions);
+    return card;
+}
+
+// Format a Date as the local YYYY-MM-DD used by date inputs
+function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Fill the date inputs from a preset ('7', '30', '90', 'all' or 'custom')
+function applyRangePreset(preset) {
+    if (!elements.rangeFrom || !elements.rangeTo || preset === 'custom') return;
+
+    if (preset === 'all') {
+        elements.rangeFrom.value = '';
+        elements.rangeTo.value = '';
+        return;
+    }
+
+    const from = new Date();
+    from.setDate(from.getDate() - (parseInt(preset, 10) - 1));
+    elements.rangeFrom.value = toDateInputValue(from);
+    elements.rangeTo.value = toDateInputValue(new Date());
+}
+
+// Current filter as { from, to }, covering whole local days
+function getSelectedRange() {
+    const range = {};
+    if (elements.rangeFrom && elements.rangeFrom.value) {
+        range.from = new Date(`${elements.rangeFrom.value}T00:00:00`);
+    }
+    if (elements.rangeTo && elements.rangeTo.value) {
+        range.to = new Date(`${elements.rangeTo.value}T23:59:59.999`);
+    }
+    return range;
+}
+
+// Rebuild every module card on the dashboard
+function renderDashboard() {
+    const container = elements.dashboard;
+    if (!container) return;
+
+    const range = getSelectedRange();
+    const allStats = MetaMind.Progress.getAllStats();
+    MetaMind.DOM.clear(container);
+
+    Object.entries(allStats).forEach(([moduleName, stats]) => {
+        container.appendChild(createDashboardCard(moduleName, stats, range));
+    });
+    log('debug', 'Dashboard rendered', range);
+}
+
+// Card with a module's summary stats and its score/accuracy charts
+function createDashboardCard(moduleName, stats, range) {
+    const { DOM } = MetaMind;
+    const manifest = MetaMind.Modules.get(moduleName);
+    const schema = manifest.stats;
+    const card = DOM.create('div', { className: 'module-card dashboard-card' });
+    card.appendChild(DOM.create('h3', { className: 'module-title' }, manifest.title));
+
+    const sessions = MetaMind.Progress.getSessions(moduleName, range);
+    const trendLabels = { improving: '↑ Improving', declining: '↓ Declining', stable: '→ Stable', none: '–' };
+
+    const rows = [];
+    if (schema.score) rows.push(['Best score', stats.bestScore]);
+    if (schema.level) rows.push(['Best level', stats.bestLevel]);
+    rows.push(['Total sessions', stats.totalSessions], ['In range', sessions.length]);
+    if (schema.score) rows.push(['Trend', trendLabels[stats.recentTrend] || stats.recentTrend, `trend-${stats.recentTrend}`]);
+
+    // Best value of each module-specific field within the range
+    Object.entries(schema.details).forEach(([field, label]) => {
+        const values = sessions.map(s => s.details[field]).filter(v => typeof v === 'number');
+        if (values.length > 0) rows.push([`Best ${label.toLowerCase()}`, Math.max(...values)]);
+    });
+
+    const list = DOM.create('dl', { className: 'dashboard-stats' });
+    rows.forEach(([label, value, className]) => {
+        list.appendChild(DOM.create('dt', {}, label));
+        list.appendChild(DOM.create('dd', { className: className || '' }, String(value)));
+    });
+    card.appendChild(list);
+
+    if (sessions.length === 0) {
+        card.appendChild(DOM.create('p', { className: 'chart-empty' }, 'No sessions in this range.'));
+        return card;
+    }
+
+    const charts = [
+        schema.score && ['Score', createLineChart(sessions, 'score', { color: '#0078ff' })],
+        schema.accuracy && ['Accuracy', createLineChart(sessions, 'accuracy', { color: '#32ff32', min: 0, max: 100, unit: '%' })]
+    ].filter(entry => entry && entry[1]);
+
+    charts.forEach(([label, chart]) => {
+        card.appendChild(DOM.create('span', { className: 'chart-label' }, label));
+        card.appendChild(chart);
+    });
+    if (charts.length === 0) {
+        card.appendChild(DOM.create('p', { className: 'chart-empty' }, 'This module does not record scores.'));
+    }
+    return card;
+}
+
+// Create an SVG element with attributes
+function svgElement(tag, attrs = {}, text = '') {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text) el.textContent = text;
+    return el;
+}
+
+/**
+ * Line chart of one session field over time.
+ * Sessions without a value for the field are skipped.
+ * @param {Object[]} sessions - Sessions, oldest first
+ * @param {string} field - Session field to plot
+ * @param {Object} options - { color, min, max, unit }
+ * @returns {SVGElement|null} Chart, or null if no session has the field
+ */
+function createLineChart(sessions, field, options = {}) {
+    const points = sessions
+        .filter(s => typeof s[field] === 'number')
+        .map(s => ({ time: Date.parse(s.timestamp), value: s[field] }));
+
+    if (points.length === 0) return null;
+
+    const unit = options.unit || '';
+    const values = points.map(p => p.value);
+    const min = options.min !== undefined ? options.min : Math.min(0, ...values);
+    let max = options.max !== undefined ? options.max : Math.max(...values);
+    if (max === min) max = min + 1;
+
+    const first = points[0].time;
+    const last = points[points.length - 1].time;
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const x = time => CHART.left + (last === first ? plotWidth / 2 : ((time - first) / (last - first)) * plotWidth);
+    const y = value => CHART.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+    const shortDate = time => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    const chart = svgElement('svg', {
+        class: 'chart',
+        viewBox: `0 0 ${CHART.width} ${CHART.height}`,
+        role: 'img',
+        'aria-label': `${field} over ${points.length} sessions`
+    });
+
+    // Axes with min/max and first/last date labels
+    const axisStyle = { stroke: 'rgba(255,255,255,0.25)', 'stroke-width': 1 };
+    const labelStyle = { fill: 'rgba(240,240,240,0.7)', 'font-size': 9 };
+    chart.appendChild(svgElement('line', { x1: CHART.left, y1: CHART.top, x2: CHART.left, y2: CHART.top + plotHeight, ...axisStyle }));
+    chart.appendChild(svgElement('line', { x1: CHART.left, y1: CHART.top + plotHeight, x2: CHART.width - CHART.right, y2: CHART.top + plotHeight, ...axisStyle }));
+    chart.appendChild(svgElement('text', { x: CHART.left - 4, y: CHART.top + 8, 'text-anchor': 'end', ...labelStyle }, `${Math.round(max)}${unit}`));
+    chart.appendChild(svgElement('text', { x: CHART.left - 4, y: CHART.top + plotHeight, 'text-anchor': 'end', ...labelStyle }, `${Math.round(min)}${unit}`));
+    chart.appendChild(svgElement('text', { x: CHART.left, y: CHART.height - 4, ...labelStyle }, shortDate(first)));
+    if (last !== first) {
+        chart.appendChild(svgElement('text', { x: CHART.width - CHART.right, y: CHART.height - 4, 'text-anchor': 'end', ...labelStyle }, shortDate(last)));
+    }
+
+    // Line and one dot per session (hover for the value)
+    chart.appendChild(svgElement('polyline', {
+        points: points.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' '),
+        fill: 'none',
+        stroke: options.color,
+        'stroke-width': 2,
+        'stroke-linejoin': 'round'
+    }));
+    points.forEach(p => {
+        const dot = svgElement('circle', { cx: x(p.time).toFixed(1), cy: y(p.value).toFixed(1), r: 2.5, fill: options.color });
+        dot.appendChild(svgElement('title', {}, `${new Date(p.time).toLocaleString()}: ${p.value}${unit}`));
+        chart.appendChild(dot);
+    });
+
+    return chart;
+}
+
+// Read the chosen file and merge it into local progress
+function handleImportFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        // Merge into whichever backend storage settles on
+        MetaMind.Storage.ready.then(() => {
+            showImportReport(MetaMind.Progress.importData(String(reader.result)));
+            renderDashboard();
+        });
+    };
+    reader.onerror = () => {
+        showImportReport({ ok: false, added: 0, duplicates: 0, conflicts: [], errors: ['Could not read file'] });
+    };
+    reader.readAsText(file);
+
+    // Allow importing the same file again
+    e.target.value = '';
+}
+
+// Summarize an import report for the user
+function showImportReport(report) {
+    const lines = [];
+    if (report.added > 0 || report.ok) {
+        lines.push(`Imported ${report.added} session${report.added === 1 ? '' : 's'}` +
+            (report.modules && report.modules.length ? ` into ${report.modules.join(', ')}` : '') + '.');
+    }
+    if (report.duplicates > 0) {
+        lines.push(`${report.duplicates} duplicate session${report.duplicates === 1 ? ' was' : 's were'} skipped.`);
+    }
+    if (report.conflicts.length > 0) {
+        lines.push(`${report.conflicts.length} conflicting session${report.conflicts.length === 1 ? '' : 's'} kept the local copy: ` +
+            report.conflicts.map(c => `${c.module} @ ${c.timestamp}`).join('; ') + '.');
+    }
+    report.errors.forEach(err => lines.push(`Error: ${err}`));
+
+    const el = elements.importReport;
+    if (!el) return;
+    el.textContent = lines.join(' ');
+    el.classList.toggle('error', !report.ok);
+    el.classList.remove('hidden');
+}
+
+// Initialize when the document is loaded
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,103 @@
+/**
+ * MetaMindIQTrain - Module Registry
+ * One manifest per training module. The home page, progress stats and the
+ * test runner all enumerate this list, so adding a module only needs an entry here.
+ */
+
+(function(MetaMind) {
+    'use strict';
+
+    const { Modules } = MetaMind;
+
+    // ============================================
+    // VISUAL COGNITION
+    // ============================================
+
+    Modules.register({
+        id: 'morph_matrix',
+        title: 'Morph Matrix',
+        category: 'Visual Cognition',
+        skills: ['Pattern Recognition'],
+        entry: 'morph_matrix.html',
+        script: 'morph_matrix.js',
+        stylesheet: 'morph_matrix.css',
+        daily: true,
+        description: 'Train your pattern recognition and spatial reasoning with this matrix-based challenge. ' +
+            'Identify exact rotations of patterns and distinguish them from modified versions.',
+        stats: { details: { matrixSize: 'Matrix size' } }
+    });
+
+    Modules.register({
+        id: 'expand_vision',
+        title: 'Expand Vision',
+        category: 'Visual Cognition',
+        skills: ['Visual Attention'],
+        entry: 'expand_vision.html',
+        script: 'expand_vision.js',
+        stylesheet: 'expand_vision.css',
+        daily: true,
+        description: 'Improve your peripheral vision and multi-focus attention. Focus on a central point while ' +
+            'being aware of numbers appearing at the edges of your visual field.',
+        stats: { score: false, level: false, accuracy: false, details: { rounds: 'Rounds' } }
+    });
+
+    Modules.register({
+        id: 'symbol_memory',
+        title: 'Symbol Memory',
+        category: 'Visual Cognition',
+        skills: ['Memory'],
+        entry: 'symbol_memory.html',
+        script: 'symbol_memory.js',
+        stylesheet: 'symbol_memory.css',
+        daily: true,
+        description: 'Enhance short-term memory and attention to detail. Memorize patterns of symbols and ' +
+            'identify when changes occur.',
+        stats: { details: { gridSize: 'Grid size' } }
+    });
+
+    Modules.register({
+        id: 'neural_synthesis',
+        title: 'Neural Synthesis',
+        category: 'Visual Cognition',
+        skills: ['Advanced Cognition'],
+        tagStyle: 'advanced',
+        entry: 'neural_synthesis.html',
+        daily: true,
+        description: 'Train cross-modal integration between visual and auditory patterns. This innovative module ' +
+            'creates a synesthetic experience that enhances neural plasticity and cognitive flexibility.'
+    });
+
+    // ============================================
+    // MUSIC & AUDIO
+    // ============================================
+
+    Modules.register({
+        id: 'music_theory',
+        title: 'Music Theory',
+        category: 'Music & Audio Training',
+        skills: ['Audio Cognition', 'Multi-Modal'],
+        tagStyle: 'music',
+        entry: 'music_theory.html',
+        script: 'music_theory.js',
+        stylesheet: 'music_theory.css',
+        daily: true,
+        description: 'Train your ear and musical cognition with interactive music theory challenges. ' +
+            'Identify scales and modes, intervals, chords, inversions, progressions, single notes and scale degrees, play back melodies, build chords and scales on the piano, and read the staff, with piano, waveform, circle of fifths and notation visualizations.',
+        stats: { details: { bestStreak: 'Best streak' } }
+    });
+
+    Modules.register({
+        id: 'psychoacoustic_wizard',
+        title: 'Psychoacoustic Wizard',
+        category: 'Music & Audio Training',
+        skills: ['Rhythm', 'Reaction Time'],
+        tagStyle: 'music',
+        entry: 'psychoacoustic_wizard.html',
+        script: 'psychoacoustic_wizard.js',
+        stylesheet: 'psychoacoustic_wizard.css',
+        description: 'Master rhythm, timing, and audio-visual integration through this engaging rhythm game. ' +
+            'Hit notes in time with the music to build combos and crowd energy.',
+        stats: { details: { maxCombo: 'Max combo' } }
+    });
+
+})(typeof MetaMind !== 'undefined' ? MetaMind : require('./core.js'));
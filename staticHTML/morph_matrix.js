@@ -9,7 +9,10 @@ const state = {
     selectedPatterns: [],
     patterns: [],
     modifiedIndices: [],
-    totalPatterns: 6
+    totalPatterns: 6,
+    presentedAt: null, // Epoch ms the current patterns were shown
+    seed: null, // Seed of the session's random stream
+    daily: false // True when playing the shared daily challenge
 };
 
 // DOM elements - populated in init() after DOM is ready
@@ -120,6 +123,12 @@ function showScreen(screenName) {
 
 // Start the game
 function startGame() {
+    // Seed the session's random stream (replayable via ?seed= or ?daily)
+    const session = MetaMind.MathUtils.startSession();
+    state.seed = session.seed;
+    state.daily = session.daily;
+    MetaMind.Progress.clearTrials('morph_matrix');
+
     // Reset game state
     state.score = 0;
     state.level = 1;
@@ -143,6 +152,7 @@ function updateStats() {
 
 // Generate random patterns
 function generatePatterns() {
+    const rng = MetaMind.MathUtils.stream('morph_matrix');
     state.selectedPatterns = Array(state.totalPatterns).fill(false);
     state.patterns = [];
     
@@ -151,7 +161,7 @@ function generatePatterns() {
     for (let i = 0; i < state.matrixSize; i++) {
         const row = [];
         for (let j = 0; j < state.matrixSize; j++) {
-            row.push(Math.random() < 0.5 ? 0 : 1);
+            row.push(rng.chance(0.5) ? 0 : 1);
         }
         originalMatrix.push(row);
     }
@@ -178,19 +188,20 @@ function generatePatterns() {
     state.modifiedIndices = [];
     
     while (state.modifiedIndices.length < numToModify) {
-        const idx = Math.floor(Math.random() * (state.totalPatterns - 1)) + 1;
+        const idx = rng.randomInt(1, state.totalPatterns - 1);
         if (!state.modifiedIndices.includes(idx)) {
             state.modifiedIndices.push(idx);
             
             // Modify a random cell in the pattern
-            const r = Math.floor(Math.random() * state.matrixSize);
-            const c = Math.floor(Math.random() * state.matrixSize);
+            const r = rng.randomInt(0, state.matrixSize - 1);
+            const c = rng.randomInt(0, state.matrixSize - 1);
             state.patterns[idx][r][c] = 1 - state.patterns[idx][r][c]; // Toggle the cell
         }
     }
     
     // Render all patterns
     renderPatterns();
+    state.presentedAt = Date.now();
 }
 
 // Rotate a matrix 90 degrees clockwise
@@ -275,6 +286,7 @@ function togglePatternSelection(index) {
 // Check the player's answers
 function checkAnswers() {
     let correctAnswers = 0;
+    const respondedAt = Date.now();
     
     // Calculate score
     for (let i = 0; i < state.totalPatterns; i++) {
@@ -287,6 +299,15 @@ function checkAnswers() {
         if (isCorrect) {
             correctAnswers++;
         }
+
+        // Log each pattern decision as a trial
+        MetaMind.Progress.recordTrial('morph_matrix', {
+            stimulus: { pattern: i, modified: isModified, matrixSize: state.matrixSize, level: state.level },
+            response: { selected: isSelected },
+            correct: isCorrect,
+            presentedAt: state.presentedAt,
+            respondedAt
+        });
         
         // Update result labels on the results screen
         const resultElement = document.getElementById(`result-pattern${i}`);
@@ -328,7 +349,9 @@ function checkAnswers() {
             score: state.score,
             level: state.level,
             accuracy: accuracy,
-            matrixSize: state.matrixSize
+            matrixSize: state.matrixSize,
+            seed: state.seed,
+            daily: state.daily
         });
         log('info', `Progress saved: score=${state.score}, level=${state.level}`);
     }
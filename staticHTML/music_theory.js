@@ -34,9 +34,51 @@ function addClickListener(element, handler, name) {
     return false;
 }
 
-// Audio Context for Web Audio API
-let audioContext;
-let masterGainNode;
+// Synthesized instruments for playback: a MetaMind.Audio timbre and envelope each.
+// Piano and electric piano add a noise burst for the hammer; the string is plucked (Karplus-Strong).
+const INSTRUMENTS = {
+    piano: {
+        label: 'Piano',
+        timbre: { harmonics: [1, 0.6, 0.35, 0.25, 0.12, 0.08, 0.05, 0.03], noise: { level: 0.2, duration: 0.02 } },
+        envelope: { attack: 0.005, decay: 0.5, sustain: 0.3, release: 0.25 }
+    },
+    organ: {
+        label: 'Organ',
+        timbre: { harmonics: [1, 0.8, 0.6, 0.5, 0, 0.4, 0, 0.3] },
+        envelope: { attack: 0.02, decay: 0.05, sustain: 0.9, release: 0.05 }
+    },
+    string: {
+        label: 'Plucked string',
+        timbre: { pluck: true },
+        envelope: { attack: 0.002, decay: 0.01, sustain: 1, release: 0.15 }
+    },
+    electricPiano: {
+        label: 'Electric piano',
+        timbre: { harmonics: [1, 0.25, 0.1, 0.05, 0.02, 0, 0.06], noise: { level: 0.08, duration: 0.01 } },
+        envelope: { attack: 0.003, decay: 0.8, sustain: 0.35, release: 0.3 }
+    },
+    sine: {
+        label: 'Sine',
+        timbre: {},
+        envelope: { attack: 0.02, decay: 0.08, sustain: 0.7, release: 0.1 }
+    }
+};
+const INSTRUMENT_STORAGE_KEY = 'music_theory_instrument';
+
+// Challenges and varied timbres draw from their own streams of the session seed
+// (taken again at each start), so the instrument setting never changes a seeded
+// session's challenges
+let challengeStream = MetaMind.MathUtils.stream('music_theory');
+let timbreStream = MetaMind.MathUtils.stream('timbre');
+
+// Saved drill presets, by name
+const DRILL_STORAGE_KEY = 'music_theory_drills';
+
+// Sing-back: microphone frames are checked every SING_FRAME_MS; the answer is graded
+// once SING_VOICED_FRAMES frames carry a pitch, or after SING_MAX_FRAMES either way
+const SING_FRAME_MS = 50;
+const SING_VOICED_FRAMES = 12;
+const SING_MAX_FRAMES = 100;
 
 // Game State
 const gameState = {
@@ -48,12 +90,86 @@ const gameState = {
     totalChallenges: 10,
     currentChallenge: null,
     selectedOption: null,
+    dictation: [], // Notes entered so far for a dictation challenge
+    construction: [], // Keys selected so far for a construction challenge
+    keyboardOctave: 48, // MIDI note of the computer keyboard's A key (Z/X shift it)
+    singback: false, // Sing-back challenges enabled (they need the microphone)
+    reading: false, // Staff-reading challenges enabled
+    mode: 'mixed', // 'mixed' ear training, 'pitch' (absolute pitch), 'degrees' (scale degrees), 'construction' or 'drill'
+    anyOctave: false, // Constructions may be built in any octave (checked by pitch class)
+    drill: null, // Difficulty settings of a custom drill, replacing the level table
+    instrument: 'piano', // Key of INSTRUMENTS, or 'random' for a different one each challenge
+    spaced: false, // Weight items by the review schedule (off when replaying a seed)
+    seed: null, // Seed of the session's random stream
+    daily: false, // True when playing the shared daily challenge
     categoryStats: {
         scales: { correct: 0, total: 0 },
         intervals: { correct: 0, total: 0 },
-        chords: { correct: 0, total: 0 }
-    }
+        chords: { correct: 0, total: 0 },
+        inversions: { correct: 0, total: 0 },
+        progressions: { correct: 0, total: 0 },
+        dictation: { correct: 0, total: 0 },
+        singing: { correct: 0, total: 0 },
+        reading: { correct: 0, total: 0 },
+        pitch: { correct: 0, total: 0 },
+        degrees: { correct: 0, total: 0 },
+        construction: { correct: 0, total: 0 }
+    },
+    progressionStats: {}, // Progression accuracy by family, e.g. "Deceptive cadences"
+    intervalStats: {}, // Interval accuracy by presentation: "Ascending", "Descending" or "Harmonic"
+    noteStats: { pitch: {}, degrees: {} } // Accuracy and confusions by note name or scale degree
+};
+
+// Spaced repetition (Leitner boxes): a correct answer moves an item up a box and
+// schedules it REVIEW_DAYS[box - 1] days later; a miss sends it back to box 1, due now
+const REVIEW_STORAGE_KEY = 'music_theory_review';
+const REVIEW_DAYS = [0, 1, 3, 7, 16];
+const REVIEW_TYPES = ['scales', 'intervals', 'chords', 'progressions', 'pitch', 'degrees'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-item memory, keyed "type:name" (loaded at game start)
+let reviewItems = {};
+
+// Open microphone and the pitches heard so far during a sing-back attempt
+const singing = {
+    microphone: null,
+    frames: 0,
+    pitches: []
+};
+
+// Live audio visualization on the waveform panel
+const scope = {
+    analyser: null,
+    mode: 'oscilloscope', // 'oscilloscope', 'spectrum' or 'spectrogram'
+    frame: null, // Pending animation frame while redrawing
+    timeData: null,
+    frequencyData: null
+};
+
+// Frequency range of the spectrum and spectrogram (A1-A7, log scale)
+const SCOPE_MIN_FREQUENCY = 55;
+const SCOPE_MAX_FREQUENCY = 3520;
+
+// Staff notation: SVG geometry (staff positions count diatonic steps, C4 = 28)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STAFF = { lineGap: 10, top: 40, staffGap: 90, left: 50, columnWidth: 36, right: 20 };
+const CLEFS = {
+    treble: { topLine: 38, glyph: '𝄞', size: 42, baseline: 34 }, // Top line F5
+    bass: { topLine: 26, glyph: '𝄢', size: 32, baseline: 24 } // Top line A3
+};
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+const ACCIDENTALS = { '-2': '𝄫', '-1': '♭', '0': '♮', '1': '♯', '2': '𝄪' };
+// Letter steps above the root for each semitone offset (minor and major
+// intervals share a letter; the tritone is written as a diminished fifth)
+const STAFF_STEPS = [0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6];
+// Letter steps (within the octave) counted by the last word of an interval's name
+const INTERVAL_STEPS = {
+    Unison: 0, Second: 1, Third: 2, Fourth: 3, Tritone: 4, Fifth: 4, Sixth: 5, Seventh: 6, Octave: 0,
+    Ninth: 1, Tenth: 2, Eleventh: 3, Twelfth: 4, Thirteenth: 5, Fourteenth: 6
 };
+// Challenge types that can be read from the staff instead of heard
+const READING_TYPES = ['scales', 'intervals', 'chords'];
 
 // DOM Elements - populated in init() after DOM is ready
 let screens = {};
@@ -67,8 +183,27 @@ const musicData = {
         "Minor": [0, 2, 3, 5, 7, 8, 10],
         "Pentatonic": [0, 2, 4, 7, 9],
         "Blues": [0, 3, 5, 6, 7, 10],
-        "Whole Tone": [0, 2, 4, 6, 8, 10]
+        "Whole Tone": [0, 2, 4, 6, 8, 10],
+        "Harmonic Minor": [0, 2, 3, 5, 7, 8, 11],
+        "Melodic Minor": [0, 2, 3, 5, 7, 9, 11],
+        // Diatonic modes (Ionian and Aeolian are Major and Minor above)
+        "Dorian": [0, 2, 3, 5, 7, 9, 10],
+        "Phrygian": [0, 1, 3, 5, 7, 8, 10],
+        "Lydian": [0, 2, 4, 6, 7, 9, 11],
+        "Mixolydian": [0, 2, 4, 5, 7, 9, 10],
+        "Locrian": [0, 1, 3, 5, 6, 8, 10],
+        "Bebop Dominant": [0, 2, 4, 5, 7, 9, 10, 11],
+        "Bebop Major": [0, 2, 4, 5, 7, 8, 9, 11],
+        "Altered": [0, 1, 3, 4, 6, 8, 10]
     },
+    // Scales grouped by difficulty; each level adds the next tier
+    scaleTiers: [
+        ["Major", "Minor", "Pentatonic"],
+        ["Blues"],
+        ["Whole Tone", "Harmonic Minor", "Melodic Minor"],
+        ["Dorian", "Phrygian", "Lydian", "Mixolydian", "Locrian"],
+        ["Bebop Dominant", "Bebop Major", "Altered"]
+    ],
     intervals: {
         "Unison": 0,
         "Minor Second": 1,
@@ -82,8 +217,28 @@ const musicData = {
         "Major Sixth": 9,
         "Minor Seventh": 10,
         "Major Seventh": 11,
-        "Octave": 12
+        "Octave": 12,
+        // Compound intervals, up to two octaves
+        "Minor Ninth": 13,
+        "Major Ninth": 14,
+        "Minor Tenth": 15,
+        "Major Tenth": 16,
+        "Perfect Eleventh": 17,
+        "Augmented Eleventh": 18,
+        "Perfect Twelfth": 19,
+        "Minor Thirteenth": 20,
+        "Major Thirteenth": 21,
+        "Minor Fourteenth": 22,
+        "Major Fourteenth": 23,
+        "Double Octave": 24
     },
+    // Intervals grouped by difficulty; levels 2-5 add a tier each
+    intervalTiers: [
+        ["Unison", "Major Second", "Major Third", "Perfect Fourth", "Perfect Fifth", "Octave"],
+        ["Minor Second", "Minor Third", "Tritone", "Minor Sixth", "Major Sixth", "Minor Seventh", "Major Seventh"],
+        ["Minor Ninth", "Major Ninth", "Minor Tenth", "Major Tenth", "Perfect Eleventh", "Perfect Twelfth"],
+        ["Augmented Eleventh", "Minor Thirteenth", "Major Thirteenth", "Minor Fourteenth", "Major Fourteenth", "Double Octave"]
+    ],
     chords: {
         "Major": [0, 4, 7],
         "Minor": [0, 3, 7],
@@ -92,18 +247,126 @@ const musicData = {
         "Suspended 4th": [0, 5, 7],
         "7th": [0, 4, 7, 10],
         "Major 7th": [0, 4, 7, 11]
-    }
+    },
+    // Qualities used for inversion challenges (augmented and suspended chords
+    // sound like other chords once inverted, so they're left out)
+    inversionChords: ["Major", "Minor", "Diminished", "7th", "Major 7th"],
+    inversions: ["Root Position", "First Inversion", "Second Inversion", "Third Inversion"],
+    voicings: ["Close", "Open", "Drop 2"],
+    // Roman numerals in a major key: chord root (semitones above the tonic) and quality
+    romanNumerals: {
+        "I": { degree: 0, chord: "Major" },
+        "ii": { degree: 2, chord: "Minor" },
+        "iii": { degree: 4, chord: "Minor" },
+        "IV": { degree: 5, chord: "Major" },
+        "iv": { degree: 5, chord: "Minor" },
+        "V": { degree: 7, chord: "Major" },
+        "V7": { degree: 7, chord: "7th" },
+        "vi": { degree: 9, chord: "Minor" },
+        "♭VI": { degree: 8, chord: "Major" },
+        "♭VII": { degree: 10, chord: "Major" }
+    },
+    // Progressions (numerals joined by en dashes) and the family they're reported under
+    progressions: {
+        "I–IV–V–I": "Cadences",
+        "ii–V–I": "Cadences",
+        "I–V–vi–IV": "Loops",
+        "I–vi–IV–V": "Loops",
+        "I–IV–V7–vi": "Deceptive cadences",
+        "ii–V7–vi": "Deceptive cadences",
+        "I–vi–ii–V7–I": "Cadences",
+        "iii–vi–ii–V7–I": "Cadences",
+        "I–IV–iv–I": "Borrowed chords",
+        "I–♭VI–♭VII–I": "Borrowed chords",
+        "I–♭VII–IV–I": "Borrowed chords",
+        "I–♭VI–V7–vi": "Deceptive cadences"
+    },
+    // Progressions grouped by difficulty; levels 3-5 add a tier each
+    progressionTiers: [
+        ["I–IV–V–I", "ii–V–I", "I–V–vi–IV", "I–vi–IV–V"],
+        ["I–IV–V7–vi", "ii–V7–vi", "I–vi–ii–V7–I", "iii–vi–ii–V7–I"],
+        ["I–IV–iv–I", "I–♭VI–♭VII–I", "I–♭VII–IV–I", "I–♭VI–V7–vi"]
+    ],
+    // Played before every progression so the key is clear
+    cadence: ["I", "IV", "V7", "I"]
 };
 
-// Difficulty settings
+// Scales available up to (and including) a tier
+function scalesUpToTier(tier) {
+    return musicData.scaleTiers.slice(0, tier).flat();
+}
+
+// Intervals available up to (and including) a tier
+function intervalsUpToTier(tier) {
+    return musicData.intervalTiers.slice(0, tier).flat();
+}
+
+// Progressions available up to (and including) a tier
+function progressionsUpToTier(tier) {
+    return musicData.progressionTiers.slice(0, tier).flat();
+}
+
+// Difficulty settings (directions and randomStart control how scales are played back,
+// presentations how intervals are: one note after the other up or down, or together)
 const difficulties = {
-    1: { options: 3, types: ["scales"], elements: ["Major", "Minor", "Pentatonic"] },
-    2: { options: 4, types: ["scales", "intervals"], elements: ["Major", "Minor", "Pentatonic", "Blues"] },
-    3: { options: 5, types: ["scales", "intervals", "chords"], elements: ["Major", "Minor", "Pentatonic", "Blues", "Whole Tone"] },
-    4: { options: 6, types: ["scales", "intervals", "chords"], elements: Object.keys(musicData.scales) },
-    5: { options: 8, types: ["scales", "intervals", "chords"], elements: Object.keys(musicData.scales) }
+    1: { options: 3, types: ["scales"], elements: scalesUpToTier(1), directions: ["ascending"], randomStart: false },
+    2: { options: 4, types: ["scales", "intervals", "dictation"], elements: scalesUpToTier(2), directions: ["ascending"], randomStart: false, intervals: intervalsUpToTier(1), presentations: ["ascending"], melodyLength: 3 },
+    3: { options: 5, types: ["scales", "intervals", "chords", "progressions", "dictation"], elements: scalesUpToTier(3), directions: ["ascending", "descending"], randomStart: false, intervals: intervalsUpToTier(2), presentations: ["ascending", "descending"], chords: Object.keys(musicData.chords), progressions: progressionsUpToTier(1), melodyLength: 4 },
+    4: { options: 6, types: ["scales", "intervals", "chords", "inversions", "progressions", "dictation"], elements: scalesUpToTier(4), directions: ["ascending", "descending"], randomStart: true, intervals: intervalsUpToTier(3), presentations: ["ascending", "descending", "harmonic"], chords: Object.keys(musicData.chords), voicings: ["Close"], progressions: progressionsUpToTier(2), melodyLength: 5 },
+    5: { options: 8, types: ["scales", "intervals", "chords", "inversions", "progressions", "dictation"], elements: scalesUpToTier(5), directions: ["ascending", "descending"], randomStart: true, intervals: intervalsUpToTier(4), presentations: ["ascending", "descending", "harmonic"], chords: Object.keys(musicData.chords), voicings: musicData.voicings, progressions: progressionsUpToTier(3), melodyLength: 6 }
+};
+
+// Answer names for absolute pitch (by pitch class) and scale degrees (by semitones above the tonic)
+const PITCH_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const DEGREE_NAMES = ['1', '♭2', '2', '♭3', '3', '4', '♭5', '5', '♭6', '6', '♭7', '7'];
+
+// Absolute pitch ladder: which notes are asked and the range (MIDI notes) they're played in
+const pitchDifficulties = {
+    1: { types: ["pitch"], pitchClasses: [0, 4, 7], range: [60, 71] },
+    2: { types: ["pitch"], pitchClasses: [0, 2, 4, 5, 7, 9, 11], range: [60, 71] },
+    3: { types: ["pitch"], pitchClasses: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], range: [60, 71] },
+    4: { types: ["pitch"], pitchClasses: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], range: [48, 71] },
+    5: { types: ["pitch"], pitchClasses: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], range: [36, 83] }
+};
+
+// Scale degree ladder: which degrees are asked and the octaves (relative to the tonic's) they're played in
+const degreeDifficulties = {
+    1: { types: ["degrees"], degrees: [0, 4, 7], octaves: [0] },
+    2: { types: ["degrees"], degrees: [0, 2, 4, 5, 7, 9, 11], octaves: [0] },
+    3: { types: ["degrees"], degrees: [0, 2, 3, 4, 5, 7, 9, 10, 11], octaves: [0] },
+    4: { types: ["degrees"], degrees: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], octaves: [0] },
+    5: { types: ["degrees"], degrees: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], octaves: [-1, 0, 1] }
+};
+
+// Construction ladder: the chords and scales to build on the piano
+const constructionDifficulties = {
+    1: { types: ["construction"], chords: ["Major", "Minor"], elements: ["Major"] },
+    2: { types: ["construction"], chords: ["Major", "Minor", "Diminished", "Augmented"], elements: scalesUpToTier(1) },
+    3: { types: ["construction"], chords: Object.keys(musicData.chords), elements: scalesUpToTier(2) },
+    4: { types: ["construction"], chords: Object.keys(musicData.chords), elements: scalesUpToTier(3) },
+    5: { types: ["construction"], chords: Object.keys(musicData.chords), elements: scalesUpToTier(5) }
 };
 
+// Difficulty ladder of each mode
+const modeDifficulties = { mixed: difficulties, pitch: pitchDifficulties, degrees: degreeDifficulties, construction: constructionDifficulties };
+
+// Difficulty settings for the current drill, or the current mode and level
+function currentDifficulty() {
+    if (gameState.drill) return gameState.drill;
+    return modeDifficulties[gameState.mode][Math.min(gameState.level, 5)];
+}
+
+// Computer keys for the piano, as semitones above the keyboard octave (DAW-style layout)
+const KEYBOARD_NOTES = {
+    KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7,
+    KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16
+};
+
+// Note names in circle-of-fifths order (pitch class p sits at index p * 7 % 12)
+const CIRCLE_OF_FIFTHS = ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"];
+// Relative minor of each key above (a minor third below its tonic)
+const CIRCLE_MINORS = ["Am", "Em", "Bm", "F#m", "C#m", "G#m", "Ebm", "Bbm", "Fm", "Cm", "Gm", "Dm"];
+
 // Initialize the module
 function init() {
     log('info', 'Initializing module');
@@ -111,6 +374,7 @@ function init() {
     // Populate DOM elements after DOM is ready
     screens = {
         start: document.getElementById('start-screen'),
+        drill: document.getElementById('drill-screen'),
         game: document.getElementById('game-screen'),
         feedback: document.getElementById('feedback-screen'),
         results: document.getElementById('results-screen')
@@ -127,10 +391,29 @@ function init() {
         optionsContainer: document.getElementById('options-container'),
         feedbackMessage: document.getElementById('feedback-message'),
         correctAnswer: document.getElementById('correct-answer'),
+        feedbackStaff: document.getElementById('feedback-staff'),
+        feedbackPiano: document.getElementById('feedback-piano'),
+        challengeStaff: document.getElementById('challenge-staff'),
         finalScore: document.getElementById('final-score'),
         bestStreak: document.getElementById('best-streak'),
         maxLevel: document.getElementById('max-level'),
-        categoryStats: document.getElementById('category-stats')
+        categoryStats: document.getElementById('category-stats'),
+        reviewList: document.getElementById('review-list'),
+        singbackToggle: document.getElementById('singback-toggle'),
+        readingToggle: document.getElementById('reading-toggle'),
+        anyOctaveToggle: document.getElementById('any-octave-toggle'),
+        modeSelect: document.getElementById('mode-select'),
+        instrumentSelect: document.getElementById('instrument-select'),
+        midiSelect: document.getElementById('midi-select'),
+        midiInput: document.getElementById('midi-input'),
+        drillPresets: document.getElementById('drill-presets'),
+        drillName: document.getElementById('drill-name'),
+        drillScales: document.getElementById('drill-scales'),
+        drillIntervals: document.getElementById('drill-intervals'),
+        drillChords: document.getElementById('drill-chords'),
+        drillPlayback: document.getElementById('drill-playback'),
+        drillOptions: document.getElementById('drill-options'),
+        drillLength: document.getElementById('drill-length')
     };
 
     buttons = {
@@ -139,6 +422,11 @@ function init() {
         submit: document.getElementById('submit-button'),
         next: document.getElementById('next-button'),
         restart: document.getElementById('restart-button'),
+        openDrill: document.getElementById('drill-button'),
+        saveDrill: document.getElementById('save-drill-button'),
+        deleteDrill: document.getElementById('delete-drill-button'),
+        startDrill: document.getElementById('start-drill-button'),
+        drillBack: document.getElementById('drill-back-button'),
         togglePiano: document.getElementById('toggle-piano'),
         toggleWaveform: document.getElementById('toggle-waveform'),
         toggleCircle: document.getElementById('toggle-circle')
@@ -156,16 +444,33 @@ function init() {
     fixVisualizationDisplay();
 
     // Set up button event listeners with safe attachment
-    addClickListener(buttons.start, startGame, 'startButton');
+    addClickListener(buttons.start, () => startGame(), 'startButton');
     addClickListener(buttons.play, playCurrentChallenge, 'playButton');
     addClickListener(buttons.submit, submitAnswer, 'submitButton');
     addClickListener(buttons.next, nextChallenge, 'nextButton');
     addClickListener(buttons.restart, restartGame, 'restartButton');
+    
+    // Set up the drill builder
+    addClickListener(buttons.openDrill, openDrillBuilder, 'drillButton');
+    addClickListener(buttons.saveDrill, saveDrill, 'saveDrillButton');
+    addClickListener(buttons.deleteDrill, deleteDrill, 'deleteDrillButton');
+    addClickListener(buttons.startDrill, startDrill, 'startDrillButton');
+    addClickListener(buttons.drillBack, () => switchScreen('start'), 'drillBackButton');
+    try {
+        initDrillBuilder();
+    } catch (err) {
+        log('error', `Failed to initialize drill builder: ${err.message}`, err);
+    }
 
     // Set up visualization toggle buttons
     addClickListener(buttons.togglePiano, () => toggleVisualization('piano'), 'togglePiano');
     addClickListener(buttons.toggleWaveform, () => toggleVisualization('waveform'), 'toggleWaveform');
     addClickListener(buttons.toggleCircle, () => toggleVisualization('circle'), 'toggleCircle');
+    
+    // Set up oscilloscope/spectrum/spectrogram switches
+    document.querySelectorAll('.scope-mode').forEach(button => {
+        addClickListener(button, () => setScopeMode(button.dataset.mode), `scope-${button.dataset.mode}`);
+    });
 
     // Initialize the piano keyboard
     try {
@@ -181,9 +486,34 @@ function init() {
         log('error', `Failed to initialize circle of fifths: ${err.message}`, err);
     }
 
+    // List the instruments (remembered between sessions)
+    initInstrumentSelect();
+
+    // Play the piano from a MIDI keyboard
+    MetaMind.MIDI.onNote(handleMidiNote);
+    MetaMind.MIDI.onDevicesChange(updateMidiInputs);
+    if (elements.midiInput) {
+        elements.midiInput.addEventListener('change', () => {
+            MetaMind.MIDI.select(elements.midiInput.value || null);
+        });
+    }
+
+    // Play the piano from the computer keyboard
+    document.addEventListener('keydown', function(e) {
+        try {
+            handleKeyDown(e);
+        } catch (err) {
+            log('error', `Error in keydown handler: ${err.message}`, err);
+        }
+    });
+
     // Add window resize handler
     window.addEventListener('resize', fixVisualizationDisplay);
 
+    // Pause playback along with the highlight timers when the tab is hidden
+    // (MetaMind.Audio suspends its clock whenever the timers pause)
+    MetaMind.Timer.enableAutoPause();
+
     log('info', 'Module initialized successfully');
 }
 
@@ -246,31 +576,42 @@ function fixVisualizationDisplay() {
             canvas.height = elements.waveformDisplay.clientHeight || 150;
             elements.waveformDisplay.appendChild(canvas);
         } else {
+            // Resizing clears the canvas (and the spectrogram's history), so only when needed
             const canvas = elements.waveformDisplay.querySelector('canvas');
-            canvas.width = elements.waveformDisplay.clientWidth || 300;
-            canvas.height = elements.waveformDisplay.clientHeight || 150;
+            const width = elements.waveformDisplay.clientWidth || 300;
+            const height = elements.waveformDisplay.clientHeight || 150;
+            if (canvas.width !== width) canvas.width = width;
+            if (canvas.height !== height) canvas.height = height;
         }
     }
 }
 
-// Start the game
-function startGame() {
-    log('info', 'Starting game');
+// Start the game, with a drill preset (see readDrillForm) replacing the level table if given
+async function startGame(preset = null) {
+    log('info', preset ? `Starting drill ${preset.name || '(unsaved)'}` : 'Starting game');
 
-    // Initialize audio context
-    if (!audioContext) {
-        try {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            masterGainNode = audioContext.createGain();
-            masterGainNode.gain.value = 0.3; // Default volume
-            masterGainNode.connect(audioContext.destination);
-            log('info', 'Audio context initialized');
-        } catch (e) {
-            log('error', 'Web Audio API is not supported in this browser', e);
-            alert('Your browser does not support the Web Audio API. Some features may not work properly.');
-        }
+    // Initialize the shared audio engine
+    if (!MetaMind.Audio.init(0.3)) {
+        alert('Your browser does not support the Web Audio API. Some features may not work properly.');
     }
 
+    // Connect MIDI keyboards (reopens the device chosen last time)
+    initMidiInput();
+
+    // Saved state comes from the storage backend once any move to it has finished
+    await MetaMind.Storage.ready;
+
+    // Seed the session's random stream (replayable via ?seed= or ?daily)
+    const session = MetaMind.MathUtils.startSession();
+    gameState.seed = session.seed;
+    gameState.daily = session.daily;
+    gameState.spaced = !session.fromUrl;
+    challengeStream = MetaMind.MathUtils.stream('music_theory');
+    timbreStream = MetaMind.MathUtils.stream('timbre');
+    reviewItems = MetaMind.Storage.load(REVIEW_STORAGE_KEY, {});
+    setInstrument(MetaMind.Storage.load(INSTRUMENT_STORAGE_KEY, 'piano'));
+    MetaMind.Progress.clearTrials('music_theory');
+
     // Reset game state
     gameState.level = 1;
     gameState.score = 0;
@@ -278,11 +619,20 @@ function startGame() {
     gameState.bestStreak = 0;
     gameState.challengeCount = 0;
     gameState.selectedOption = null;
+    gameState.singback = !!(elements.singbackToggle && elements.singbackToggle.checked);
+    gameState.reading = !!(elements.readingToggle && elements.readingToggle.checked);
+    gameState.anyOctave = !!(elements.anyOctaveToggle && elements.anyOctaveToggle.checked);
+    gameState.drill = preset ? drillDifficulty(preset) : null;
+    gameState.mode = preset ? 'drill' : (elements.modeSelect ? elements.modeSelect.value : 'mixed');
+    gameState.totalChallenges = preset ? preset.length : 10;
 
     // Reset category stats
     Object.keys(gameState.categoryStats).forEach(category => {
         gameState.categoryStats[category] = { correct: 0, total: 0 };
     });
+    gameState.progressionStats = {};
+    gameState.intervalStats = {};
+    gameState.noteStats = { pitch: {}, degrees: {} };
 
     // Update UI safely
     if (elements.level) elements.level.textContent = gameState.level;
@@ -305,25 +655,57 @@ function startGame() {
 
 // Generate a new challenge
 function generateChallenge() {
-    const difficulty = difficulties[Math.min(gameState.level, 5)];
+    const difficulty = currentDifficulty();
     
-    // Select challenge type
-    const challengeType = difficulty.types[Math.floor(Math.random() * difficulty.types.length)];
+    // Select challenge type (in mixed mode, sing-back joins from level 2 and staff reading from level 1 when enabled)
+    const types = [...difficulty.types];
+    if (gameState.mode === 'mixed' && gameState.singback && gameState.level >= 2) types.push('singing');
+    if (gameState.mode === 'mixed' && gameState.reading) types.push('reading');
+    const challengeType = challengeStream.pick(types);
     
     // Select available elements based on difficulty
     const availableElements = difficulty.elements;
     
-    // Reset selected option
+    // Reset selected option and any dictated or selected notes
     gameState.selectedOption = null;
+    gameState.dictation = [];
+    gameState.construction = [];
     
     if (challengeType === 'scales') {
-        generateScaleChallenge(availableElements);
+        generateScaleChallenge(availableElements, difficulty);
     } else if (challengeType === 'intervals') {
-        generateIntervalChallenge(availableElements);
+        generateIntervalChallenge(difficulty.intervals, difficulty.presentations);
     } else if (challengeType === 'chords') {
-        generateChordChallenge(availableElements);
+        generateChordChallenge(difficulty.chords);
+    } else if (challengeType === 'inversions') {
+        generateInversionChallenge(difficulty.voicings);
+    } else if (challengeType === 'progressions') {
+        generateProgressionChallenge(difficulty.progressions);
+    } else if (challengeType === 'dictation') {
+        generateDictationChallenge(difficulty.melodyLength);
+    } else if (challengeType === 'singing') {
+        generateSingingChallenge();
+    } else if (challengeType === 'reading') {
+        generateReadingChallenge(availableElements, difficulty);
+    } else if (challengeType === 'pitch') {
+        generatePitchChallenge(difficulty.pitchClasses, difficulty.range);
+    } else if (challengeType === 'degrees') {
+        generateDegreeChallenge(difficulty.degrees, difficulty.octaves);
+    } else if (challengeType === 'construction') {
+        generateConstructionChallenge(difficulty);
+    }
+    
+    // Remember when the challenge was presented for reaction times
+    gameState.currentChallenge.presentedAt = Date.now();
+    
+    // Vary the timbre per challenge if asked, so answers don't lean on one sound
+    if (gameState.instrument === 'random') {
+        gameState.currentChallenge.instrument = timbreStream.pick(Object.keys(INSTRUMENTS));
     }
     
+    // Update category stats
+    gameState.categoryStats[gameState.currentChallenge.type].total++;
+
     // Update challenge count
     gameState.challengeCount++;
     
@@ -333,73 +715,124 @@ function generateChallenge() {
     // Generate options
     generateOptions(difficulty.options);
     
+    // Write out the challenge when it's to be read rather than heard
+    updateChallengeStaff();
+    
     // Clear any active highlights
     clearKeyHighlights();
+    
+    // Follow the new challenge on the circle of fifths if it's showing
+    if (buttons.toggleCircle.classList.contains('active')) {
+        highlightCircleNotes();
+    }
+}
+
+// Pick an item to ask about, favouring weak and overdue ones
+function pickItem(type, names) {
+    if (!gameState.spaced) return challengeStream.pick(names);
+    return challengeStream.weightedPick(names, names.map(name => reviewWeight(type, name)));
+}
+
+// Selection weight: lower boxes weigh more, and anything due weighs triple
+function reviewWeight(type, name) {
+    const item = reviewItems[`${type}:${name}`];
+    if (!item) return 3 * 5; // Unseen items are due, in box 1
+    return (item.due <= Date.now() ? 3 : 1) * (6 - item.box);
+}
+
+// Move an item between Leitner boxes after an answer and save the schedule
+function recordReview(type, name, isCorrect) {
+    const key = `${type}:${name}`;
+    const item = reviewItems[key] || { box: 1, due: 0, seen: 0, correct: 0 };
+    item.seen++;
+    if (isCorrect) {
+        item.correct++;
+        item.box = Math.min(REVIEW_DAYS.length, item.box + 1);
+    } else {
+        item.box = 1;
+    }
+    item.due = Date.now() + REVIEW_DAYS[item.box - 1] * DAY_MS;
+    reviewItems[key] = item;
+    MetaMind.Storage.save(REVIEW_STORAGE_KEY, reviewItems);
+}
+
+// Items due now, weakest first
+function dueItems() {
+    const now = Date.now();
+    return Object.entries(reviewItems)
+        .filter(([, item]) => item.due <= now)
+        .map(([key, item]) => {
+            const [type, name] = key.split(':');
+            return { type, name, ...item };
+        })
+        .sort((a, b) => a.box - b.box || a.due - b.due);
 }
 
 // Generate a scale challenge
-function generateScaleChallenge(availableElements) {
+function generateScaleChallenge(availableElements, difficulty) {
     // Filter scales to only include those in availableElements
     const availableScales = Object.keys(musicData.scales).filter(scale => availableElements.includes(scale));
     
     // Select a random scale
-    const scaleName = availableScales[Math.floor(Math.random() * availableScales.length)];
+    const scaleName = pickItem('scales', availableScales);
     const scale = musicData.scales[scaleName];
     
     // Generate a root note (in MIDI numbers, C4 = 60)
-    const rootNote = 60 + Math.floor(Math.random() * 12); // Random root between C4 and B4
+    const rootNote = challengeStream.randomInt(60, 71); // Random root between C4 and B4
     
     // Generate a melodic pattern from the scale
     const fullScale = scale.map(note => rootNote + note);
     
+    // Choose how it's played back (fixed per challenge so replays sound the same)
+    const playback = {
+        direction: challengeStream.pick(difficulty.directions),
+        start: difficulty.randomStart ? challengeStream.randomInt(0, scale.length - 1) : 0
+    };
+    
     gameState.currentChallenge = {
         type: 'scales',
         name: scaleName,
         rootNote: rootNote,
         notes: fullScale,
+        playback: playback,
         correctAnswer: scaleName
     };
-    
-    // Update category stats
-    gameState.categoryStats.scales.total++;
 }
 
-// Generate an interval challenge
-function generateIntervalChallenge(availableElements) {
-    // Select an interval
-    const intervalNames = Object.keys(musicData.intervals);
-    const intervalName = intervalNames[Math.floor(Math.random() * intervalNames.length)];
+// Generate an interval challenge from the level's intervals, played up, down or together
+function generateIntervalChallenge(availableIntervals, presentations) {
+    // Select an interval and how it's presented
+    const intervalName = pickItem('intervals', availableIntervals);
     const intervalValue = musicData.intervals[intervalName];
+    const presentation = challengeStream.pick(presentations);
     
-    // Generate a root note
-    const rootNote = 60 + Math.floor(Math.random() * 12); // Random root between C4 and B4
+    // Generate a root note (compound intervals start an octave lower to stay in range)
+    const rootNote = intervalValue > 12
+        ? challengeStream.randomInt(48, 59) // Random root between C3 and B3
+        : challengeStream.randomInt(60, 71); // Random root between C4 and B4
     
-    // Generate the interval notes
+    // Generate the interval notes in the order they're played
     const intervalNotes = [rootNote, rootNote + intervalValue];
+    if (presentation === 'descending') intervalNotes.reverse();
     
     gameState.currentChallenge = {
         type: 'intervals',
         name: intervalName,
         rootNote: rootNote,
+        presentation: presentation,
         notes: intervalNotes,
         correctAnswer: intervalName
     };
-    
-    // Update category stats
-    gameState.categoryStats.intervals.total++;
 }
 
 // Generate a chord challenge
-function generateChordChallenge(availableElements) {
-    // Filter chords if needed (based on availableElements)
-    const availableChords = Object.keys(musicData.chords);
-    
+function generateChordChallenge(availableChords) {
     // Select a random chord
-    const chordName = availableChords[Math.floor(Math.random() * availableChords.length)];
+    const chordName = pickItem('chords', availableChords);
     const chord = musicData.chords[chordName];
     
     // Generate a root note
-    const rootNote = 60 + Math.floor(Math.random() * 12); // Random root between C4 and B4
+    const rootNote = challengeStream.randomInt(60, 71); // Random root between C4 and B4
     
     // Generate the chord notes
     const chordNotes = chord.map(note => rootNote + note);
@@ -411,9 +844,523 @@ function generateChordChallenge(availableElements) {
         notes: chordNotes,
         correctAnswer: chordName
     };
+}
+
+// Generate a chord inversion challenge (quality and inversion, in one of the level's voicings)
+function generateInversionChallenge(availableVoicings) {
+    // Select a chord and which of its tones is in the bass
+    const chordName = challengeStream.pick(musicData.inversionChords);
+    const chord = musicData.chords[chordName];
+    const inversion = challengeStream.randomInt(0, chord.length - 1);
     
-    // Update category stats
-    gameState.categoryStats.chords.total++;
+    // Drop 2 needs four voices
+    const voicings = availableVoicings.filter(voicing => voicing !== 'Drop 2' || chord.length === 4);
+    const voicing = challengeStream.pick(voicings);
+    
+    // Generate a root note and voice the chord
+    const rootNote = challengeStream.randomInt(60, 71); // Random root between C4 and B4
+    const chordNotes = voiceChord(chord.map(note => rootNote + note), inversion, voicing);
+    
+    gameState.currentChallenge = {
+        type: 'inversions',
+        name: chordName,
+        rootNote: rootNote,
+        inversion: inversion,
+        voicing: voicing,
+        bassNote: chordNotes[0],
+        notes: chordNotes,
+        correctAnswer: inversionLabel(chordName, inversion)
+    };
+}
+
+// Answer text for an inversion challenge, e.g. "Major, First Inversion"
+function inversionLabel(chordName, inversion) {
+    return `${chordName}, ${musicData.inversions[inversion]}`;
+}
+
+// Voice a root-position chord with chord tone `inversion` in the bass.
+// Open raises the voice above the bass an octave; Drop 2 lowers the second voice
+// from the top an octave. The result is moved so the bass sits in C3-B3, on the piano.
+function voiceChord(rootPosition, inversion, voicing) {
+    const size = rootPosition.length;
+    
+    // Drop 2 moves a voice below the bass, so start from the close inversion
+    // that has the wanted bass tone second from the top
+    const closeInversion = voicing === 'Drop 2' ? (inversion + 2) % size : inversion;
+    let notes = rootPosition.slice();
+    for (let i = 0; i < closeInversion; i++) {
+        notes.push(notes.shift() + 12);
+    }
+    
+    if (voicing === 'Open') {
+        notes = [notes[0], ...notes.slice(2), notes[1] + 12];
+    } else if (voicing === 'Drop 2') {
+        const dropped = notes.splice(size - 2, 1)[0] - 12;
+        notes.unshift(dropped);
+    }
+    
+    const shift = Math.floor((notes[0] - 48) / 12) * 12;
+    return notes.map(note => note - shift);
+}
+
+// Generate a chord progression challenge, answered in Roman numerals
+function generateProgressionChallenge(availableProgressions) {
+    // Select a progression
+    const progressionName = pickItem('progressions', availableProgressions);
+    
+    // Generate the key's tonic
+    const rootNote = challengeStream.randomInt(60, 71); // Random tonic between C4 and B4
+    
+    // Voice the cadence and the progression in that key
+    const cadence = musicData.cadence.map(numeral => voiceNumeral(numeral, rootNote));
+    const chords = progressionName.split('–').map(numeral => voiceNumeral(numeral, rootNote));
+    
+    gameState.currentChallenge = {
+        type: 'progressions',
+        name: progressionName,
+        family: musicData.progressions[progressionName],
+        rootNote: rootNote,
+        cadence: cadence,
+        chords: chords,
+        notes: chords.flat(),
+        correctAnswer: progressionName
+    };
+}
+
+// Voice a Roman numeral in the key of `tonic`: its root an octave below the
+// tonic, the chord tones kept within the octave above it for smooth voice leading
+function voiceNumeral(numeral, tonic) {
+    const { degree, chord } = musicData.romanNumerals[numeral];
+    const upper = musicData.chords[chord].map(interval => tonic + (degree + interval) % 12);
+    return [tonic - 12 + degree, ...upper.sort((a, b) => a - b)];
+}
+
+// Generate a melodic dictation challenge: a short major-key melody to play back on the piano
+function generateDictationChallenge(melodyLength) {
+    const major = musicData.scales.Major;
+    
+    // Generate a tonic low enough for the melody to move both ways on the piano
+    const rootNote = challengeStream.randomInt(53, 60); // Random tonic between F3 and C4
+    const degreeToMidi = degree => rootNote + 12 * Math.floor(degree / 7) + major[((degree % 7) + 7) % 7];
+    
+    // Start on the tonic and move by steps and thirds, turning back at the ends of the piano
+    const degrees = [0];
+    while (degrees.length < melodyLength) {
+        const previous = degrees[degrees.length - 1];
+        const step = challengeStream.pick([-2, -1, 1, 2]);
+        const next = degreeToMidi(previous + step);
+        degrees.push(next >= 48 && next <= 71 ? previous + step : previous - step);
+    }
+    const melody = degrees.map(degreeToMidi);
+    
+    gameState.currentChallenge = {
+        type: 'dictation',
+        name: 'Melody',
+        rootNote: rootNote,
+        notes: melody,
+        correctAnswer: melody.map(getMidiNoteName).join(' ')
+    };
+}
+
+// Credit for a dictation answer: half for notes in the right place, half for
+// moving in the right direction between them (the melody's contour)
+function dictationCredit(melody, entered) {
+    const correctNotes = melody.filter((note, index) => entered[index] === note).length;
+    let correctSteps = 0;
+    for (let i = 1; i < melody.length; i++) {
+        if (Math.sign(entered[i] - entered[i - 1]) === Math.sign(melody[i] - melody[i - 1])) {
+            correctSteps++;
+        }
+    }
+    return 0.5 * correctNotes / melody.length + 0.5 * correctSteps / (melody.length - 1);
+}
+
+// Add a played note to the dictation answer, marking the key right or wrong
+function enterDictationNote(midiNote) {
+    const challenge = gameState.currentChallenge;
+    const index = gameState.dictation.length;
+    if (index >= challenge.notes.length) return;
+    
+    gameState.dictation.push(midiNote);
+    const isCorrect = midiNote === challenge.notes[index];
+    
+    // Flash the key green or red
+    const key = pianoKey(midiNote);
+    if (key) {
+        key.classList.add(isCorrect ? 'key-correct' : 'key-wrong');
+        MetaMind.Timer.after(500, () => key.classList.remove('key-correct', 'key-wrong'));
+    }
+    updateDictationUI();
+    
+    // Grade once the whole melody is in
+    if (gameState.dictation.length === challenge.notes.length) {
+        gameState.selectedOption = gameState.dictation.map(getMidiNoteName).join(' ');
+        submitAnswer();
+    }
+}
+
+// Show one slot per melody note, filled in as notes are entered
+function updateDictationUI() {
+    const challenge = gameState.currentChallenge;
+    elements.optionsContainer.innerHTML = '';
+    
+    const slots = document.createElement('div');
+    slots.className = 'dictation-slots';
+    challenge.notes.forEach((note, index) => {
+        const slot = document.createElement('div');
+        slot.className = 'dictation-slot';
+        const entered = gameState.dictation[index];
+        if (entered !== undefined) {
+            slot.textContent = getMidiNoteName(entered);
+            slot.classList.add(entered === note ? 'slot-correct' : 'slot-wrong');
+        } else {
+            slot.textContent = '?';
+        }
+        slots.appendChild(slot);
+    });
+    
+    elements.optionsContainer.appendChild(slots);
+}
+
+// Generate a sing-back challenge: sing an interval above a note, or a degree of a major key
+function generateSingingChallenge() {
+    const variant = challengeStream.pick(['interval', 'degree']);
+    const rootNote = challengeStream.randomInt(55, 64); // Random root between G3 and E4
+    
+    let name;
+    let targetNote;
+    if (variant === 'interval') {
+        // Simple intervals only (any octave counts, and unison and octave are the root's pitch class)
+        const intervalNames = Object.keys(musicData.intervals).filter(interval => musicData.intervals[interval] > 0 && musicData.intervals[interval] < 12);
+        name = challengeStream.pick(intervalNames);
+        targetNote = rootNote + musicData.intervals[name];
+    } else {
+        const degree = challengeStream.randomInt(2, 7);
+        name = `Degree ${degree}`;
+        targetNote = rootNote + musicData.scales.Major[degree - 1];
+    }
+    
+    gameState.currentChallenge = {
+        type: 'singing',
+        name: name,
+        variant: variant,
+        rootNote: rootNote,
+        notes: [rootNote, targetNote],
+        // Any octave counts, so the answer is the pitch class
+        correctAnswer: MetaMind.Audio.midiToNoteName(targetNote, { octave: false })
+    };
+}
+
+// Show the microphone button, tuning meter and readout
+function updateSingingUI() {
+    elements.optionsContainer.innerHTML = '';
+    
+    const panel = document.createElement('div');
+    panel.className = 'singing-panel';
+    panel.innerHTML = `
+        <button id="sing-button" class="control-button">🎤 Sing</button>
+        <div id="tuning-meter" class="tuning-meter">
+            <div class="tuning-center"></div>
+            <div id="tuning-needle" class="tuning-needle"></div>
+        </div>
+        <div id="sung-note" class="sung-note">Press Sing, then hold the note</div>
+        <button id="skip-button" class="control-button hidden">Skip</button>
+    `;
+    elements.optionsContainer.appendChild(panel);
+    
+    addClickListener(panel.querySelector('#sing-button'), startSinging, 'singButton');
+    addClickListener(panel.querySelector('#skip-button'), skipChallenge, 'skipButton');
+}
+
+// Open the microphone and start listening for the sung note
+async function startSinging() {
+    if (singing.microphone || !MetaMind.Audio.initialized) return;
+    
+    const readout = document.getElementById('sung-note');
+    const challenge = gameState.currentChallenge;
+    try {
+        singing.microphone = await MetaMind.Audio.openMicrophone();
+    } catch (err) {
+        // Without a microphone this challenge can only be skipped, and no more are asked
+        log('warn', `Microphone unavailable: ${err.message}`);
+        gameState.singback = false;
+        readout.textContent = 'Microphone unavailable - sing-back is off for this session';
+        document.getElementById('sing-button').classList.add('hidden');
+        document.getElementById('skip-button').classList.remove('hidden');
+        return;
+    }
+    
+    // The player may have moved on while the microphone was being opened
+    if (gameState.currentChallenge !== challenge || screens.game.classList.contains('hidden')) {
+        stopMicrophone();
+        return;
+    }
+    
+    singing.frames = 0;
+    singing.pitches = [];
+    readout.textContent = 'Listening...';
+    MetaMind.Timer.repeat('music_singing', SING_FRAME_MS, sampleSinging);
+}
+
+// Offset of a sung (fractional MIDI) pitch from the target in cents, ignoring octaves
+function centsFromTarget(midi, targetNote) {
+    const semitones = ((midi - targetNote) % 12 + 18) % 12 - 6;
+    return Math.round(semitones * 100);
+}
+
+// Read one microphone frame: move the tuning meter and collect the pitch
+function sampleSinging() {
+    const targetNote = gameState.currentChallenge.notes[1];
+    const pitch = singing.microphone.detect();
+    singing.frames++;
+    
+    if (pitch) {
+        const midi = MetaMind.Audio.frequencyToMidi(pitch.frequency);
+        const cents = centsFromTarget(midi, targetNote);
+        singing.pitches.push(midi);
+        
+        // Needle spans -50 to +50 cents
+        document.getElementById('tuning-needle').style.left = `${MetaMind.MathUtils.clamp(50 + cents, 0, 100)}%`;
+        document.getElementById('sung-note').textContent =
+            `${MetaMind.Audio.midiToNoteName(midi)} (${cents > 0 ? '+' : ''}${cents} cents)`;
+    }
+    
+    if (singing.pitches.length >= SING_VOICED_FRAMES || singing.frames >= SING_MAX_FRAMES) {
+        finishSinging();
+    }
+}
+
+// Stop listening and grade the median sung pitch
+function finishSinging() {
+    stopSinging();
+    
+    const challenge = gameState.currentChallenge;
+    if (singing.pitches.length === 0) {
+        gameState.selectedOption = 'No pitch';
+    } else {
+        const sorted = singing.pitches.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        challenge.sungCents = centsFromTarget(median, challenge.notes[1]);
+        gameState.selectedOption = MetaMind.Audio.midiToNoteName(median, { octave: false });
+    }
+    submitAnswer();
+}
+
+// Move past a challenge that can't be answered (sing-back without a microphone):
+// it's logged as unanswered and left out of the category's accuracy
+function skipChallenge() {
+    stopSinging();
+    const challenge = gameState.currentChallenge;
+    MetaMind.Progress.recordTrial('music_theory', {
+        stimulus: trialStimulus(challenge),
+        response: null,
+        correct: false,
+        skipped: true,
+        presentedAt: challenge.presentedAt
+    });
+    gameState.categoryStats[challenge.type].total--;
+    nextChallenge();
+}
+
+// Stop listening without grading: release the frame sampler and the microphone
+function stopSinging() {
+    MetaMind.Timer.clear('music_singing');
+    stopMicrophone();
+}
+
+// Release the microphone if it's open
+function stopMicrophone() {
+    if (singing.microphone) {
+        singing.microphone.close();
+        singing.microphone = null;
+    }
+}
+
+// Generate a staff-reading challenge: a scale, interval or chord from the level, written out to be named
+function generateReadingChallenge(availableElements, difficulty) {
+    const variant = challengeStream.pick(READING_TYPES.filter(type => difficulty.types.includes(type)));
+    if (variant === 'scales') {
+        generateScaleChallenge(availableElements, difficulty);
+    } else if (variant === 'intervals') {
+        generateIntervalChallenge(difficulty.intervals, difficulty.presentations);
+    } else {
+        generateChordChallenge(difficulty.chords);
+    }
+    
+    gameState.currentChallenge.type = 'reading';
+    gameState.currentChallenge.variant = variant;
+}
+
+// Generate a construction challenge: a chord or scale from the level, named to be built on the piano
+function generateConstructionChallenge(difficulty) {
+    const variant = challengeStream.pick(['chords', 'scales']);
+    if (variant === 'scales') {
+        generateScaleChallenge(difficulty.elements, { directions: ['ascending'], randomStart: false });
+    } else {
+        generateChordChallenge(difficulty.chords);
+    }
+    
+    // Keep it on the piano, an octave down if it runs off the top
+    const challenge = gameState.currentChallenge;
+    if (Math.max(...challenge.notes) > 71) {
+        challenge.rootNote -= 12;
+        challenge.notes = challenge.notes.map(note => note - 12);
+    }
+    delete challenge.playback;
+    
+    challenge.type = 'construction';
+    challenge.variant = variant;
+    challenge.anyOctave = gameState.anyOctave;
+    challenge.correctAnswer = challenge.notes.map(note => constructionNoteName(challenge, note)).join(' ');
+}
+
+// The kind of item a challenge is about (reading and construction challenges keep it in their variant)
+function challengeKind(challenge) {
+    return challenge.type === 'reading' || challenge.type === 'construction' ? challenge.variant : challenge.type;
+}
+
+// Written name of a note in a construction, spelled for its key (without the
+// octave when any octave will do)
+function constructionNoteName(challenge, midiNote) {
+    const name = spelledName(noteSpeller(challenge)(midiNote));
+    return challenge.anyOctave ? name.replace(/-?\d+$/, '') : name;
+}
+
+// Select or deselect a piano key for a construction answer
+function toggleConstructionNote(midiNote) {
+    const challenge = gameState.currentChallenge;
+    const selected = !gameState.construction.includes(midiNote);
+    gameState.construction = selected
+        ? [...gameState.construction, midiNote].sort((a, b) => a - b)
+        : gameState.construction.filter(note => note !== midiNote);
+    
+    const key = pianoKey(midiNote);
+    if (key) key.classList.toggle('key-selected', selected);
+    
+    gameState.selectedOption = gameState.construction.length > 0
+        ? gameState.construction.map(note => constructionNoteName(challenge, note)).join(' ')
+        : null;
+    updateConstructionUI();
+}
+
+// Deselect every key of a construction answer
+function clearConstruction() {
+    gameState.construction.slice().forEach(toggleConstructionNote);
+}
+
+// Show the selected notes (spelled for the key) and a button to start over
+function updateConstructionUI() {
+    const challenge = gameState.currentChallenge;
+    elements.optionsContainer.innerHTML = '';
+    
+    const slots = document.createElement('div');
+    slots.className = 'dictation-slots';
+    gameState.construction.forEach(note => {
+        const slot = document.createElement('div');
+        slot.className = 'dictation-slot';
+        slot.textContent = constructionNoteName(challenge, note);
+        slots.appendChild(slot);
+    });
+    if (gameState.construction.length === 0) {
+        const slot = document.createElement('div');
+        slot.className = 'dictation-slot';
+        slot.textContent = '?';
+        slots.appendChild(slot);
+    }
+    
+    const clearButton = document.createElement('button');
+    clearButton.className = 'control-button construction-clear';
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', clearConstruction);
+    slots.appendChild(clearButton);
+    
+    elements.optionsContainer.appendChild(slots);
+}
+
+/**
+ * Check a construction key by key. Keys are compared as sounding pitches, so
+ * enharmonic spellings (C♯/D♭) are the same key; when any octave will do they
+ * are compared by pitch class, and a note counts as present in any octave.
+ * @param {Object} challenge - Construction challenge
+ * @param {number[]} selected - Selected MIDI notes
+ * @returns {{right: number[], wrong: number[], missing: number[]}} Selected keys in
+ *     and out of the construction, and its notes with no key selected
+ */
+function gradeConstruction(challenge, selected) {
+    const matches = challenge.anyOctave
+        ? (note, target) => (note - target) % 12 === 0
+        : (note, target) => note === target;
+    const belongs = note => challenge.notes.some(target => matches(note, target));
+    return {
+        right: selected.filter(belongs),
+        wrong: selected.filter(note => !belongs(note)),
+        missing: challenge.notes.filter(target => !selected.some(note => matches(note, target)))
+    };
+}
+
+// Draw the piano on the feedback screen, marking the keys built right and
+// wrong and the ones left out
+function showConstructionKeys(challenge) {
+    renderPianoKeys(elements.feedbackPiano, note => {
+        if (MetaMind.Audio.initialized) playNote(note, MetaMind.Audio.now(), 0.5);
+    });
+    
+    const { right, wrong, missing } = gradeConstruction(challenge, gameState.construction);
+    const mark = (notes, className) => notes.forEach(note => {
+        const key = pianoKey(note, elements.feedbackPiano);
+        if (key) key.classList.add(className);
+    });
+    mark(right, 'key-correct');
+    mark(wrong, 'key-wrong');
+    mark(missing, 'key-missing');
+}
+
+// Show the staff for reading challenges and hide it otherwise
+function updateChallengeStaff() {
+    const challenge = gameState.currentChallenge;
+    elements.challengeStaff.innerHTML = '';
+    elements.challengeStaff.classList.toggle('hidden', challenge.type !== 'reading');
+    if (challenge.type === 'reading') {
+        drawChallengeStaff(elements.challengeStaff, challenge);
+    }
+}
+
+// Generate an absolute pitch challenge: one tone, named without a reference
+function generatePitchChallenge(pitchClasses, [low, high]) {
+    const name = pickItem('pitch', pitchClasses.map(pitchClass => PITCH_NAMES[pitchClass]));
+    
+    // Play it in any octave of the range
+    const candidates = [];
+    for (let note = low; note <= high; note++) {
+        if (PITCH_NAMES[note % 12] === name) candidates.push(note);
+    }
+    const note = challengeStream.pick(candidates);
+    
+    gameState.currentChallenge = {
+        type: 'pitch',
+        name: name,
+        rootNote: note,
+        notes: [note],
+        correctAnswer: name
+    };
+}
+
+// Generate a scale degree challenge: a cadence sets up a major key, then one tone is named as a degree of it
+function generateDegreeChallenge(degrees, octaves) {
+    const name = pickItem('degrees', degrees.map(degree => DEGREE_NAMES[degree]));
+    
+    // Generate the key's tonic and the tone
+    const rootNote = challengeStream.randomInt(60, 71); // Random tonic between C4 and B4
+    const note = rootNote + DEGREE_NAMES.indexOf(name) + 12 * challengeStream.pick(octaves);
+    
+    gameState.currentChallenge = {
+        type: 'degrees',
+        name: name,
+        rootNote: rootNote,
+        cadence: musicData.cadence.map(numeral => voiceNumeral(numeral, rootNote)),
+        notes: [note],
+        correctAnswer: name
+    };
 }
 
 // Generate options for the challenge
@@ -421,27 +1368,66 @@ function generateOptions(numOptions) {
     const challenge = gameState.currentChallenge;
     let options = [];
     
+    // Dictation and construction are answered on the piano and sing-back by singing instead
+    if (challenge.type === 'dictation') {
+        updateDictationUI();
+        return;
+    }
+    if (challenge.type === 'singing') {
+        updateSingingUI();
+        return;
+    }
+    if (challenge.type === 'construction') {
+        updateConstructionUI();
+        return;
+    }
+    
+    // Note names and degrees are offered in order, all of the level's at once
+    if (challenge.type === 'pitch') {
+        updateOptionsUI(currentDifficulty().pitchClasses.map(pitchClass => PITCH_NAMES[pitchClass]));
+        return;
+    }
+    if (challenge.type === 'degrees') {
+        updateOptionsUI(currentDifficulty().degrees.map(degree => DEGREE_NAMES[degree]));
+        return;
+    }
+    
     // Add the correct answer
     options.push(challenge.correctAnswer);
     
-    // Add incorrect options
-    let potentialOptions = [];
-    if (challenge.type === 'scales') {
-        potentialOptions = Object.keys(musicData.scales).filter(scale => scale !== challenge.correctAnswer);
-    } else if (challenge.type === 'intervals') {
-        potentialOptions = Object.keys(musicData.intervals).filter(interval => interval !== challenge.correctAnswer);
-    } else if (challenge.type === 'chords') {
-        potentialOptions = Object.keys(musicData.chords).filter(chord => chord !== challenge.correctAnswer);
+    // Add incorrect options (reading challenges draw them from the kind of item written)
+    const kind = challengeKind(challenge);
+    let potentialOptions = [];
+    if (kind === 'scales') {
+        // Only offer scales from the current tiers
+        const availableScales = currentDifficulty().elements;
+        potentialOptions = availableScales.filter(scale => scale !== challenge.correctAnswer);
+    } else if (kind === 'intervals') {
+        // Only offer intervals from the current tiers
+        const availableIntervals = currentDifficulty().intervals;
+        potentialOptions = availableIntervals.filter(interval => interval !== challenge.correctAnswer);
+    } else if (kind === 'chords') {
+        // Only offer chords from the current level or drill
+        const availableChords = currentDifficulty().chords;
+        potentialOptions = availableChords.filter(chord => chord !== challenge.correctAnswer);
+    } else if (kind === 'inversions') {
+        potentialOptions = musicData.inversionChords
+            .flatMap(chord => musicData.chords[chord].map((note, inversion) => inversionLabel(chord, inversion)))
+            .filter(option => option !== challenge.correctAnswer);
+    } else if (kind === 'progressions') {
+        // Only offer progressions from the current tiers
+        const availableProgressions = currentDifficulty().progressions;
+        potentialOptions = availableProgressions.filter(progression => progression !== challenge.correctAnswer);
     }
     
     // Shuffle and select additional options
-    potentialOptions = shuffleArray(potentialOptions);
+    potentialOptions = challengeStream.shuffle(potentialOptions);
     while (options.length < numOptions && potentialOptions.length > 0) {
         options.push(potentialOptions.pop());
     }
     
     // Shuffle the final options
-    options = shuffleArray(options);
+    options = challengeStream.shuffle(options);
     
     // Update the options container
     updateOptionsUI(options);
@@ -481,11 +1467,41 @@ function updateChallengeMessage() {
     let message = '';
     
     if (challenge.type === 'scales') {
+        const { direction, start } = challenge.playback;
         message = 'Listen and identify the scale';
+        if (direction === 'descending' || start > 0) {
+            message += ` (played ${direction}${start > 0 ? ' from a random degree' : ''})`;
+        }
     } else if (challenge.type === 'intervals') {
         message = 'Listen and identify the interval';
+        if (challenge.presentation !== 'ascending') {
+            message += challenge.presentation === 'harmonic' ? ' (played together)' : ' (played descending)';
+        }
     } else if (challenge.type === 'chords') {
         message = 'Listen and identify the chord';
+    } else if (challenge.type === 'inversions') {
+        message = 'Listen and identify the chord and its inversion';
+    } else if (challenge.type === 'progressions') {
+        message = 'After the cadence, identify the progression in Roman numerals';
+    } else if (challenge.type === 'dictation') {
+        message = 'Play the melody back on the piano (keys A-; play notes, Z/X change octave)';
+    } else if (challenge.type === 'singing') {
+        message = challenge.variant === 'interval'
+            ? `Sing a ${challenge.name} above the note (any octave)`
+            : `Sing scale degree ${challenge.name.replace('Degree ', '')} of ${MetaMind.Audio.midiToNoteName(challenge.rootNote, { octave: false })} major (any octave)`;
+    } else if (challenge.type === 'reading') {
+        message = `Name the ${challenge.variant.slice(0, -1)} written on the staff`;
+    } else if (challenge.type === 'pitch') {
+        message = 'Listen and name the note';
+    } else if (challenge.type === 'degrees') {
+        message = 'After the cadence, name the scale degree of the last note';
+    } else if (challenge.type === 'construction') {
+        const root = spelledName(noteSpeller(challenge)(challenge.rootNote));
+        const rootName = root.replace(/-?\d+$/, '');
+        message = challenge.variant === 'chords'
+            ? `Build ${/^[AEF]/.test(rootName) ? 'an' : 'a'} ${rootName} ${challenge.name.toLowerCase()} chord`
+            : `Play the ${rootName} ${challenge.name} scale`;
+        message += challenge.anyOctave ? ' on the piano (any octave)' : ` on the piano from ${root}`;
     }
     
     elements.challengeMessage.textContent = message;
@@ -493,112 +1509,266 @@ function updateChallengeMessage() {
 
 // Play the current challenge
 function playCurrentChallenge() {
-    if (!gameState.currentChallenge || !audioContext) return;
+    if (!gameState.currentChallenge || !MetaMind.Audio.initialized) return;
     
+    // Reading challenges are answered from the staff alone
     const challenge = gameState.currentChallenge;
+    if (challenge.type === 'reading') return;
     const notes = challenge.notes;
     
+    // Constructions give only the root, keeping the keys selected so far
+    if (challenge.type === 'construction') {
+        playNote(challenge.rootNote, MetaMind.Audio.now(), 1.0);
+        return;
+    }
+    
     // Clear any existing highlights
     clearKeyHighlights();
     
     // Play each note in sequence (for scales) or simultaneously (for chords)
     if (challenge.type === 'scales') {
-        playSequence(notes, 0.3);
+        playSequence(notes, 0.3, challenge.playback);
     } else if (challenge.type === 'intervals') {
-        // For intervals, play notes in sequence but closer together
-        playSequence(notes, 0.15);
+        // Harmonic intervals sound together; melodic ones in sequence but closer together
+        if (challenge.presentation === 'harmonic') {
+            playChord(notes);
+        } else {
+            playSequence(notes, 0.15);
+        }
     } else if (challenge.type === 'chords') {
         // For chords, play notes simultaneously
         playChord(notes);
+    } else if (challenge.type === 'inversions') {
+        // Show only the bass - hearing the rest of the voicing is the challenge
+        playChord(notes, [challenge.bassNote]);
+    } else if (challenge.type === 'progressions') {
+        // Establish the key, pause, then play the progression
+        const cadenceEnd = playChordSequence(challenge.cadence, 0.6);
+        playChordSequence(challenge.chords, 1.0, cadenceEnd + 0.6);
+    } else if (challenge.type === 'dictation') {
+        playSequence(notes, 0.5);
+    } else if (challenge.type === 'pitch') {
+        // No key lights up - that would give the note away
+        playNote(notes[0], MetaMind.Audio.now(), 1.0);
+    } else if (challenge.type === 'degrees') {
+        // Establish the key, pause, then the tone (again without lighting its key)
+        const cadenceEnd = playChordSequence(challenge.cadence, 0.6);
+        playNote(notes[0], MetaMind.Audio.now() + cadenceEnd + 0.6, 1.0);
+    } else if (challenge.type === 'singing') {
+        // Give the root (or the key's tonic chord), never the note to sing
+        const root = challenge.rootNote;
+        playChord(challenge.variant === 'interval' ? [root] : [root, root + 4, root + 7], [root]);
     }
 }
 
-// Play a sequence of notes
-function playSequence(notes, noteDuration = 0.3) {
-    const now = audioContext.currentTime;
+// Play a sequence of notes. Playback can begin on any note (the notes before
+// it follow an octave up, so the line keeps rising) and can be reversed.
+function playSequence(notes, noteDuration = 0.3, { direction = 'ascending', start = 0 } = {}) {
+    const sequence = [...notes.slice(start), ...notes.slice(0, start).map(note => note + 12)];
+    if (direction === 'descending') {
+        sequence.reverse();
+    }
     
-    notes.forEach((note, index) => {
-        // Calculate start time for this note
-        const startTime = now + (index * noteDuration);
-        
-        // Play the note
-        playNote(note, startTime, noteDuration);
-        
-        // Schedule UI update for key highlighting
-        setTimeout(() => {
+    // Schedule every note on the audio clock up front
+    scheduleNotes(sequence.map((note, index) => ({
+        midi: note,
+        time: index * noteDuration,
+        duration: noteDuration
+    })));
+    
+    sequence.forEach((note, index) => {
+        // Schedule UI update for key highlighting (pausable along with the audio)
+        MetaMind.Timer.after(index * noteDuration * 1000, () => {
             highlightKey(note);
             
             // Remove highlight after duration
-            setTimeout(() => {
+            MetaMind.Timer.after(noteDuration * 900, () => { // Slightly shorter than note duration
                 unhighlightKey(note);
-            }, noteDuration * 900); // Slightly shorter than note duration
-            
-        }, startTime * 1000);
+            });
+        });
     });
 }
 
-// Play a chord (notes simultaneously)
-function playChord(notes) {
-    const now = audioContext.currentTime;
+// Play block chords one after another, starting `offset` seconds from now.
+// Returns when (in seconds from now) the last chord ends.
+function playChordSequence(chords, chordDuration, offset = 0) {
+    const notes = [];
+    chords.forEach((chord, index) => {
+        const time = offset + index * chordDuration;
+        chord.forEach(note => notes.push({ midi: note, time: time, duration: chordDuration }));
+        
+        // Highlight each chord while it sounds (pausable along with the audio)
+        MetaMind.Timer.after(time * 1000, () => {
+            chord.forEach(note => highlightKey(note));
+            MetaMind.Timer.after(chordDuration * 900, () => {
+                chord.forEach(note => unhighlightKey(note));
+            });
+        });
+    });
+    
+    scheduleNotes(notes);
+    return offset + chords.length * chordDuration;
+}
+
+// Play a chord (notes simultaneously), highlighting the given keys
+function playChord(notes, highlighted = notes) {
+    const now = MetaMind.Audio.now();
     
     // Play all notes simultaneously
     notes.forEach(note => {
         playNote(note, now, 1.0);
+    });
+    highlighted.forEach(note => {
         highlightKey(note);
     });
     
     // Remove highlights after duration
-    setTimeout(() => {
-        notes.forEach(note => {
+    MetaMind.Timer.after(1000, () => {
+        highlighted.forEach(note => {
             unhighlightKey(note);
         });
-    }, 1000);
+    });
 }
 
-// Play a single note
+// Play a single note at an audio clock time. Every note sounds through here or
+// scheduleNotes, which keep the live visualization drawing while anything plays.
 function playNote(midiNote, startTime, duration) {
-    if (!audioContext) return;
-    
-    // Create oscillator
-    const oscillator = audioContext.createOscillator();
-    oscillator.type = 'sine';
-    
-    // Calculate frequency from MIDI note number (A4 = 69 = 440Hz)
-    const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
-    oscillator.frequency.value = frequency;
-    
-    // Create gain node for envelope
-    const gainNode = audioContext.createGain();
-    
-    // Connect nodes
-    oscillator.connect(gainNode);
-    gainNode.connect(masterGainNode);
+    if (!MetaMind.Audio.initialized) return;
+    
+    // Release starts before the end so the note fades out within its duration
+    const { timbre, envelope } = voiceOptions();
+    MetaMind.Audio.playMidi(midiNote, {
+        when: startTime,
+        duration: Math.max(0, duration - envelope.release),
+        timbre: timbre,
+        envelope: envelope
+    });
+    startScope();
+}
+
+// Schedule notes ({ midi, time, duration }, times in seconds from now) in the current instrument
+function scheduleNotes(notes) {
+    MetaMind.Audio.schedule(notes, { start: MetaMind.Audio.now(), ...voiceOptions() });
+    startScope();
+}
+
+// Instrument playing now: the chosen one, or the current challenge's when they vary
+function instrumentName() {
+    if (gameState.instrument !== 'random') return gameState.instrument;
+    const challenge = gameState.currentChallenge;
+    return (challenge && challenge.instrument) || 'piano';
+}
+
+// Timbre and envelope of the instrument playing now, for MetaMind.Audio
+function voiceOptions() {
+    const { timbre, envelope } = INSTRUMENTS[instrumentName()];
+    return { timbre, envelope };
+}
+
+// Fill the instrument menu and follow changes to it
+function initInstrumentSelect() {
+    const select = elements.instrumentSelect;
+    if (!select) return;
     
-    // Set up envelope
-    gainNode.gain.setValueAtTime(0, startTime);
-    gainNode.gain.linearRampToValueAtTime(0.7, startTime + 0.02); // Attack
-    gainNode.gain.linearRampToValueAtTime(0.5, startTime + 0.1); // Decay
-    gainNode.gain.setValueAtTime(0.5, startTime + duration - 0.1); // Sustain
-    gainNode.gain.linearRampToValueAtTime(0, startTime + duration); // Release
+    Object.entries(INSTRUMENTS).forEach(([name, instrument]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = instrument.label;
+        select.appendChild(option);
+    });
+    const random = document.createElement('option');
+    random.value = 'random';
+    random.textContent = 'Vary each challenge';
+    select.appendChild(random);
+    
+    select.addEventListener('change', () => {
+        setInstrument(select.value);
+        MetaMind.Storage.save(INSTRUMENT_STORAGE_KEY, gameState.instrument);
+    });
+}
+
+// Switch instruments (unknown names fall back to the piano)
+function setInstrument(name) {
+    gameState.instrument = name === 'random' || INSTRUMENTS[name] ? name : 'piano';
+    if (elements.instrumentSelect) elements.instrumentSelect.value = gameState.instrument;
     
-    // Schedule oscillator
-    oscillator.start(startTime);
-    oscillator.stop(startTime + duration);
+    // Switching to varied timbres mid-challenge picks one for it
+    const challenge = gameState.currentChallenge;
+    if (gameState.instrument === 'random' && challenge && !challenge.instrument) {
+        challenge.instrument = timbreStream.pick(Object.keys(INSTRUMENTS));
+    }
+}
+
+// What a challenge presented, for the trial log
+function trialStimulus(challenge) {
+    return {
+        type: challenge.type,
+        name: challenge.name,
+        rootNote: challenge.rootNote,
+        notes: challenge.notes,
+        playback: challenge.playback,
+        inversion: challenge.inversion,
+        voicing: challenge.voicing,
+        family: challenge.family,
+        presentation: challenge.presentation,
+        instrument: instrumentName(),
+        variant: challenge.variant,
+        anyOctave: challenge.anyOctave,
+        level: gameState.level
+    };
 }
 
 // Submit answer
 function submitAnswer() {
+    const challenge = gameState.currentChallenge;
     if (!gameState.selectedOption) {
-        alert('Please select an option first');
+        const prompts = {
+            dictation: 'Play the whole melody on the piano first',
+            singing: gameState.singback ? 'Press Sing and hold the note first' : 'The microphone is unavailable - press Skip',
+            construction: 'Select the notes on the piano first'
+        };
+        alert(prompts[challenge.type] || 'Please select an option first');
         return;
     }
     
-    const challenge = gameState.currentChallenge;
-    const isCorrect = gameState.selectedOption === challenge.correctAnswer;
+    // Constructions are checked key by key, everything else by the option chosen
+    let isCorrect = gameState.selectedOption === challenge.correctAnswer;
+    if (challenge.type === 'construction') {
+        const { wrong, missing } = gradeConstruction(challenge, gameState.construction);
+        isCorrect = wrong.length === 0 && missing.length === 0;
+    }
+    
+    // Dictation earns partial credit; everything else is all or nothing
+    const credit = challenge.type === 'dictation'
+        ? dictationCredit(challenge.notes, gameState.dictation)
+        : (isCorrect ? 1 : 0);
+
+    // Log the trial for later analysis
+    MetaMind.Progress.recordTrial('music_theory', {
+        stimulus: trialStimulus(challenge),
+        response: gameState.selectedOption,
+        correct: isCorrect,
+        presentedAt: challenge.presentedAt
+    });
+    
+    // Reschedule the item in the review boxes
+    if (REVIEW_TYPES.includes(challenge.type)) {
+        recordReview(challenge.type, challenge.name, isCorrect);
+    }
+    
+    // Track progressions by family and intervals by presentation for the results screen
+    if (challenge.type === 'progressions') {
+        tallyDetail(gameState.progressionStats, challenge.family, isCorrect);
+    } else if (challenge.type === 'intervals') {
+        const presentation = challenge.presentation;
+        tallyDetail(gameState.intervalStats, presentation.charAt(0).toUpperCase() + presentation.slice(1), isCorrect);
+    } else if (challenge.type === 'pitch' || challenge.type === 'degrees') {
+        tallyDetail(gameState.noteStats[challenge.type], challenge.correctAnswer, isCorrect, gameState.selectedOption);
+    }
     
     // Update score and streak
+    gameState.score += Math.round(10 * gameState.level * credit);
     if (isCorrect) {
-        gameState.score += 10 * gameState.level;
         gameState.streak++;
         gameState.bestStreak = Math.max(gameState.bestStreak, gameState.streak);
         
@@ -622,6 +1792,19 @@ function submitAnswer() {
     showFeedback(isCorrect);
 }
 
+// Count an answer towards one line of a category's breakdown, noting what a
+// wrong answer was mistaken for when `given` is passed
+function tallyDetail(stats, key, isCorrect, given) {
+    const detail = stats[key] || (stats[key] = { correct: 0, total: 0 });
+    detail.total++;
+    if (isCorrect) {
+        detail.correct++;
+    } else if (given !== undefined) {
+        detail.mistakes = detail.mistakes || {};
+        detail.mistakes[given] = (detail.mistakes[given] || 0) + 1;
+    }
+}
+
 // Show feedback
 function showFeedback(isCorrect) {
     const challenge = gameState.currentChallenge;
@@ -630,14 +1813,43 @@ function showFeedback(isCorrect) {
     elements.feedbackMessage.textContent = isCorrect ? 'Correct!' : 'Incorrect!';
     elements.feedbackMessage.className = isCorrect ? 'feedback-correct' : 'feedback-incorrect';
     
-    // Set correct answer
-    elements.correctAnswer.textContent = `The correct answer was: ${challenge.correctAnswer}`;
+    // Set correct answer (naming the voicing for inversion challenges)
+    const voicing = challenge.voicing ? ` (${challenge.voicing.toLowerCase()} voicing)` : '';
+    elements.correctAnswer.textContent = `The correct answer was: ${challenge.correctAnswer}${voicing}`;
+    
+    // Say how far off the sung note was
+    if (challenge.type === 'singing' && challenge.sungCents !== undefined) {
+        const cents = challenge.sungCents;
+        elements.correctAnswer.textContent += ` - you sang ${gameState.selectedOption} (${cents > 0 ? '+' : ''}${cents} cents)`;
+    }
+    
+    // Show how much of a dictated melody was right
+    if (challenge.type === 'dictation' && !isCorrect) {
+        const credit = Math.round(dictationCredit(challenge.notes, gameState.dictation) * 100);
+        elements.correctAnswer.textContent += ` - you played ${gameState.selectedOption} (${credit}% credit)`;
+    }
+    
+    // Show what was built in its place
+    if (challenge.type === 'construction' && !isCorrect) {
+        elements.correctAnswer.textContent += ` - you played ${gameState.selectedOption}`;
+    }
+    
+    // Write out what was heard
+    elements.feedbackStaff.innerHTML = '';
+    drawChallengeStaff(elements.feedbackStaff, challenge);
     
     // Switch to feedback screen
     switchScreen('feedback');
     
+    // Mark a construction's keys (once the piano is showing, so its keys have a width)
+    elements.feedbackPiano.innerHTML = '';
+    elements.feedbackPiano.classList.toggle('hidden', challenge.type !== 'construction');
+    if (challenge.type === 'construction') {
+        showConstructionKeys(challenge);
+    }
+    
     // Play feedback sound
-    if (audioContext) {
+    if (MetaMind.Audio.initialized) {
         if (isCorrect) {
             playCorrectSound();
         } else {
@@ -648,7 +1860,7 @@ function showFeedback(isCorrect) {
 
 // Play correct answer sound
 function playCorrectSound() {
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     
     // Play a major chord arpeggio
     const notes = [60, 64, 67, 72]; // C major chord (C E G C)
@@ -659,7 +1871,7 @@ function playCorrectSound() {
 
 // Play incorrect answer sound
 function playIncorrectSound() {
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     
     // Play a dissonant interval
     playNote(60, now, 0.3); // C
@@ -683,6 +1895,8 @@ function nextChallenge() {
 
 // Show final results
 function showResults() {
+    stopSinging();
+    
     // Set final stats
     elements.finalScore.textContent = gameState.score;
     elements.bestStreak.textContent = gameState.bestStreak;
@@ -706,9 +1920,34 @@ function showResults() {
             </div>
         `;
         
+        // Break progressions down by family, intervals by presentation, and notes
+        // and degrees (in scale order) by what they were mistaken for
+        const details = {
+            progressions: gameState.progressionStats,
+            intervals: gameState.intervalStats,
+            pitch: gameState.noteStats.pitch,
+            degrees: gameState.noteStats.degrees
+        }[category] || {};
+        const order = { pitch: PITCH_NAMES, degrees: DEGREE_NAMES }[category];
+        const entries = Object.entries(details);
+        if (order) entries.sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+        for (const [detail, detailStats] of entries) {
+            const detailElement = document.createElement('div');
+            detailElement.className = 'category-detail';
+            detailElement.textContent = `${detail}: ${detailStats.correct}/${detailStats.total}`;
+            if (detailStats.mistakes) {
+                const mistakes = Object.entries(detailStats.mistakes).map(([given, count]) => `${given} ×${count}`);
+                detailElement.textContent += ` (heard as ${mistakes.join(', ')})`;
+            }
+            categoryElement.appendChild(detailElement);
+        }
+        
         elements.categoryStats.appendChild(categoryElement);
     }
     
+    // List what needs reviewing next time
+    showReviewPanel();
+    
     // Switch to results screen
     switchScreen('results');
 
@@ -720,12 +1959,185 @@ function showResults() {
             score: gameState.score,
             level: gameState.level,
             accuracy: totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0,
-            bestStreak: gameState.bestStreak
+            bestStreak: gameState.bestStreak,
+            seed: gameState.seed,
+            daily: gameState.daily
         });
         log('info', `Progress saved: score=${gameState.score}, level=${gameState.level}`);
     }
 }
 
+// Fill the results panel with items due for review
+function showReviewPanel() {
+    elements.reviewList.innerHTML = '';
+    const due = dueItems();
+    
+    if (due.length === 0) {
+        const emptyElement = document.createElement('li');
+        emptyElement.className = 'review-empty';
+        emptyElement.textContent = 'Nothing due - come back tomorrow.';
+        elements.reviewList.appendChild(emptyElement);
+        return;
+    }
+    
+    for (const item of due) {
+        const itemElement = document.createElement('li');
+        itemElement.className = 'review-item';
+        itemElement.dataset.box = item.box;
+        itemElement.textContent = `${item.name} (${item.type}) - box ${item.box}, ${item.correct}/${item.seen} correct`;
+        elements.reviewList.appendChild(itemElement);
+    }
+}
+
+// Difficulty settings for a drill preset. Scales take the melodic playback
+// directions; intervals can also be harmonic.
+function drillDifficulty(preset) {
+    const types = [];
+    if (preset.scales.length > 0) types.push('scales');
+    if (preset.intervals.length > 0) types.push('intervals');
+    if (preset.chords.length > 0) types.push('chords');
+    
+    const directions = preset.playback.filter(style => style !== 'harmonic');
+    return {
+        options: preset.options,
+        types: types,
+        elements: preset.scales,
+        intervals: preset.intervals,
+        chords: preset.chords,
+        directions: directions.length > 0 ? directions : ['ascending'],
+        presentations: preset.playback.length > 0 ? preset.playback : ['ascending'],
+        randomStart: false
+    };
+}
+
+// Add a checkbox per item to a drill builder group
+function createDrillItems(container, names) {
+    names.forEach(name => {
+        const label = document.createElement('label');
+        label.className = 'drill-item';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = name;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${name}`));
+        container.appendChild(label);
+    });
+}
+
+// Build the drill form's item lists and follow the preset menu
+function initDrillBuilder() {
+    if (!screens.drill) return;
+    createDrillItems(elements.drillScales, Object.keys(musicData.scales));
+    createDrillItems(elements.drillIntervals, Object.keys(musicData.intervals));
+    createDrillItems(elements.drillChords, Object.keys(musicData.chords));
+    
+    elements.drillPresets.addEventListener('change', () => {
+        const preset = loadDrills()[elements.drillPresets.value];
+        if (preset) fillDrillForm(preset);
+    });
+}
+
+// Show the drill builder with the saved presets listed
+async function openDrillBuilder() {
+    await MetaMind.Storage.ready;
+    updateDrillPresets();
+    switchScreen('drill');
+}
+
+// Saved drill presets
+function loadDrills() {
+    return MetaMind.Storage.load(DRILL_STORAGE_KEY, {});
+}
+
+// List the saved presets, keeping `selected` chosen
+function updateDrillPresets(selected = '') {
+    elements.drillPresets.innerHTML = '<option value="">New drill</option>';
+    Object.keys(loadDrills()).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        elements.drillPresets.appendChild(option);
+    });
+    elements.drillPresets.value = selected;
+}
+
+// Checked values in a drill builder group
+function checkedValues(container) {
+    return Array.from(container.querySelectorAll('input[type="checkbox"]'))
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+}
+
+// The drill described by the form
+function readDrillForm() {
+    return {
+        name: elements.drillName.value.trim(),
+        scales: checkedValues(elements.drillScales),
+        intervals: checkedValues(elements.drillIntervals),
+        chords: checkedValues(elements.drillChords),
+        playback: checkedValues(elements.drillPlayback),
+        options: MetaMind.MathUtils.clamp(parseInt(elements.drillOptions.value, 10) || 4, 2, 8),
+        length: MetaMind.MathUtils.clamp(parseInt(elements.drillLength.value, 10) || 10, 5, 50)
+    };
+}
+
+// Show a preset in the form
+function fillDrillForm(preset) {
+    elements.drillName.value = preset.name;
+    [
+        [elements.drillScales, preset.scales],
+        [elements.drillIntervals, preset.intervals],
+        [elements.drillChords, preset.chords],
+        [elements.drillPlayback, preset.playback]
+    ].forEach(([container, values]) => {
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = values.includes(checkbox.value);
+        });
+    });
+    elements.drillOptions.value = preset.options;
+    elements.drillLength.value = preset.length;
+}
+
+// A drill needs something to ask about
+function drillHasItems(preset) {
+    if (preset.scales.length + preset.intervals.length + preset.chords.length > 0) return true;
+    alert('Pick at least one scale, interval or chord');
+    return false;
+}
+
+// Save the form as a named preset (replacing one of the same name)
+function saveDrill() {
+    const preset = readDrillForm();
+    if (!preset.name) {
+        alert('Name the drill first');
+        return;
+    }
+    if (!drillHasItems(preset)) return;
+    
+    const drills = loadDrills();
+    drills[preset.name] = preset;
+    MetaMind.Storage.save(DRILL_STORAGE_KEY, drills);
+    updateDrillPresets(preset.name);
+    log('info', `Saved drill ${preset.name}`);
+}
+
+// Delete the preset chosen in the menu
+function deleteDrill() {
+    const name = elements.drillPresets.value;
+    if (!name) return;
+    
+    const drills = loadDrills();
+    delete drills[name];
+    MetaMind.Storage.save(DRILL_STORAGE_KEY, drills);
+    updateDrillPresets();
+}
+
+// Start a session of the drill in the form
+function startDrill() {
+    const preset = readDrillForm();
+    if (drillHasItems(preset)) startGame(preset);
+}
+
 // Restart the game
 function restartGame() {
     switchScreen('start');
@@ -733,6 +2145,9 @@ function restartGame() {
 
 // Switch between screens
 function switchScreen(screenName) {
+    // Leaving the game ends any sing-back attempt
+    if (screenName !== 'game') stopSinging();
+    
     // Hide all screens
     for (const screen in screens) {
         screens[screen].classList.add('hidden');
@@ -744,8 +2159,13 @@ function switchScreen(screenName) {
 
 // Initialize piano keyboard
 function initPianoKeyboard() {
+    renderPianoKeys(elements.pianoContainer, note => playPianoKey(note));
+}
+
+// Draw the piano's keys (C3-B4) into a container, calling onKey with a key's note when it's clicked
+function renderPianoKeys(container, onKey) {
     // Clear existing content
-    elements.pianoContainer.innerHTML = '';
+    container.innerHTML = '';
     
     // Define key layout
     const octaveStart = 4; // Start from middle C (C4)
@@ -757,7 +2177,7 @@ function initPianoKeyboard() {
     const blackKeys = [1, 3, 6, 8, 10];
     
     // Get keyboard width
-    const keyboardWidth = elements.pianoContainer.clientWidth;
+    const keyboardWidth = container.clientWidth;
     const whiteKeyWidth = Math.min(40, keyboardWidth / (7 * numOctaves));
     const blackKeyWidth = whiteKeyWidth * 0.6;
     
@@ -781,10 +2201,10 @@ function initPianoKeyboard() {
             
             // Add click event
             key.addEventListener('click', () => {
-                playPianoKey(note);
+                onKey(note);
             });
             
-            elements.pianoContainer.appendChild(key);
+            container.appendChild(key);
         }
     }
     
@@ -812,33 +2232,101 @@ function initPianoKeyboard() {
             
             // Add click event
             key.addEventListener('click', () => {
-                playPianoKey(note);
+                onKey(note);
             });
             
-            elements.pianoContainer.appendChild(key);
+            container.appendChild(key);
         }
     }
 }
 
-// Play a piano key
-function playPianoKey(midiNote) {
+// Play a piano key (held keys stay highlighted until released)
+function playPianoKey(midiNote, held = false) {
     // Play the note
-    if (audioContext) {
-        playNote(midiNote, audioContext.currentTime, 0.5);
+    if (MetaMind.Audio.initialized) {
+        playNote(midiNote, MetaMind.Audio.now(), 0.5);
     }
     
     // Highlight the key
     highlightKey(midiNote);
     
     // Remove highlight after a delay
-    setTimeout(() => {
-        unhighlightKey(midiNote);
-    }, 500);
+    if (!held) {
+        MetaMind.Timer.after(500, () => {
+            unhighlightKey(midiNote);
+        });
+    }
+    
+    // Count it towards a dictation answer, or select it for a construction
+    const challenge = gameState.currentChallenge;
+    if (challenge && !screens.game.classList.contains('hidden')) {
+        if (challenge.type === 'dictation') {
+            enterDictationNote(midiNote);
+        } else if (challenge.type === 'construction') {
+            toggleConstructionNote(midiNote);
+        }
+    }
+}
+
+// Ask for MIDI access and list the connected inputs
+async function initMidiInput() {
+    if (await MetaMind.MIDI.init()) {
+        updateMidiInputs();
+    }
+}
+
+// Fill the MIDI input menu, selecting the device in use
+function updateMidiInputs() {
+    if (!elements.midiInput) return;
+    
+    elements.midiInput.innerHTML = '<option value="">None</option>';
+    MetaMind.MIDI.inputs().forEach(input => {
+        const option = document.createElement('option');
+        option.value = input.id;
+        option.textContent = input.name;
+        elements.midiInput.appendChild(option);
+    });
+    elements.midiInput.value = MetaMind.MIDI.input ? MetaMind.MIDI.input.id : '';
+    elements.midiSelect.classList.remove('hidden');
+}
+
+// MIDI keys play the on-screen piano while a challenge is showing
+function handleMidiNote(message) {
+    if (screens.game.classList.contains('hidden')) return;
+    
+    // Keys beyond the on-screen piano (C3-B4) are ignored, as on the computer keyboard
+    if (message.note < 48 || message.note > 71) return;
+    
+    if (message.type === 'noteon') {
+        playPianoKey(message.note, true);
+    } else {
+        unhighlightKey(message.note);
+    }
+}
+
+// Handle keyboard input: the computer keyboard plays the piano
+function handleKeyDown(e) {
+    if (e.repeat || screens.game.classList.contains('hidden')) return;
+    
+    if (e.code === 'KeyZ' || e.code === 'KeyX') {
+        // Shift the keyboard an octave, staying on the on-screen piano
+        const shift = e.code === 'KeyZ' ? -12 : 12;
+        gameState.keyboardOctave = Math.min(60, Math.max(48, gameState.keyboardOctave + shift));
+    } else if (e.code in KEYBOARD_NOTES) {
+        // Keys past the top of the on-screen piano (B4) stay silent
+        const note = gameState.keyboardOctave + KEYBOARD_NOTES[e.code];
+        if (note <= 71) playPianoKey(note);
+    }
+}
+
+// A key of the game's piano (or of another drawn with renderPianoKeys)
+function pianoKey(midiNote, container = elements.pianoContainer) {
+    return container.querySelector(`.piano-key[data-note="${midiNote}"]`);
 }
 
 // Highlight a piano key
 function highlightKey(midiNote) {
-    const keyElement = document.querySelector(`.piano-key[data-note="${midiNote}"]`);
+    const keyElement = pianoKey(midiNote);
     if (keyElement) {
         keyElement.classList.add('key-active');
     }
@@ -846,7 +2334,7 @@ function highlightKey(midiNote) {
 
 // Unhighlight a piano key
 function unhighlightKey(midiNote) {
-    const keyElement = document.querySelector(`.piano-key[data-note="${midiNote}"]`);
+    const keyElement = pianoKey(midiNote);
     if (keyElement) {
         keyElement.classList.remove('key-active');
     }
@@ -857,10 +2345,13 @@ function clearKeyHighlights() {
     document.querySelectorAll('.piano-key').forEach(key => {
         key.classList.remove('key-active');
         key.classList.remove('key-highlight');
+        key.classList.remove('key-correct', 'key-wrong');
+        key.classList.remove('key-selected', 'key-missing');
     });
 }
 
-// Initialize circle of fifths
+// Initialize circle of fifths: major keys with their key signatures on the
+// outside, relative minors inside; clicking a key plays its tonic chord
 function initCircleOfFifths() {
     // Clear existing content
     elements.circleOfFifths.innerHTML = '';
@@ -868,33 +2359,57 @@ function initCircleOfFifths() {
     // Create circle container
     const circleContainer = document.createElement('div');
     circleContainer.className = 'circle-container';
+    const center = 90;
     
-    // Define notes in circle of fifths
-    const notes = ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"];
-    
-    // Add notes to circle
-    notes.forEach((note, index) => {
-        const angle = (index * 30) * Math.PI / 180;
-        const radius = 70; // Distance from center
-        
-        // Calculate position
-        const x = Math.cos(angle - Math.PI/2) * radius + 90;
-        const y = Math.sin(angle - Math.PI/2) * radius + 90;
+    CIRCLE_OF_FIFTHS.forEach((note, index) => {
+        const angle = (index * 30) * Math.PI / 180 - Math.PI / 2;
+        const pitchClass = index * 7 % 12;
         
-        // Create note element
-        const noteElement = document.createElement('div');
-        noteElement.className = 'note-position';
-        noteElement.textContent = note;
+        // Major key on the outer ring
+        const noteElement = createCircleKey('note-position', note, angle, 72, 30, center);
         noteElement.dataset.note = note;
-        noteElement.style.left = `${x}px`;
-        noteElement.style.top = `${y}px`;
+        noteElement.title = `${note} major / ${CIRCLE_MINORS[index].replace(/m$/, '')} minor - ${keySignature(index)}`;
+        noteElement.addEventListener('click', () => playCircleKey(pitchClass, 'Major'));
         
+        const signature = document.createElement('span');
+        signature.className = 'key-signature';
+        signature.textContent = keySignature(index);
+        noteElement.appendChild(signature);
         circleContainer.appendChild(noteElement);
+        
+        // Relative minor on the inner ring
+        const minorElement = createCircleKey('minor-position', CIRCLE_MINORS[index], angle, 42, 24, center);
+        minorElement.dataset.key = CIRCLE_MINORS[index];
+        minorElement.addEventListener('click', () => playCircleKey((pitchClass + 9) % 12, 'Minor'));
+        circleContainer.appendChild(minorElement);
     });
     
     elements.circleOfFifths.appendChild(circleContainer);
 }
 
+// Create a key label centered on a point of the circle
+function createCircleKey(className, label, angle, radius, size, center) {
+    const keyElement = document.createElement('div');
+    keyElement.className = className;
+    keyElement.textContent = label;
+    keyElement.style.left = `${center + Math.cos(angle) * radius - size / 2}px`;
+    keyElement.style.top = `${center + Math.sin(angle) * radius - size / 2}px`;
+    return keyElement;
+}
+
+// Key signature of the major key at a circle position, e.g. "2♯" for D, "3♭" for Eb
+function keySignature(index) {
+    if (index === 0) return '0';
+    return index <= 6 ? `${index}♯` : `${12 - index}♭`;
+}
+
+// Play the tonic chord of a key (pitch class 0-11) from the circle
+function playCircleKey(pitchClass, quality) {
+    if (!MetaMind.Audio.initialized) return;
+    const root = 60 + pitchClass;
+    playChord(musicData.chords[quality].map(interval => root + interval));
+}
+
 // Toggle between visualization modes
 function toggleVisualization(mode) {
     // Update button states
@@ -912,16 +2427,18 @@ function toggleVisualization(mode) {
     elements.waveformDisplay.style.display = 'none';
     elements.circleOfFifths.style.display = 'none';
     
+    // The scope's analyser is only tapped while its panel is open
+    if (mode !== 'waveform') releaseScopeAnalyser();
+    
     // Show only the selected visualization
     if (mode === 'piano') {
         elements.pianoContainer.style.display = 'flex';
     } else if (mode === 'waveform') {
         elements.waveformDisplay.style.display = 'flex';
         
-        // Create waveform visualization if needed
-        if (gameState.currentChallenge) {
-            drawWaveform();
-        }
+        // Draw the current audio (and keep drawing while anything sounds)
+        drawWaveform();
+        startScope();
     } else if (mode === 'circle') {
         elements.circleOfFifths.style.display = 'flex';
         
@@ -932,10 +2449,67 @@ function toggleVisualization(mode) {
     }
     
     // Fix any lingering display issues
-    setTimeout(fixVisualizationDisplay, 50);
+    MetaMind.Timer.delay('music_layout', 50, fixVisualizationDisplay);
+}
+
+// Switch the waveform panel between oscilloscope, spectrum and spectrogram
+function setScopeMode(mode) {
+    scope.mode = mode;
+    document.querySelectorAll('.scope-mode').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    
+    // Start the spectrogram from a blank canvas
+    const canvas = elements.waveformDisplay.querySelector('canvas');
+    if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    drawWaveform();
+}
+
+// Redraw every animation frame while the waveform panel is shown and audio plays
+function startScope() {
+    if (scope.frame !== null || elements.waveformDisplay.style.display === 'none') return;
+    scope.frame = requestAnimationFrame(drawScopeFrame);
+}
+
+function drawScopeFrame() {
+    drawWaveform();
+    
+    // One more frame after the last voice ends so the display settles on silence
+    const sounding = MetaMind.Audio.activeVoices(MetaMind.Audio.now()).length > 0;
+    const visible = elements.waveformDisplay.style.display !== 'none';
+    scope.frame = sounding && visible ? requestAnimationFrame(drawScopeFrame) : null;
+}
+
+// The analyser tapped off the master output (created once audio is running)
+function getScopeAnalyser() {
+    if (!scope.analyser && MetaMind.Audio.initialized) {
+        // A long window resolves neighbouring low notes in the spectrum
+        scope.analyser = MetaMind.Audio.createAnalyser({ fftSize: 8192, smoothing: 0.6 });
+        scope.timeData = new Float32Array(scope.analyser.fftSize);
+        scope.frequencyData = new Uint8Array(scope.analyser.frequencyBinCount);
+    }
+    return scope.analyser;
+}
+
+// Untap the scope's analyser (getScopeAnalyser makes a new one when it's needed again)
+function releaseScopeAnalyser() {
+    if (!scope.analyser) return;
+    MetaMind.Audio.releaseAnalyser(scope.analyser);
+    scope.analyser = null;
+}
+
+// Horizontal (or vertical) position of a frequency on the log-scaled axis
+function frequencyToPosition(frequency, length) {
+    return length * Math.log(frequency / SCOPE_MIN_FREQUENCY) / Math.log(SCOPE_MAX_FREQUENCY / SCOPE_MIN_FREQUENCY);
+}
+
+// Analyser level (0-255) at a frequency
+function levelAt(frequency) {
+    const binWidth = MetaMind.Audio.context.sampleRate / scope.analyser.fftSize;
+    return scope.frequencyData[Math.round(frequency / binWidth)] || 0;
 }
 
-// Draw waveform visualization
+// Draw the current audio in the selected scope mode
 function drawWaveform() {
     const canvas = elements.waveformDisplay.querySelector('canvas');
     if (!canvas) return;
@@ -943,6 +2517,13 @@ function drawWaveform() {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
+    const analyser = getScopeAnalyser();
+    
+    // The spectrogram scrolls, so it keeps what it drew before
+    if (scope.mode === 'spectrogram' && analyser) {
+        drawSpectrogramColumn(ctx, width, height);
+        return;
+    }
     
     // Clear canvas
     ctx.clearRect(0, 0, width, height);
@@ -951,106 +2532,257 @@ function drawWaveform() {
     ctx.fillStyle = 'rgba(0, 20, 40, 0.3)';
     ctx.fillRect(0, 0, width, height);
     
-    // Only draw waveform if there's a current challenge
-    if (!gameState.currentChallenge) return;
+    if (!analyser) return;
+    
+    if (scope.mode === 'oscilloscope') {
+        drawOscilloscope(ctx, width, height);
+    } else if (scope.mode === 'spectrum') {
+        drawSpectrum(ctx, width, height);
+    }
+}
+
+// Draw the master output's waveform, triggered on a rising zero crossing so it holds still
+function drawOscilloscope(ctx, width, height) {
+    const data = scope.timeData;
+    scope.analyser.getFloatTimeDomainData(data);
+    
+    // About 25ms of audio across the canvas
+    const span = 1024;
+    let trigger = 1;
+    while (trigger < data.length - span && !(data[trigger - 1] < 0 && data[trigger] >= 0)) {
+        trigger++;
+    }
+    if (trigger >= data.length - span) trigger = 0;
     
-    // Generate simple sine wave visualization
     ctx.beginPath();
     ctx.lineWidth = 2;
     ctx.strokeStyle = '#0078ff';
-    
-    const centerY = height / 2;
-    const amplitude = height / 3;
-    const frequency = 0.02;
-    
-    // Draw different waveform based on challenge type
-    if (gameState.currentChallenge.type === 'scales') {
-        // Draw scale pattern (ascending wave)
-        for (let x = 0; x < width; x++) {
-            const y = centerY - Math.sin(x * frequency) * amplitude * (x / width);
-            if (x === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        }
-    } else if (gameState.currentChallenge.type === 'intervals') {
-        // Draw interval pattern (two main peaks)
-        for (let x = 0; x < width; x++) {
-            const y = centerY - Math.sin(x * frequency * 2) * amplitude;
-            if (x === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        }
-    } else if (gameState.currentChallenge.type === 'chords') {
-        // Draw chord pattern (multiple frequencies)
-        for (let x = 0; x < width; x++) {
-            const y = centerY - 
-                    (Math.sin(x * frequency) + 
-                     Math.sin(x * frequency * 1.25) + 
-                     Math.sin(x * frequency * 1.5)) * amplitude / 3;
-            if (x === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
+    for (let x = 0; x < width; x++) {
+        const sample = data[trigger + Math.floor(x * span / width)];
+        const y = height / 2 - sample * height / 2;
+        if (x === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
         }
     }
-    
     ctx.stroke();
 }
 
-// Highlight notes in circle of fifths
+// Draw the FFT spectrum on a log frequency axis with a gridline at every C
+function drawSpectrum(ctx, width, height) {
+    scope.analyser.getByteFrequencyData(scope.frequencyData);
+    
+    // Note gridlines (C2-C7)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+    for (let midi = 36; midi <= 96; midi += 12) {
+        const x = frequencyToPosition(MetaMind.Audio.midiToFrequency(midi), width);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillText(MetaMind.Audio.midiToNoteName(midi), x + 2, 12);
+    }
+    
+    // One bar per pixel column
+    ctx.fillStyle = '#0078ff';
+    for (let x = 0; x < width; x++) {
+        const frequency = SCOPE_MIN_FREQUENCY * Math.pow(SCOPE_MAX_FREQUENCY / SCOPE_MIN_FREQUENCY, x / width);
+        const barHeight = levelAt(frequency) / 255 * height;
+        ctx.fillRect(x, height - barHeight, 1, barHeight);
+    }
+}
+
+// Scroll the spectrogram left a pixel and draw the newest column (low notes at the bottom)
+function drawSpectrogramColumn(ctx, width, height) {
+    scope.analyser.getByteFrequencyData(scope.frequencyData);
+    
+    ctx.drawImage(ctx.canvas, -1, 0);
+    for (let y = 0; y < height; y++) {
+        const frequency = SCOPE_MIN_FREQUENCY * Math.pow(SCOPE_MAX_FREQUENCY / SCOPE_MIN_FREQUENCY, (height - y) / height);
+        const level = levelAt(frequency) / 255;
+        ctx.fillStyle = `hsl(${240 - level * 240}, 100%, ${level * 50}%)`;
+        ctx.fillRect(width - 1, y, 1, 1);
+    }
+}
+
+// Highlight the challenge's pitch classes in circle of fifths, marking the root
 function highlightCircleNotes() {
     // Remove all highlights
     document.querySelectorAll('.note-position').forEach(note => {
-        note.classList.remove('note-highlight');
+        note.classList.remove('note-highlight', 'note-root');
     });
     
     // Only highlight if there's a current challenge
     if (!gameState.currentChallenge) return;
     
-    // Get notes to highlight based on challenge type
-    let notes = [];
-    const rootNote = 'C'; // Default root note
-    
-    if (gameState.currentChallenge.type === 'scales') {
-        const scaleName = gameState.currentChallenge.name;
-        const scale = musicData.scales[scaleName];
-        
-        // For scales, highlight the notes in the scale
-        notes = scale.map(interval => {
-            const noteIndex = (0 + interval) % 12;
-            return ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"][noteIndex];
-        });
-    } else if (gameState.currentChallenge.type === 'intervals') {
-        const intervalName = gameState.currentChallenge.name;
-        const interval = musicData.intervals[intervalName];
-        
-        // For intervals, highlight the root and interval
-        const intervalNoteIndex = interval % 12;
-        const intervalNote = ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"][intervalNoteIndex];
-        notes = [rootNote, intervalNote];
-    } else if (gameState.currentChallenge.type === 'chords') {
-        const chordName = gameState.currentChallenge.name;
-        const chord = musicData.chords[chordName];
-        
-        // For chords, highlight the chord tones
-        notes = chord.map(interval => {
-            const noteIndex = (0 + interval) % 12;
-            return ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"][noteIndex];
-        });
-    }
+    const { notes, rootNote } = gameState.currentChallenge;
+    const circleNote = midiNote => CIRCLE_OF_FIFTHS[(midiNote % 12) * 7 % 12];
     
     // Apply highlights
     notes.forEach(note => {
-        const noteElement = document.querySelector(`.note-position[data-note="${note}"]`);
+        const noteElement = document.querySelector(`.note-position[data-note="${circleNote(note)}"]`);
         if (noteElement) {
             noteElement.classList.add('note-highlight');
         }
     });
+    const rootElement = document.querySelector(`.note-position[data-note="${circleNote(rootNote)}"]`);
+    if (rootElement) {
+        rootElement.classList.add('note-root');
+    }
+}
+
+// Notes of a challenge as staff columns (the notes of a column sound together)
+function staffColumns(challenge) {
+    const kind = challengeKind(challenge);
+    if (kind === 'chords' || kind === 'inversions' || challenge.presentation === 'harmonic') return [challenge.notes];
+    if (kind === 'progressions') return challenge.chords;
+    return challenge.notes.map(note => [note]);
+}
+
+// Spell a challenge's notes for its key: the root takes its key's name from the
+// circle of fifths and every other note the letter of its interval above the root
+function noteSpeller(challenge) {
+    const kind = challengeKind(challenge);
+    const root = challenge.rootNote;
+    const offsets = new Set(challenge.notes.map(note => ((note - root) % 12 + 12) % 12));
+    const minor = kind !== 'progressions' && kind !== 'degrees' && offsets.has(3) && !offsets.has(4); // Those are in major keys
+    
+    const steps = STAFF_STEPS.slice();
+    if (kind === 'chords' || kind === 'inversions') {
+        steps[8] = 4; // Augmented fifth
+    } else if (kind === 'scales' && challenge.notes.length === 7) {
+        // Heptatonic scales use each letter once
+        challenge.notes.forEach((note, index) => { steps[note - root] = index; });
+    } else if (kind === 'intervals' && challenge.name in musicData.intervals) {
+        // Intervals take the letter their name counts to (an augmented eleventh
+        // is an augmented fourth an octave up, not a diminished twelfth)
+        steps[musicData.intervals[challenge.name] % 12] = INTERVAL_STEPS[challenge.name.split(' ').pop()];
+    }
+    
+    // Minor keys are named after the relative minor on the circle (Eb minor, not D# minor)
+    const rootName = minor
+        ? CIRCLE_MINORS[(root + 3) % 12 * 7 % 12].slice(0, -1)
+        : CIRCLE_OF_FIFTHS[root % 12 * 7 % 12];
+    const rootLetter = LETTERS.indexOf(rootName[0]);
+    
+    return midiNote => {
+        const letter = (rootLetter + steps[((midiNote - root) % 12 + 12) % 12]) % 7;
+        const accidental = ((midiNote - LETTER_PITCHES[letter]) % 12 + 18) % 12 - 6;
+        const octave = (midiNote - accidental - LETTER_PITCHES[letter]) / 12 - 1;
+        return { midi: midiNote, letter, accidental, octave, position: octave * 7 + letter };
+    };
+}
+
+// Written name of a spelled note, e.g. "E♯4"
+function spelledName({ letter, accidental, octave }) {
+    return `${LETTERS[letter]}${accidental ? ACCIDENTALS[accidental] : ''}${octave}`;
+}
+
+// Draw a challenge's notes on the staff
+function drawChallengeStaff(container, challenge) {
+    const spell = noteSpeller(challenge);
+    container.appendChild(renderStaff(staffColumns(challenge).map(column => column.map(spell))));
+}
+
+// Create an SVG element with attributes
+function svgElement(tag, attrs = {}, text = '') {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text) el.textContent = text;
+    return el;
+}
+
+/**
+ * Staff notation for columns of spelled notes, as whole notes in one bar.
+ * Notes from middle C up go on a treble staff and lower ones on a bass staff
+ * (both, joined, when the notes need them). Accidentals hold for the rest of
+ * the bar, so a natural sign cancels an earlier one on the same line or space.
+ * @param {Object[][]} columns - Spelled notes (see noteSpeller); each column sounds together
+ * @returns {SVGElement} Staff
+ */
+function renderStaff(columns) {
+    const notes = columns.flat();
+    const clefs = [];
+    if (notes.some(note => note.position >= 28)) clefs.push('treble');
+    if (notes.some(note => note.position < 28)) clefs.push('bass');
+    
+    const staffTop = index => STAFF.top + index * STAFF.staffGap;
+    const staffOf = note => clefs.length === 1 ? 0 : (note.position >= 28 ? 0 : 1);
+    const yOf = (note, position = note.position) => {
+        const index = staffOf(note);
+        return staffTop(index) + (CLEFS[clefs[index]].topLine - position) * STAFF.lineGap / 2;
+    };
+    
+    const width = STAFF.left + columns.length * STAFF.columnWidth + STAFF.right;
+    const height = staffTop(clefs.length - 1) + 4 * STAFF.lineGap + STAFF.top;
+    const svg = svgElement('svg', { class: 'staff', viewBox: `0 0 ${width} ${height}`, width, height });
+    
+    // Staves, clefs and the line joining a grand staff
+    clefs.forEach((clef, index) => {
+        for (let line = 0; line < 5; line++) {
+            const y = staffTop(index) + line * STAFF.lineGap;
+            svg.appendChild(svgElement('line', { class: 'staff-line', x1: 10, y1: y, x2: width - 10, y2: y }));
+        }
+        svg.appendChild(svgElement('text', {
+            class: `clef clef-${clef}`, x: 14, y: staffTop(index) + CLEFS[clef].baseline, 'font-size': CLEFS[clef].size
+        }, CLEFS[clef].glyph));
+    });
+    if (clefs.length === 2) {
+        svg.appendChild(svgElement('line', { class: 'staff-line', x1: 10, y1: staffTop(0), x2: 10, y2: staffTop(1) + 4 * STAFF.lineGap }));
+    }
+    
+    // Accidental in force on each line and space, by staff position
+    const inForce = {};
+    
+    columns.forEach((column, columnIndex) => {
+        const x = STAFF.left + (columnIndex + 0.5) * STAFF.columnWidth;
+        const sorted = column.slice().sort((a, b) => a.position - b.position);
+        
+        // A second above an unshifted note sits to its right
+        let previous = null;
+        sorted.forEach(note => {
+            note.shifted = !!previous && !previous.shifted && staffOf(previous) === staffOf(note) &&
+                note.position - previous.position === 1;
+            previous = note;
+        });
+        
+        let accidentalIndex = 0;
+        sorted.slice().reverse().forEach(note => {
+            const cx = x + (note.shifted ? 12 : 0);
+            const cy = yOf(note);
+            const group = svgElement('g', { class: 'staff-note', 'data-note': spelledName(note) });
+            
+            // Ledger lines out to the note
+            const topLine = CLEFS[clefs[staffOf(note)]].topLine;
+            for (let position = topLine + 2; position <= note.position; position += 2) {
+                group.appendChild(svgElement('line', { class: 'ledger-line', x1: cx - 10, x2: cx + 10, y1: yOf(note, position), y2: yOf(note, position) }));
+            }
+            for (let position = topLine - 10; position >= note.position; position -= 2) {
+                group.appendChild(svgElement('line', { class: 'ledger-line', x1: cx - 10, x2: cx + 10, y1: yOf(note, position), y2: yOf(note, position) }));
+            }
+            
+            // Accidental, unless the bar already has it (stacked ones alternate columns)
+            const current = inForce[note.position] || 0;
+            if (note.accidental !== current) {
+                const ax = x - 14 - (accidentalIndex++ % 2) * 10;
+                group.appendChild(svgElement('text', { class: 'accidental', x: ax, y: cy + 5, 'text-anchor': 'middle' },
+                    ACCIDENTALS[note.accidental]));
+                inForce[note.position] = note.accidental;
+            }
+            
+            group.appendChild(svgElement('ellipse', {
+                class: 'note-head', cx, cy, rx: 6.5, ry: 4.5, transform: `rotate(-20 ${cx} ${cy})`
+            }));
+            group.appendChild(svgElement('title', {}, spelledName(note)));
+            svg.appendChild(group);
+        });
+    });
+    
+    return svg;
 }
 
 // Get note name from MIDI note number
@@ -1061,15 +2793,5 @@ function getMidiNoteName(midiNote) {
     return `${noteName}${octave}`;
 }
 
-// Shuffle an array (Fisher-Yates algorithm)
-function shuffleArray(array) {
-    const newArray = [...array];
-    for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
-    }
-    return newArray;
-}
-
 // Initialize when the document is loaded
 document.addEventListener('DOMContentLoaded', init); 
\ No newline at end of file
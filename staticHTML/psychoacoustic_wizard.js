@@ -33,10 +33,6 @@ function addClickListener(element, handler, name) {
     return false;
 }
 
-// Audio Context for Web Audio API
-let audioContext;
-let masterGainNode;
-
 // Game canvas and context
 let noteHighwayCanvas;
 let noteHighwayCtx;
@@ -175,6 +171,16 @@ function init() {
     window.addEventListener('resize', resizeGame);
     resizeGame();
 
+    // Show the pause screen when the tab is hidden or loses focus
+    MetaMind.Timer.enableAutoPause({
+        isActive: () => gameState.active && !gameState.paused,
+        overlay: false
+    });
+    MetaMind.Timer.onPauseChange(paused => {
+        if (paused) pauseGame();
+        else resumeGame();
+    });
+
     log('info', 'Module initialized successfully');
 }
 
@@ -285,21 +291,15 @@ function initializePatterns() {
 function startGame() {
     log('info', 'Starting game');
 
-    // Initialize Audio Context if needed
-    if (!audioContext) {
-        try {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            masterGainNode = audioContext.createGain();
-            masterGainNode.gain.value = 0.3; // Default volume
-            masterGainNode.connect(audioContext.destination);
-            initializeAudio();
-            log('info', 'Audio context initialized');
-        } catch (e) {
-            log('error', 'Web Audio API not supported', e);
-            alert('Your browser does not support the Web Audio API. Sound may not work correctly.');
-        }
+    // Initialize the shared audio engine - its clock drives the note highway
+    if (!MetaMind.Audio.init(0.3)) {
+        alert('Your browser does not support the Web Audio API. Sound may not work correctly.');
     }
 
+    // A session abandoned while paused may have left the clocks stopped
+    MetaMind.Timer.resumeAll();
+    MetaMind.Audio.resume();
+
     // Reset game state
     gameState.active = true;
     gameState.paused = false;
@@ -311,12 +311,13 @@ function startGame() {
     gameState.level = 1;
     gameState.tempo = 60;
     gameState.gameTime = 0;
-    gameState.lastUpdateTime = audioContext ? audioContext.currentTime : 0;
+    gameState.lastUpdateTime = MetaMind.Audio.now();
     gameState.notes = [];
     gameState.hitResults = [];
     gameState.notesHit = 0;
     gameState.notesMissed = 0;
     gameState.perfectPatterns = 0;
+    MetaMind.Progress.clearTrials('psychoacoustic_wizard');
 
     // Update UI safely
     if (elements.score) elements.score.textContent = gameState.score;
@@ -344,12 +345,6 @@ function startGame() {
     gameLoop();
 }
 
-// Initialize audio samples
-function initializeAudio() {
-    // We'll use simple oscillators for notes
-    // In a full implementation, you could preload samples here
-}
-
 // Initialize the note highway with pattern
 function initializeNoteHighway() {
     // Clear existing notes
@@ -366,7 +361,7 @@ function initializeNoteHighway() {
     pattern.forEach(note => {
         gameState.notes.push({
             lane: note.lane,
-            time: audioContext.currentTime + note.time + futureTime,
+            time: MetaMind.Audio.now() + note.time + futureTime,
             duration: note.duration,
             hit: false,
             missed: false
@@ -379,7 +374,7 @@ function gameLoop() {
     if (!gameState.active || gameState.paused) return;
 
     // Calculate time delta
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     const dt = now - gameState.lastUpdateTime;
     gameState.lastUpdateTime = now;
     gameState.gameTime += dt;
@@ -397,7 +392,7 @@ function gameLoop() {
 // Update game state
 function update(dt) {
     // Check for missed notes
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     let allNotesProcessed = true;
 
     gameState.notes.forEach(note => {
@@ -464,7 +459,7 @@ function handlePatternComplete() {
 
 // Handle note hit
 function handleNoteHit(laneIndex) {
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     
     // Find the closest unhit note in this lane
     let closestNote = null;
@@ -500,6 +495,15 @@ function handleNoteHit(laneIndex) {
     
     // Track hit timing
     closestNote.hitTiming = now - closestNote.time;
+
+    // Log the hit with its signed offset from the beat in ms (early is negative);
+    // notes are timed to the beat, so there is no reaction time to record
+    MetaMind.Progress.recordTrial('psychoacoustic_wizard', {
+        stimulus: { lane: closestNote.lane, level: gameState.level, tempo: gameState.tempo },
+        response: { lane: laneIndex, accuracy },
+        correct: true,
+        details: { offsetMs: Math.round(closestNote.hitTiming * 1000) }
+    });
     
     // Update combo
     gameState.combo++;
@@ -553,6 +557,13 @@ function handleNoteHit(laneIndex) {
 
 // Handle note miss
 function handleNoteMiss(note) {
+    // Log the miss
+    MetaMind.Progress.recordTrial('psychoacoustic_wizard', {
+        stimulus: { lane: note.lane, level: gameState.level, tempo: gameState.tempo },
+        response: null,
+        correct: false
+    });
+
     // Reset combo
     gameState.combo = 0;
     
@@ -583,51 +594,27 @@ function increaseTempo(amount) {
     // Show tempo change feedback
     elements.feedbackText.textContent = `Tempo: ${Math.round(gameState.tempo)} BPM`;
     elements.feedbackText.classList.add('visible');
-    setTimeout(() => {
+    MetaMind.Timer.delay('psycho_feedback', 2000, () => {
         elements.feedbackText.classList.remove('visible');
-    }, 2000);
+    });
 }
 
 // Play hit sound
 function playHitSound(laneIndex, accuracy) {
-    if (!audioContext) return;
-    
-    // Create oscillator
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    // Set frequency based on lane
-    const baseFrequency = 261.63; // C4
-    const scale = [0, 2, 4, 5, 7, 9, 11]; // Major scale intervals
-    const frequency = baseFrequency * Math.pow(2, scale[laneIndex] / 12);
-    
-    oscillator.frequency.value = frequency;
-    oscillator.type = 'sine';
-    
-    // Connect nodes
-    oscillator.connect(gainNode);
-    gainNode.connect(masterGainNode);
-    
-    // Set envelope
-    const now = audioContext.currentTime;
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.5, now + 0.01);
-    
-    // Different decay based on accuracy
-    if (accuracy === 'perfect') {
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
-        oscillator.type = 'triangle';
-    } else if (accuracy === 'good') {
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
-        oscillator.type = 'sine';
-    } else {
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
-        oscillator.type = 'sine';
-    }
-    
-    // Start and stop
-    oscillator.start(now);
-    oscillator.stop(now + 0.5);
+    if (!MetaMind.Audio.initialized) return;
+    
+    // Each lane plays a degree of the C4 major scale
+    const scale = [0, 2, 4, 5, 7, 9, 11];
+    const midi = 60 + scale[laneIndex];
+    
+    // Better hits ring longer (and brighter for perfect)
+    const decay = accuracy === 'perfect' ? 0.5 : accuracy === 'good' ? 0.3 : 0.2;
+    MetaMind.Audio.playMidi(midi, {
+        duration: decay,
+        type: accuracy === 'perfect' ? 'triangle' : 'sine',
+        velocity: 0.5,
+        envelope: { attack: 0.01, decay: decay - 0.01, sustain: 0.02, release: 0.01 }
+    });
 }
 
 // Show hit feedback
@@ -649,10 +636,10 @@ function showHitFeedback(accuracy, laneIndex) {
             keyIndicator.classList.add('correct');
         }
         
-        setTimeout(() => {
+        MetaMind.Timer.delay(`psycho_key_${laneIndex}`, 100, () => {
             keyIndicator.classList.remove('active');
             keyIndicator.classList.remove('correct');
-        }, 100);
+        });
     }
 }
 
@@ -688,7 +675,7 @@ function renderNoteHighway() {
     noteHighwayCtx.fillRect(0, settings.targetLineY, noteHighwayCanvas.width, 3);
     
     // Draw notes
-    const now = audioContext.currentTime;
+    const now = MetaMind.Audio.now();
     
     gameState.notes.forEach(note => {
         if (note.hit || note.missed) return;
@@ -777,7 +764,7 @@ function renderVisualizer() {
     for (let i = 0; i < barCount; i++) {
         // Use energy and game time to create dynamic visualization
         const energyFactor = gameState.energy / 100;
-        const timeFactor = (audioContext.currentTime * 5) % 1000;
+        const timeFactor = (MetaMind.Audio.now() * 5) % 1000;
         
         // Generate a value using sine waves
         const value = Math.abs(Math.sin(i * 0.2 + timeFactor * 0.01)) * 
@@ -833,29 +820,31 @@ function handleKeyUp(event) {
 
 // Pause the game
 function pauseGame() {
-    if (!gameState.active) return;
+    if (!gameState.active || gameState.paused) return;
     
     gameState.paused = true;
     elements.gameScreen.classList.add('hidden');
     elements.pauseScreen.classList.remove('hidden');
     
-    // Stop animation
+    // Stop animation, then effect timers (MetaMind.Audio stops its clock with them)
     if (animationId) {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
+    MetaMind.Timer.pauseAll('manual');
 }
 
 // Resume the game
 function resumeGame() {
-    if (!gameState.active) return;
+    if (!gameState.active || !gameState.paused) return;
     
     gameState.paused = false;
     elements.pauseScreen.classList.add('hidden');
     elements.gameScreen.classList.remove('hidden');
     
-    // Resume the game loop
-    gameState.lastUpdateTime = audioContext.currentTime;
+    // Restart the clocks, then the game loop
+    MetaMind.Timer.resumeAll();
+    gameState.lastUpdateTime = MetaMind.Audio.now();
     gameLoop();
 }
 
@@ -868,11 +857,13 @@ function restartGame() {
     
     // Stop game
     gameState.active = false;
+    MetaMind.Timer.resumeAll();
 }
 
 // End the game and show results
 function endGame() {
     gameState.active = false;
+    MetaMind.Timer.resumeAll();
     
     // Calculate final stats
     const totalNotes = gameState.notesHit + gameState.notesMissed;
@@ -11,15 +11,16 @@ const state = {
     modifiedPosition: null,
     memoryTime: 5000, // ms to memorize pattern
     blankTime: 1000, // ms of blank screen
-    timerId: null,
-    countdownId: null,
     timeRemaining: 0,
     correctAnswers: 0,
     totalQuestions: 0,
     wasModified: false,
     userSelectedModified: false,
     userSelectedPosition: null,
-    difficultyFactor: 1.0
+    difficultyFactor: 1.0,
+    recallStartedAt: null, // Epoch ms the recall prompt appeared
+    seed: null, // Seed of the session's random stream
+    daily: false // True when playing the shared daily challenge
 };
 
 // Available symbols - organized by difficulty
@@ -131,6 +132,9 @@ function init() {
         }
     });
 
+    // Stop the clock while the tab is hidden or loses focus
+    MetaMind.Timer.enableAutoPause();
+
     // Show initial screen
     showScreen('start');
     log('info', 'Module initialized successfully');
@@ -254,6 +258,12 @@ function startGame() {
     // Clear any timers
     clearAllTimers();
     
+    // Seed the session's random stream (replayable via ?seed= or ?daily)
+    const session = MetaMind.MathUtils.startSession();
+    state.seed = session.seed;
+    state.daily = session.daily;
+    MetaMind.Progress.clearTrials('symbol_memory');
+
     // Reset game state
     state.score = 0;
     state.level = 1;
@@ -305,14 +315,8 @@ function restartLevel() {
 
 // Clear all active timers
 function clearAllTimers() {
-    if (state.timerId) {
-        clearTimeout(state.timerId);
-        state.timerId = null;
-    }
-    if (state.countdownId) {
-        clearInterval(state.countdownId);
-        state.countdownId = null;
-    }
+    MetaMind.Timer.clear('symbol_phase');
+    MetaMind.Timer.clear('symbol_countdown');
 }
 
 // Generate a pattern of symbols
@@ -331,11 +335,12 @@ function generatePattern() {
         symbolSet = symbolSets.hard;
     }
     
-    // Generate random symbols
+    // Generate random symbols from the module's seeded stream
+    const rng = MetaMind.MathUtils.stream('symbol_memory');
     state.symbols = [];
     for (let i = 0; i < size * size; i++) {
-        const symbolIndex = Math.floor(Math.random() * symbolSet.length);
-        const colorIndex = Math.floor(Math.random() * activePalette.colors.length);
+        const symbolIndex = rng.randomInt(0, symbolSet.length - 1);
+        const colorIndex = rng.randomInt(0, activePalette.colors.length - 1);
         
         state.symbols.push({
             symbol: symbolSet[symbolIndex],
@@ -345,18 +350,18 @@ function generatePattern() {
     }
     
     // Determine if this pattern will be modified (50% chance)
-    state.wasModified = Math.random() < 0.5;
+    state.wasModified = rng.chance(0.5);
     
     // If modified, select a random position to modify
     if (state.wasModified) {
-        state.modifiedPosition = Math.floor(Math.random() * (size * size));
+        state.modifiedPosition = rng.randomInt(0, size * size - 1);
         
         // Store original symbol to avoid picking the same one
         const originalSymbol = state.symbols[state.modifiedPosition].symbol;
         let newSymbolIndex;
         
         do {
-            newSymbolIndex = Math.floor(Math.random() * symbolSet.length);
+            newSymbolIndex = rng.randomInt(0, symbolSet.length - 1);
         } while (symbolSet[newSymbolIndex] === originalSymbol);
         
         // Create a copy of the modified symbol (to be used during recall phase)
@@ -502,23 +507,21 @@ function startTimer() {
     
     // Set up countdown display
     if (state.phase === 'memorize' || state.phase === 'blank') {
-        // Update the display every second
-        state.countdownId = setInterval(() => {
+        // Update the display every second (pausable, so hidden tabs don't burn time)
+        MetaMind.Timer.repeat('symbol_countdown', 1000, () => {
             state.timeRemaining--;
             elements.timeRemainingDisplay.textContent = state.timeRemaining;
             
             if (state.timeRemaining <= 0) {
-                clearInterval(state.countdownId);
-                state.countdownId = null;
+                MetaMind.Timer.clear('symbol_countdown');
             }
-        }, 1000);
+        });
         
         // Set the main timer for phase transition
-        state.timerId = setTimeout(() => {
-            clearInterval(state.countdownId);
-            state.countdownId = null;
+        MetaMind.Timer.delay('symbol_phase', time, () => {
+            MetaMind.Timer.clear('symbol_countdown');
             nextPhase();
-        }, time);
+        });
     }
 }
 
@@ -530,6 +533,7 @@ function nextPhase() {
             break;
         case 'blank':
             state.phase = 'recall';
+            state.recallStartedAt = Date.now();
             break;
         case 'recall':
             state.phase = 'feedback';
@@ -634,6 +638,22 @@ function checkAnswer() {
         elements.resultMessage.className = 'result-message incorrect';
     }
     
+    // Log the trial for later analysis
+    MetaMind.Progress.recordTrial('symbol_memory', {
+        stimulus: {
+            level: state.level,
+            gridSize: state.gridSize,
+            wasModified: state.wasModified,
+            modifiedPosition: state.modifiedPosition
+        },
+        response: {
+            changed: state.userSelectedModified,
+            position: state.userSelectedPosition
+        },
+        correct: isCorrect,
+        presentedAt: state.recallStartedAt
+    });
+
     // Update score and statistics
     if (isCorrect) {
         // Base score based on level, with bonus for larger grid sizes
@@ -654,9 +674,7 @@ function checkAnswer() {
     
     // Automatically proceed to next level after feedback period
     const feedbackTime = isCorrect ? 2000 : 3000; // Shorter time for correct answers
-    state.timerId = setTimeout(() => {
-        nextPhase();
-    }, feedbackTime);
+    MetaMind.Timer.delay('symbol_phase', feedbackTime, nextPhase);
 }
 
 // Update level and score displays
@@ -678,7 +696,9 @@ function completeGame() {
             score: state.score,
             level: state.level,
             accuracy: accuracy,
-            gridSize: state.gridSize
+            gridSize: state.gridSize,
+            seed: state.seed,
+            daily: state.daily
         });
         log('info', `Progress saved: score=${state.score}, level=${state.level}`);
     }
@@ -0,0 +1,1408 @@
+/**
+ * MetaMindIQTrain - Headless Test Harness
+ * Loads a module page into a Node `vm` context with a minimal DOM, a fake
+ * AudioContext and a controllable clock, so tests can play whole sessions.
+ *
+ * Usage:
+ *   const { loadPage } = require('./test-harness.js');
+ *   const page = loadPage('morph_matrix.html', { search: '?seed=42' });
+ *   page.click('#start-button');
+ *   page.advance(1000);
+ *   page.get('state.score');        // module globals are readable by name
+ *   page.sessions[0].data;          // every Progress.saveSession call
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Sessions start at a fixed, realistic time so saved timestamps validate
+const DEFAULT_EPOCH = Date.UTC(2026, 0, 1, 12);
+
+// Fallback layout size for every element (there is no layout engine)
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+// Guards advance() against timers that keep rescheduling themselves at zero delay
+const MAX_TIMER_RUNS = 200000;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', times: '×', copy: '©' };
+
+// ============================================
+// CLOCK
+// ============================================
+
+/**
+ * One clock drives timers, animation frames, Date, performance and audio
+ * @param {number} epoch - Wall-clock time (ms) at elapsed 0
+ */
+function createClock(epoch = DEFAULT_EPOCH) {
+    const timers = new Map();
+    let elapsed = 0;
+    let nextId = 1;
+
+    return {
+        epoch,
+
+        get elapsed() { return elapsed; },
+
+        now() { return epoch + elapsed; },
+
+        setTimer(callback, ms, period = null) {
+            const id = nextId++;
+            timers.set(id, { time: elapsed + Math.max(0, Number(ms) || 0), callback, period });
+            return id;
+        },
+
+        clearTimer(id) {
+            timers.delete(id);
+        },
+
+        pending() {
+            return timers.size;
+        },
+
+        /**
+         * Run every timer due within ms, in time order, then stop at elapsed + ms
+         * @param {Function} onError - Receives errors thrown by callbacks
+         */
+        advance(ms, onError) {
+            const target = elapsed + Math.max(0, ms);
+            let runs = 0;
+            for (;;) {
+                let nextTimerId = null;
+                let next = null;
+                timers.forEach((timer, id) => {
+                    if (timer.time <= target && (!next || timer.time < next.time)) {
+                        next = timer;
+                        nextTimerId = id;
+                    }
+                });
+                if (!next) break;
+                if (++runs > MAX_TIMER_RUNS) throw new Error('Timers did not settle (zero-delay loop?)');
+
+                elapsed = next.time;
+                if (next.period !== null) next.time += Math.max(1, next.period);
+                else timers.delete(nextTimerId);
+
+                try {
+                    next.callback();
+                } catch (e) {
+                    onError(e);
+                }
+            }
+            elapsed = target;
+        }
+    };
+}
+
+// ============================================
+// FAKE WEB AUDIO
+// ============================================
+
+function createAudioParam(value) {
+    return {
+        value,
+        events: [],
+        setValueAtTime(v, time) { this.events.push({ type: 'set', value: v, time }); },
+        linearRampToValueAtTime(v, time) { this.events.push({ type: 'ramp', value: v, time }); },
+        exponentialRampToValueAtTime(v, time) { this.events.push({ type: 'exp', value: v, time }); },
+        setTargetAtTime(v, time) { this.events.push({ type: 'target', value: v, time }); },
+        cancelScheduledValues(time) { this.events.push({ type: 'cancel', time }); }
+    };
+}
+
+function createAudioNode(context, extra = {}) {
+    return {
+        context,
+        connections: [],
+        inputs: [],
+        connect(target) {
+            this.connections.push(target);
+            if (target && target.inputs) target.inputs.push(this);
+            return target;
+        },
+        // From one target, or from all of them
+        disconnect(only) {
+            this.connections.filter(target => only === undefined || target === only).forEach(target => {
+                if (target && target.inputs) target.inputs = target.inputs.filter(node => node !== this);
+            });
+            this.connections = only === undefined ? [] : this.connections.filter(target => target !== only);
+        },
+        // Instantaneous output; only microphone sources produce a signal
+        sample() { return 0; },
+        ...extra
+    };
+}
+
+/** A scheduled source (oscillator or buffer source) whose onended follows the clock */
+function createSourceNode(context, extra = {}) {
+    return createAudioNode(context, {
+        startTime: null,
+        stopTime: null,
+        onended: null,
+        _endTimer: null,
+        start(time = 0) { this.startTime = time; },
+        stop(time = 0) {
+            this.stopTime = time;
+            if (!context.clock) return;
+
+            // Fire onended when the audio clock reaches the stop time
+            if (this._endTimer !== null) context.clock.clearTimer(this._endTimer);
+            const delay = Math.max(0, time - context.currentTime) * 1000;
+            this._endTimer = context.clock.setTimer(() => {
+                this._endTimer = null;
+                if (typeof this.onended === 'function') this.onended();
+            }, delay);
+        },
+        ...extra
+    });
+}
+
+/** A sine wave signal for fake microphones: time (s) -> sample */
+function sine(frequency, amplitude = 0.5) {
+    return time => amplitude * Math.sin(2 * Math.PI * frequency * time);
+}
+
+/** A fake MediaStream whose signal can be swapped while it is open */
+function createMediaStream(signal) {
+    const stream = {
+        signal,
+        stopped: false,
+        getTracks: () => [{ kind: 'audio', stop() { stream.stopped = true; } }]
+    };
+    return stream;
+}
+
+/**
+ * Records parameter automation and start/stop times. With a clock, currentTime
+ * follows it while running and freezes while suspended; without one it is a
+ * plain settable number.
+ */
+class FakeAudioContext {
+    constructor(clock = null) {
+        this.clock = clock;
+        this.state = 'running';
+        this.sampleRate = 44100;
+        this._time = 0;
+        this._base = clock ? clock.elapsed : 0;
+        this.destination = createAudioNode(this);
+    }
+
+    get currentTime() {
+        if (!this.clock || this.state !== 'running') return this._time;
+        return this._time + (this.clock.elapsed - this._base) / 1000;
+    }
+
+    set currentTime(time) {
+        this._time = time;
+        this._base = this.clock ? this.clock.elapsed : 0;
+    }
+
+    createGain() {
+        return createAudioNode(this, { gain: createAudioParam(1) });
+    }
+
+    createMediaStreamSource(stream) {
+        return createAudioNode(this, {
+            mediaStream: stream,
+            sample: time => (stream.stopped || !stream.signal ? 0 : stream.signal(time))
+        });
+    }
+
+    /** Time-domain data is the sum of connected inputs over the last fftSize samples */
+    createAnalyser() {
+        const context = this;
+        return createAudioNode(this, {
+            fftSize: 2048,
+            smoothingTimeConstant: 0.8,
+            minDecibels: -100,
+            maxDecibels: -30,
+            get frequencyBinCount() { return this.fftSize / 2; },
+            sample(time) { return this.inputs.reduce((sum, node) => sum + node.sample(time), 0); },
+            getFloatTimeDomainData(array) {
+                const end = context.currentTime;
+                const count = Math.min(array.length, this.fftSize);
+                for (let i = 0; i < count; i++) {
+                    array[i] = this.sample(end - (count - i) / context.sampleRate);
+                }
+            },
+            getByteTimeDomainData(array) {
+                const samples = new Float32Array(array.length);
+                this.getFloatTimeDomainData(samples);
+                samples.forEach((value, i) => { array[i] = Math.max(0, Math.min(255, Math.round(128 + value * 128))); });
+            },
+            getFloatFrequencyData(array) { array.fill(this.minDecibels); },
+            getByteFrequencyData(array) { array.fill(0); }
+        });
+    }
+
+    createOscillator() {
+        return createSourceNode(this, {
+            type: 'sine',
+            periodicWave: null,
+            frequency: createAudioParam(440),
+            detune: createAudioParam(0),
+            setPeriodicWave(wave) {
+                this.type = 'custom';
+                this.periodicWave = wave;
+            }
+        });
+    }
+
+    createBufferSource() {
+        return createSourceNode(this, {
+            buffer: null,
+            loop: false,
+            playbackRate: createAudioParam(1)
+        });
+    }
+
+    createPeriodicWave(real, imag) {
+        return { real: Array.from(real), imag: Array.from(imag) };
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        return {
+            numberOfChannels,
+            length,
+            sampleRate,
+            duration: length / sampleRate,
+            getChannelData: channel => channels[channel]
+        };
+    }
+
+    async resume() {
+        if (this.state !== 'running') this.currentTime = this._time;
+        this.state = 'running';
+    }
+
+    async suspend() {
+        this._time = this.currentTime;
+        this.state = 'suspended';
+    }
+
+    async close() {
+        this._time = this.currentTime;
+        this.state = 'closed';
+    }
+}
+
+// ============================================
+// FAKE WEB MIDI
+// ============================================
+
+/**
+ * A mock MIDIAccess. Play into the page with access.inputs.get(id).receive([0x90, 60, 100]);
+ * plug(device) and unplug(id) fire onstatechange like a real one.
+ * @param {Array<{id: string, name: string, manufacturer: string}>} devices - Connected inputs
+ */
+function createMIDIAccess(devices = []) {
+    const createInput = device => ({
+        type: 'input',
+        state: 'connected',
+        manufacturer: '',
+        onmidimessage: null,
+        ...device,
+        receive(data) {
+            if (typeof this.onmidimessage === 'function') {
+                this.onmidimessage({ data: Uint8Array.from(data), timeStamp: 0 });
+            }
+        }
+    });
+
+    const access = {
+        inputs: new Map(devices.map(device => [device.id, createInput(device)])),
+        outputs: new Map(),
+        sysexEnabled: false,
+        onstatechange: null,
+        plug(device) {
+            const input = createInput(device);
+            access.inputs.set(device.id, input);
+            if (typeof access.onstatechange === 'function') access.onstatechange({ port: input });
+        },
+        unplug(id) {
+            const input = access.inputs.get(id);
+            if (!input) return;
+            access.inputs.delete(id);
+            input.state = 'disconnected';
+            if (typeof access.onstatechange === 'function') access.onstatechange({ port: input });
+        }
+    };
+    return access;
+}
+
+// ============================================
+// FAKE INDEXEDDB
+// ============================================
+
+/**
+ * A mock IDBFactory holding one database of object stores. Requests and
+ * transactions finish on the page clock (loadPage sets defer), so advance it
+ * to let them settle. Set failWrites to an error name (e.g. 'QuotaExceededError')
+ * to abort every readwrite transaction with it, as a full disk would, and
+ * beforeCommit to a function to run code just before each readwrite
+ * transaction settles (what other tabs do meanwhile). Pages
+ * loaded with the same factory are tabs of one origin: they also share its
+ * BroadcastChannels (see createBroadcastChannel).
+ * @param {Object} records - Records already in the 'keyvalue' store, by key
+ */
+function createIndexedDB(records = {}) {
+    const stores = new Map();
+    if (Object.keys(records).length > 0) stores.set('keyvalue', new Map(Object.entries(records)));
+
+    const factory = {
+        stores,
+        channels: [],
+        failWrites: null,
+        beforeCommit: null,
+        upgrades: 0,
+        defer: callback => setTimeout(callback, 0),
+
+        /** Records of a store, by key (empty when it doesn't exist) */
+        records(storeName = 'keyvalue') {
+            return Object.fromEntries(stores.get(storeName) || []);
+        },
+
+        open() {
+            const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null, onblocked: null };
+            const db = {
+                createObjectStore(name) {
+                    stores.set(name, new Map());
+                },
+                transaction: (storeName, mode = 'readonly') => createTransaction(storeName, mode),
+                close() {}
+            };
+            factory.defer(() => {
+                request.result = db;
+                if (stores.size === 0) {
+                    factory.upgrades++;
+                    if (request.onupgradeneeded) request.onupgradeneeded({ target: request });
+                }
+                if (request.onsuccess) request.onsuccess({ target: request });
+            });
+            return request;
+        }
+    };
+
+    // Writes are staged and applied together when the transaction commits
+    function createTransaction(storeName, mode) {
+        const data = stores.get(storeName);
+        if (!data) throw Object.assign(new Error(`No object store ${storeName}`), { name: 'NotFoundError' });
+        const staged = [];
+        const tx = { mode, error: null, oncomplete: null, onerror: null, onabort: null };
+
+        const store = {
+            put(value, key) {
+                if (mode !== 'readwrite') throw Object.assign(new Error('Read-only transaction'), { name: 'ReadOnlyError' });
+                staged.push(() => data.set(key, value));
+                return {};
+            },
+            delete(key) {
+                if (mode !== 'readwrite') throw Object.assign(new Error('Read-only transaction'), { name: 'ReadOnlyError' });
+                staged.push(() => data.delete(key));
+                return {};
+            },
+            openCursor() {
+                const request = { result: null, onsuccess: null, onerror: null };
+                const entries = Array.from(data.entries());
+                const step = index => factory.defer(() => {
+                    request.result = index < entries.length
+                        ? { key: entries[index][0], value: entries[index][1], continue: () => step(index + 1) }
+                        : null;
+                    if (request.onsuccess) request.onsuccess({ target: request });
+                });
+                step(0);
+                return request;
+            }
+        };
+        tx.objectStore = () => store;
+
+        factory.defer(() => {
+            if (mode === 'readwrite' && factory.beforeCommit) factory.beforeCommit();
+            if (mode === 'readwrite' && factory.failWrites) {
+                tx.error = Object.assign(new Error('Transaction aborted'), { name: factory.failWrites });
+                if (tx.onabort) tx.onabort({ target: tx });
+                return;
+            }
+            staged.forEach(apply => apply());
+            if (tx.oncomplete) tx.oncomplete({ target: tx });
+        });
+        return tx;
+    }
+
+    return factory;
+}
+
+/**
+ * BroadcastChannel class for one page. Messages are copied and delivered to
+ * the other open channels of the same name in the hub, on their pages' clocks.
+ * @param {Object[]} hub - Open channels of every page sharing the hub
+ * @param {Function} deliver - Schedules a callback on this page's clock
+ */
+function createBroadcastChannel(hub, deliver) {
+    return class BroadcastChannel {
+        constructor(name) {
+            this.name = String(name);
+            this.onmessage = null;
+            this._deliver = deliver;
+            hub.push(this);
+        }
+
+        postMessage(message) {
+            const data = JSON.stringify(message);
+            hub.filter(channel => channel !== this && channel.name === this.name).forEach(channel => {
+                channel._deliver(() => {
+                    if (channel.onmessage) channel.onmessage({ data: JSON.parse(data) });
+                });
+            });
+        }
+
+        close() {
+            const index = hub.indexOf(this);
+            if (index !== -1) hub.splice(index, 1);
+        }
+    };
+}
+
+// ============================================
+// FAKE DOM
+// ============================================
+
+class FakeEvent {
+    constructor(type, init = {}) {
+        Object.assign(this, init);
+        this.type = type;
+        this.bubbles = !!init.bubbles;
+        this.defaultPrevented = false;
+        this.target = null;
+        this.currentTarget = null;
+        this._stopped = false;
+    }
+
+    preventDefault() { this.defaultPrevented = true; }
+    stopPropagation() { this._stopped = true; }
+    stopImmediatePropagation() { this._stopped = true; }
+}
+
+class FakeEventTarget {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    addEventListener(type, listener, options) {
+        if (typeof listener !== 'function') return;
+        const list = this._listeners.get(type) || [];
+        if (list.some(entry => entry.listener === listener)) return;
+        list.push({ listener, once: !!(options && options.once) });
+        this._listeners.set(type, list);
+    }
+
+    removeEventListener(type, listener) {
+        const list = this._listeners.get(type);
+        if (list) this._listeners.set(type, list.filter(entry => entry.listener !== listener));
+    }
+
+    /**
+     * Run listeners on this target, then its ancestors when the event bubbles.
+     * Listener errors are reported like uncaught browser errors, not rethrown.
+     */
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        let node = this;
+        while (node) {
+            const list = (node._listeners.get(event.type) || []).slice();
+            event.currentTarget = node;
+            for (const entry of list) {
+                if (entry.once) node.removeEventListener(event.type, entry.listener);
+                try {
+                    entry.listener.call(node, event);
+                } catch (e) {
+                    node._reportError(e);
+                }
+            }
+            if (!event.bubbles || event._stopped) break;
+            node = node._eventParent();
+        }
+        return !event.defaultPrevented;
+    }
+
+    _eventParent() { return null; }
+    _reportError(e) { throw e; }
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function kebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+class FakeTextNode {
+    constructor(document, text) {
+        this.nodeType = 3;
+        this.nodeName = '#text';
+        this.ownerDocument = document;
+        this.parentNode = null;
+        this.data = String(text);
+    }
+
+    get textContent() { return this.data; }
+    set textContent(text) { this.data = String(text); }
+
+    cloneNode() { return new FakeTextNode(this.ownerDocument, this.data); }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+}
+
+function createStyle() {
+    const style = {
+        setProperty(name, value) { style[name] = value; style[camelCase(name)] = value; },
+        removeProperty(name) { delete style[name]; delete style[camelCase(name)]; },
+        getPropertyValue(name) { return style[name] || style[camelCase(name)] || ''; }
+    };
+    return style;
+}
+
+// Minimal 2D canvas context: drawing calls are accepted and ignored
+function createCanvasContext(canvas) {
+    const gradient = () => ({ addColorStop() {} });
+    const helpers = {
+        canvas,
+        measureText: text => ({ width: String(text).length * 6 }),
+        createLinearGradient: gradient,
+        createRadialGradient: gradient,
+        createPattern: () => ({}),
+        getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+        getLineDash: () => [],
+        isPointInPath: () => false
+    };
+    const noop = () => {};
+    return new Proxy(helpers, {
+        get(target, prop) {
+            return prop in target ? target[prop] : noop;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        }
+    });
+}
+
+class FakeElement extends FakeEventTarget {
+    constructor(document, tagName, namespaceURI = null) {
+        super();
+        this.nodeType = 1;
+        this.ownerDocument = document;
+        this.namespaceURI = namespaceURI;
+        this.localName = namespaceURI ? tagName : tagName.toLowerCase();
+        this.tagName = namespaceURI ? tagName : tagName.toUpperCase();
+        this.nodeName = this.tagName;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.attributes = new Map();
+        this.style = createStyle();
+        this.disabled = false;
+        this.checked = false;
+        this._value = null;
+        this._context = null;
+
+        const element = this;
+        this.dataset = new Proxy({}, {
+            get(target, key) { return typeof key === 'string' ? element.getAttribute(`data-${kebabCase(key)}`) || undefined : undefined; },
+            set(target, key, value) { element.setAttribute(`data-${kebabCase(key)}`, value); return true; },
+            deleteProperty(target, key) { element.removeAttribute(`data-${kebabCase(key)}`); return true; },
+            has(target, key) { return element.hasAttribute(`data-${kebabCase(key)}`); },
+            ownKeys() {
+                return [...element.attributes.keys()].filter(name => name.startsWith('data-')).map(name => camelCase(name.slice(5)));
+            },
+            getOwnPropertyDescriptor(target, key) {
+                const value = element.getAttribute(`data-${kebabCase(key)}`);
+                return value === null ? undefined : { value, enumerable: true, configurable: true, writable: true };
+            }
+        });
+
+        this.classList = {
+            _list: () => (element.getAttribute('class') || '').split(/\s+/).filter(Boolean),
+            _set: list => element.setAttribute('class', list.join(' ')),
+            add(...names) { const list = this._list(); names.forEach(n => { if (!list.includes(n)) list.push(n); }); this._set(list); },
+            remove(...names) { this._set(this._list().filter(n => !names.includes(n))); },
+            contains(name) { return this._list().includes(name); },
+            toggle(name, force) {
+                const on = force !== undefined ? !!force : !this.contains(name);
+                if (on) this.add(name); else this.remove(name);
+                return on;
+            },
+            replace(oldName, newName) { this._set(this._list().map(n => (n === oldName ? newName : n))); },
+            item(index) { return this._list()[index] || null; },
+            get length() { return this._list().length; }
+        };
+    }
+
+    // Attributes
+    getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+    setAttribute(name, value) { this.attributes.set(name, String(value)); }
+    removeAttribute(name) { this.attributes.delete(name); }
+    hasAttribute(name) { return this.attributes.has(name); }
+    setAttributeNS(ns, name, value) { this.setAttribute(name, value); }
+    getAttributeNS(ns, name) { return this.getAttribute(name); }
+
+    get id() { return this.getAttribute('id') || ''; }
+    set id(value) { this.setAttribute('id', value); }
+
+    get className() { return this.getAttribute('class') || ''; }
+    set className(value) { this.setAttribute('class', value); }
+
+    get value() {
+        if (this._value !== null) return this._value;
+        if (this.localName === 'select') {
+            const options = this.querySelectorAll('option');
+            const selected = options.find(o => o.hasAttribute('selected')) || options[0];
+            return selected ? selected.value : '';
+        }
+        if (this.localName === 'option' && !this.hasAttribute('value')) return this.textContent;
+        return this.getAttribute('value') || '';
+    }
+    set value(value) { this._value = String(value); }
+
+    get type() { return this.getAttribute('type') || (this.localName === 'button' ? 'submit' : 'text'); }
+    set type(value) { this.setAttribute('type', value); }
+
+    get href() { return this.getAttribute('href') || ''; }
+    set href(value) { this.setAttribute('href', value); }
+
+    get src() { return this.getAttribute('src') || ''; }
+    set src(value) { this.setAttribute('src', value); }
+
+    get title() { return this.getAttribute('title') || ''; }
+    set title(value) { this.setAttribute('title', value); }
+
+    // Tree
+    get children() { return this.childNodes.filter(node => node.nodeType === 1); }
+    get firstChild() { return this.childNodes[0] || null; }
+    get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+    get firstElementChild() { return this.children[0] || null; }
+    get parentElement() { return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null; }
+    get childElementCount() { return this.children.length; }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node));
+    }
+
+    insertBefore(node, reference) {
+        if (node.nodeType === 11) {
+            node.childNodes.slice().forEach(child => this.insertBefore(child, reference));
+            return node;
+        }
+        if (node.parentNode) node.parentNode.removeChild(node);
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) this.childNodes.push(node);
+        else this.childNodes.splice(index, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index === -1) throw new Error('Node to remove is not a child of this element');
+        this.childNodes.splice(index, 1);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes.slice().forEach(child => this.removeChild(child));
+        this.append(...nodes);
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    cloneNode(deep = false) {
+        const clone = new FakeElement(this.ownerDocument, this.tagName, this.namespaceURI);
+        this.attributes.forEach((value, name) => clone.setAttribute(name, value));
+        if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+        return clone;
+    }
+
+    // Content
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+    set textContent(text) {
+        this.childNodes.slice().forEach(child => this.removeChild(child));
+        if (text !== null && text !== undefined && text !== '') {
+            this.appendChild(new FakeTextNode(this.ownerDocument, text));
+        }
+    }
+
+    get innerText() { return this.textContent; }
+    set innerText(text) { this.textContent = text; }
+
+    get innerHTML() {
+        return this.childNodes.map(serialize).join('');
+    }
+    set innerHTML(html) {
+        this.childNodes.slice().forEach(child => this.removeChild(child));
+        parseHTML(String(html), this.ownerDocument, this);
+    }
+
+    get outerHTML() { return serialize(this); }
+
+    // Selectors
+    matches(selector) {
+        return parseSelector(selector).some(steps => matchesSteps(this, steps, steps.length - 1));
+    }
+
+    closest(selector) {
+        for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const groups = parseSelector(selector);
+        const found = [];
+        walk(this, element => {
+            if (groups.some(steps => matchesSteps(element, steps, steps.length - 1))) found.push(element);
+        });
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getElementsByTagName(tag) {
+        return this.querySelectorAll(tag);
+    }
+
+    getElementsByClassName(names) {
+        return this.querySelectorAll(names.trim().split(/\s+/).map(n => `.${n}`).join(''));
+    }
+
+    // Interaction
+    click() {
+        if (this.disabled) return;
+        this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+    }
+
+    focus() { this.ownerDocument.activeElement = this; }
+    blur() { if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body; }
+    scrollIntoView() {}
+
+    // Layout (fixed size - there is no layout engine)
+    get offsetWidth() { return this.ownerDocument._viewport.width; }
+    get offsetHeight() { return this.ownerDocument._viewport.height; }
+    get clientWidth() { return this.ownerDocument._viewport.width; }
+    get clientHeight() { return this.ownerDocument._viewport.height; }
+
+    getBoundingClientRect() {
+        const { width, height } = this.ownerDocument._viewport;
+        return { x: 0, y: 0, top: 0, left: 0, width, height, right: width, bottom: height };
+    }
+
+    // Canvas
+    get width() { return Number(this.getAttribute('width') || (this.localName === 'canvas' ? 300 : 0)); }
+    set width(value) { this.setAttribute('width', value); }
+    get height() { return Number(this.getAttribute('height') || (this.localName === 'canvas' ? 150 : 0)); }
+    set height(value) { this.setAttribute('height', value); }
+
+    getContext(type) {
+        if (this.localName !== 'canvas' || type !== '2d') return null;
+        if (!this._context) this._context = createCanvasContext(this);
+        return this._context;
+    }
+
+    _eventParent() { return this.parentNode || null; }
+    _reportError(e) { this.ownerDocument._reportError(e); }
+}
+
+class FakeDocumentFragment extends FakeElement {
+    constructor(document) {
+        super(document, '#document-fragment');
+        this.nodeType = 11;
+    }
+}
+
+class FakeDocument extends FakeEventTarget {
+    constructor(window, viewport) {
+        super();
+        this.nodeType = 9;
+        this.defaultView = window;
+        this.readyState = 'loading';
+        this.hidden = false;
+        this.visibilityState = 'visible';
+        this.documentElement = null;
+        this.activeElement = null;
+        this._viewport = viewport;
+    }
+
+    get head() { return this.documentElement && this.documentElement.querySelector('head'); }
+    get body() { return this.documentElement && this.documentElement.querySelector('body'); }
+    get title() { const el = this.documentElement && this.documentElement.querySelector('title'); return el ? el.textContent : ''; }
+
+    createElement(tag) { return new FakeElement(this, tag); }
+    createElementNS(ns, tag) { return new FakeElement(this, tag, ns); }
+    createTextNode(text) { return new FakeTextNode(this, text); }
+    createDocumentFragment() { return new FakeDocumentFragment(this); }
+
+    getElementById(id) {
+        let found = null;
+        if (this.documentElement) {
+            walk(this.documentElement, element => {
+                if (!found && element.getAttribute('id') === id) found = element;
+            }, true);
+        }
+        return found;
+    }
+
+    querySelectorAll(selector) {
+        if (!this.documentElement) return [];
+        const groups = parseSelector(selector);
+        return [this.documentElement, ...this.documentElement.querySelectorAll(selector)]
+            .filter(element => groups.some(steps => matchesSteps(element, steps, steps.length - 1)));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getElementsByTagName(tag) { return this.querySelectorAll(tag); }
+    getElementsByClassName(names) { return this.documentElement ? this.documentElement.getElementsByClassName(names) : []; }
+
+    _eventParent() { return this.defaultView; }
+    _reportError(e) { this.defaultView._reportError(e); }
+}
+
+function walk(root, visit, includeRoot = false) {
+    if (includeRoot) visit(root);
+    root.childNodes.forEach(child => {
+        if (child.nodeType === 1) walk(child, visit, true);
+    });
+}
+
+function serialize(node) {
+    if (node.nodeType === 3) return escapeHTML(node.data);
+    const attrs = [...node.attributes].map(([name, value]) => ` ${name}="${String(value).replace(/"/g, '&quot;')}"`).join('');
+    if (VOID_ELEMENTS.has(node.localName)) return `<${node.localName}${attrs}>`;
+    return `<${node.localName}${attrs}>${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+}
+
+// ============================================
+// HTML PARSER
+// ============================================
+
+/**
+ * Parse markup into DOM nodes appended to parent. Handles the subset the
+ * module pages use: elements, attributes, text, comments, raw script/style.
+ */
+function parseHTML(html, document, parent) {
+    const tagPattern = /<!--[\s\S]*?-->|<!\w[^>]*>|<\/\s*([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+    const attrPattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    const stack = [parent];
+    const top = () => stack[stack.length - 1];
+    let index = 0;
+    let match;
+
+    const addText = text => {
+        if (text) top().appendChild(new FakeTextNode(document, decodeEntities(text)));
+    };
+
+    while ((match = tagPattern.exec(html))) {
+        addText(html.slice(index, match.index));
+        index = tagPattern.lastIndex;
+        const [whole, closeName, openName, attrText, selfClose] = match;
+
+        if (closeName) {
+            const name = closeName.toLowerCase();
+            const depth = stack.map(el => el.localName).lastIndexOf(name);
+            if (depth > 0) stack.length = depth;
+            continue;
+        }
+        if (!openName) continue; // comment or doctype
+
+        const element = new FakeElement(document, openName, parent.namespaceURI && parent.localName !== 'foreignObject' ? parent.namespaceURI : null);
+        if (openName.toLowerCase() === 'svg') {
+            element.namespaceURI = 'http://www.w3.org/2000/svg';
+        }
+        let attr;
+        attrPattern.lastIndex = 0;
+        while ((attr = attrPattern.exec(attrText))) {
+            const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] !== undefined ? attr[4] : '';
+            element.setAttribute(attr[1].toLowerCase(), decodeEntities(value));
+        }
+        top().appendChild(element);
+
+        const name = element.localName.toLowerCase();
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const end = html.toLowerCase().indexOf(`</${name}`, index);
+            const stop = end === -1 ? html.length : end;
+            if (stop > index) element.appendChild(new FakeTextNode(document, html.slice(index, stop)));
+            const close = html.indexOf('>', stop);
+            index = tagPattern.lastIndex = close === -1 ? html.length : close + 1;
+        } else if (!VOID_ELEMENTS.has(name) && !selfClose) {
+            stack.push(element);
+        }
+    }
+    addText(html.slice(index));
+    return parent;
+}
+
+// ============================================
+// SELECTORS
+// ============================================
+
+const selectorCache = new Map();
+
+/**
+ * Parse a selector list into steps of compound selectors joined by
+ * descendant (' ') or child ('>') combinators
+ */
+function parseSelector(selector) {
+    if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+    const groups = [[]];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+    const flush = () => {
+        if (current) groups[groups.length - 1].push(current);
+        current = '';
+    };
+
+    for (const ch of selector) {
+        if (quote) {
+            current += ch;
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            current += ch;
+        } else if (ch === '[' || ch === ']') {
+            depth += ch === '[' ? 1 : -1;
+            current += ch;
+        } else if (depth === 0 && ch === ',') {
+            flush();
+            groups.push([]);
+        } else if (depth === 0 && /\s/.test(ch)) {
+            flush();
+        } else if (depth === 0 && ch === '>') {
+            flush();
+            groups[groups.length - 1].push('>');
+        } else {
+            current += ch;
+        }
+    }
+    flush();
+
+    const parsed = groups.map(tokens => {
+        const steps = [];
+        let combinator = ' ';
+        tokens.forEach(token => {
+            if (token === '>') {
+                combinator = '>';
+                return;
+            }
+            steps.push({ combinator, compound: parseCompound(token, selector) });
+            combinator = ' ';
+        });
+        if (steps.length === 0) throw new Error(`Invalid selector: "${selector}"`);
+        return steps;
+    });
+    selectorCache.set(selector, parsed);
+    return parsed;
+}
+
+function parseCompound(text, selector) {
+    const compound = { tag: null, ids: [], classes: [], attrs: [] };
+    const part = /(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/y;
+    let index = 0;
+    while (index < text.length) {
+        part.lastIndex = index;
+        const match = part.exec(text);
+        if (!match || (match[1] && index > 0)) throw new Error(`Unsupported selector: "${selector}"`);
+        index = part.lastIndex;
+        if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+        else if (match[2]) compound.ids.push(match[2]);
+        else if (match[3]) compound.classes.push(match[3]);
+        else {
+            const value = match[5] !== undefined ? match[5] : match[6] !== undefined ? match[6] : match[7];
+            compound.attrs.push({ name: match[4].toLowerCase(), value });
+        }
+    }
+    return compound;
+}
+
+function matchesCompound(element, compound) {
+    if (element.nodeType !== 1) return false;
+    if (compound.tag && element.localName.toLowerCase() !== compound.tag) return false;
+    if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+    if (compound.classes.length) {
+        const classes = element.classList._list();
+        if (compound.classes.some(name => !classes.includes(name))) return false;
+    }
+    return compound.attrs.every(({ name, value }) =>
+        element.hasAttribute(name) && (value === undefined || element.getAttribute(name) === value));
+}
+
+function matchesSteps(element, steps, index) {
+    if (!matchesCompound(element, steps[index].compound)) return false;
+    if (index === 0) return true;
+    let parent = element.parentNode;
+    if (steps[index].combinator === '>') {
+        return !!parent && parent.nodeType === 1 && matchesSteps(parent, steps, index - 1);
+    }
+    for (; parent && parent.nodeType === 1; parent = parent.parentNode) {
+        if (matchesSteps(parent, steps, index - 1)) return true;
+    }
+    return false;
+}
+
+// ============================================
+// WINDOW
+// ============================================
+
+class MemoryStorage {
+    constructor() {
+        this._data = new Map();
+    }
+
+    get length() { return this._data.size; }
+    key(index) { return [...this._data.keys()][index] || null; }
+    getItem(key) { return this._data.has(key) ? this._data.get(key) : null; }
+    setItem(key, value) { this._data.set(String(key), String(value)); }
+    removeItem(key) { this._data.delete(key); }
+    clear() { this._data.clear(); }
+}
+
+class FakeWindow extends FakeEventTarget {
+    _reportError(e) {
+        this._errors.push(e);
+        if (typeof this.onerror === 'function') {
+            try {
+                this.onerror(e.message, 'test-harness', 0, 0, e);
+            } catch (ignored) { /* the page's own handler failed */ }
+        }
+    }
+}
+
+// ============================================
+// PAGES
+// ============================================
+
+/**
+ * Load a module page: parse its HTML, run its scripts in one shared context
+ * and fire DOMContentLoaded.
+ * @param {string} file - Page path relative to this directory
+ * @param {Object} options
+ * @param {string} options.search - Query string, e.g. '?seed=42'
+ * @param {MemoryStorage} options.storage - Share localStorage with an earlier page
+ * @param {number} options.epoch - Wall-clock time at load
+ * @param {{width: number, height: number}} options.viewport - Size every element reports
+ * @param {Function} options.microphone - Signal (time in s -> sample) getUserMedia grants; omitted = denied
+ * @param {Object} options.midi - MIDIAccess (see createMIDIAccess) requestMIDIAccess resolves to; omitted = no Web MIDI
+ * @param {Object} options.indexedDB - IDBFactory (see createIndexedDB); omitted = no IndexedDB
+ *   (and no BroadcastChannel)
+ * @returns {Object} Page handle (see README "Testing")
+ */
+function loadPage(file, options = {}) {
+    const baseDir = options.baseDir || __dirname;
+    const html = fs.readFileSync(path.join(baseDir, file), 'utf8');
+    const clock = createClock(options.epoch || DEFAULT_EPOCH);
+    const storage = options.storage || new MemoryStorage();
+    const viewport = { ...DEFAULT_VIEWPORT, ...(options.viewport || {}) };
+
+    const window = new FakeWindow();
+    const document = new FakeDocument(window, viewport);
+    const errors = [];
+    const dialogs = [];
+    const sessions = [];
+    const consoleMessages = [];
+    const microphone = { signal: options.microphone || null, streams: [] };
+    window._errors = errors;
+
+    // Page HTML
+    const root = document.createDocumentFragment();
+    parseHTML(html, document, root);
+    document.documentElement = root.children.find(el => el.localName === 'html') || null;
+    if (!document.documentElement) throw new Error(`${file} has no <html> element`);
+    document.documentElement.parentNode = document;
+    document.activeElement = document.body;
+
+    // Browser globals
+    const record = level => (...args) => consoleMessages.push({ level, message: args.map(String).join(' ') });
+    // Timer callbacks run their promise reactions before the next timer, as in a browser
+    const task = callback => () => {
+        try {
+            callback();
+        } finally {
+            settle();
+        }
+    };
+    const AudioContext = class extends FakeAudioContext {
+        constructor() { super(clock); }
+    };
+
+    Object.assign(window, {
+        window,
+        self: window,
+        globalThis: window,
+        document,
+        console: { log() {}, info() {}, debug() {}, warn: record('warn'), error: record('error') },
+        localStorage: storage,
+        sessionStorage: new MemoryStorage(),
+        navigator: {
+            userAgent: 'MetaMind test harness',
+            language: 'en-US',
+            mediaDevices: {
+                getUserMedia: () => new (get('Promise'))((resolve, reject) => {
+                    if (!microphone.signal) {
+                        const error = new Error('Permission denied');
+                        error.name = 'NotAllowedError';
+                        reject(error);
+                        return;
+                    }
+                    const stream = createMediaStream(microphone.signal);
+                    microphone.streams.push(stream);
+                    resolve(stream);
+                })
+            },
+            ...(options.midi ? { requestMIDIAccess: () => get('Promise').resolve(options.midi) } : {})
+        },
+        location: { search: options.search || '', hash: '', pathname: `/${file}`, href: `http://localhost/${file}${options.search || ''}` },
+        innerWidth: viewport.width,
+        innerHeight: viewport.height,
+        devicePixelRatio: 1,
+        setTimeout: (callback, ms, ...args) => clock.setTimer(task(() => callback(...args)), ms),
+        clearTimeout: id => clock.clearTimer(id),
+        setInterval: (callback, ms, ...args) => clock.setTimer(task(() => callback(...args)), ms, Number(ms) || 0),
+        clearInterval: id => clock.clearTimer(id),
+        requestAnimationFrame: callback => clock.setTimer(task(() => callback(clock.elapsed)), 16),
+        cancelAnimationFrame: id => clock.clearTimer(id),
+        performance: { now: () => clock.elapsed },
+        AudioContext,
+        webkitAudioContext: AudioContext,
+        URLSearchParams,
+        URL,
+        Event: FakeEvent,
+        CustomEvent: FakeEvent,
+        KeyboardEvent: FakeEvent,
+        MouseEvent: FakeEvent,
+        Node: FakeElement,
+        Element: FakeElement,
+        HTMLElement: FakeElement,
+        alert: message => { dialogs.push({ type: 'alert', message: String(message) }); },
+        confirm: message => { dialogs.push({ type: 'confirm', message: String(message) }); return options.confirm !== false; },
+        prompt: message => { dialogs.push({ type: 'prompt', message: String(message) }); return null; },
+        getComputedStyle: element => element.style,
+        matchMedia: () => ({ matches: false, addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {} }),
+        scrollTo() {}
+    });
+    if (options.indexedDB) {
+        options.indexedDB.defer = callback => clock.setTimer(task(callback), 0);
+        window.indexedDB = options.indexedDB;
+        window.BroadcastChannel = createBroadcastChannel(options.indexedDB.channels, callback => clock.setTimer(task(callback), 0));
+    }
+
+    // Promise reactions run at the end of every evaluation (see settle)
+    const context = vm.createContext(window, { microtaskMode: 'afterEvaluate' });
+
+    // Date follows the page clock
+    vm.runInContext(`(function (now) {
+        const RealDate = Date;
+        globalThis.Date = class Date extends RealDate {
+            constructor(...args) { if (args.length) super(...args); else super(now()); }
+            static now() { return now(); }
+        };
+    })`, context)(() => clock.now());
+
+    // Scripts, in document order
+    document.querySelectorAll('script').forEach(script => {
+        const src = script.getAttribute('src');
+        const code = src ? fs.readFileSync(path.join(baseDir, src), 'utf8') : script.textContent;
+        try {
+            vm.runInContext(code, context, { filename: src || `${file} (inline script)` });
+        } catch (e) {
+            window._reportError(e);
+        }
+    });
+
+    const get = expression => vm.runInContext(expression, context);
+
+    /** Run pending promise reactions (the context drains its queue after each evaluation) */
+    function settle() {
+        vm.runInContext('', context);
+    }
+
+    // Record every saved session
+    if (get('typeof MetaMind') !== 'undefined') {
+        const progress = get('MetaMind').Progress;
+        const saveSession = progress.saveSession;
+        progress.saveSession = function (moduleName, data) {
+            sessions.push({ moduleName, data: JSON.parse(JSON.stringify(data)) });
+            return saveSession.call(this, moduleName, data);
+        };
+    }
+
+    // Page load
+    document.readyState = 'interactive';
+    document.dispatchEvent(new FakeEvent('DOMContentLoaded', { bubbles: true }));
+    document.readyState = 'complete';
+    window.dispatchEvent(new FakeEvent('load'));
+    settle();
+
+    const resolve = target => {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!element) throw new Error(`No element matches ${target}`);
+        return element;
+    };
+
+    const page = {
+        window,
+        document,
+        clock,
+        storage,
+        errors,
+        dialogs,
+        sessions,
+        console: consoleMessages,
+
+        /** Evaluate an expression in the page (module globals are in scope) */
+        get,
+
+        $: selector => document.querySelector(selector),
+        $$: selector => document.querySelectorAll(selector),
+
+        /** Advance the clock, running due timers, animation frames and audio */
+        advance(ms) {
+            clock.advance(ms, e => window._reportError(e));
+            settle();
+            return page;
+        },
+
+        /**
+         * Advance in steps until predicate() is true
+         * @returns {number} Milliseconds advanced
+         */
+        advanceUntil(predicate, { timeout = 60000, step = 50 } = {}) {
+            const start = clock.elapsed;
+            while (!predicate()) {
+                if (clock.elapsed - start >= timeout) {
+                    throw new Error(`Condition not met within ${timeout}ms`);
+                }
+                page.advance(step);
+            }
+            return clock.elapsed - start;
+        },
+
+        click(target) {
+            resolve(target).click();
+            settle();
+            return page;
+        },
+
+        keyDown(code, key = code.replace(/^Key/, '').toLowerCase(), target = document.activeElement || document.body) {
+            resolve(target).dispatchEvent(new FakeEvent('keydown', { bubbles: true, code, key }));
+            settle();
+            return page;
+        },
+
+        keyUp(code, key = code.replace(/^Key/, '').toLowerCase(), target = document.activeElement || document.body) {
+            resolve(target).dispatchEvent(new FakeEvent('keyup', { bubbles: true, code, key }));
+            settle();
+            return page;
+        },
+
+        press(code, key) {
+            return page.keyDown(code, key).keyUp(code, key);
+        },
+
+        /** True when the element and its ancestors are not hidden */
+        isVisible(target) {
+            const element = typeof target === 'string' ? document.querySelector(target) : target;
+            if (!element) return false;
+            for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+                if (node.classList.contains('hidden') || node.style.display === 'none') return false;
+            }
+            return true;
+        },
+
+        /** Switch the tab away (true) or back (false) */
+        setHidden(hidden) {
+            document.hidden = hidden;
+            document.visibilityState = hidden ? 'hidden' : 'visible';
+            document.dispatchEvent(new FakeEvent('visibilitychange'));
+            settle();
+            return page;
+        },
+
+        /**
+         * Change what the microphone hears: a signal (time in s -> sample) for
+         * streams already open and later getUserMedia calls, or null to deny access
+         */
+        setMicrophone(signal) {
+            microphone.signal = signal;
+            microphone.streams.forEach(stream => { stream.signal = signal; });
+            return page;
+        },
+
+        /** Streams handed out by getUserMedia (stopped once every track is stopped) */
+        get microphoneStreams() {
+            return microphone.streams;
+        },
+
+        /** ERROR entries from MetaMind.Debug plus uncaught errors */
+        problems() {
+            const logged = get('typeof MetaMind') !== 'undefined'
+                ? get('MetaMind').Debug.logBuffer.filter(e => e.level === 'ERROR').map(e => `${e.module}: ${e.message}`)
+                : [];
+            return [...errors.map(e => (e && e.stack) || String(e)), ...logged];
+        }
+    };
+    return page;
+}
+
+module.exports = {
+    loadPage,
+    createClock,
+    FakeAudioContext,
+    sine,
+    createMIDIAccess,
+    createIndexedDB,
+    MemoryStorage,
+    parseHTML,
+    DEFAULT_EPOCH
+};
@@ -12,6 +12,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadPage, FakeAudioContext, MemoryStorage, sine, createMIDIAccess, createIndexedDB } = require('./test-harness.js');
 
 // ============================================
 // CONFIGURATION
@@ -259,57 +260,1965 @@ function runCoreTests() {
     });
 }
 
+// ============================================
+// CORE BEHAVIOR TESTS (executes core.js under Node)
+// ============================================
+
+// Minimal in-memory localStorage so Storage/Progress can run under Node
+function installMemoryStorage() {
+    const data = new Map();
+    global.localStorage = {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: key => { data.delete(key); },
+        clear: () => data.clear(),
+        key: index => Array.from(data.keys())[index] || null,
+        get length() { return data.size; }
+    };
+}
+
+// Run fn with setTimeout and Date.now driven by clock.advance(ms)
+function withFakeClock(fn) {
+    const real = { setTimeout: global.setTimeout, clearTimeout: global.clearTimeout, now: Date.now };
+    const pending = new Map();
+    let now = 0;
+    let nextId = 1;
+
+    const clock = {
+        advance(ms) {
+            const target = now + ms;
+            for (;;) {
+                let next = null;
+                pending.forEach((timer, id) => {
+                    if (timer.time <= target && (!next || timer.time < next.time)) next = { id, ...timer };
+                });
+                if (!next) break;
+                pending.delete(next.id);
+                now = next.time;
+                next.callback();
+            }
+            now = target;
+        }
+    };
+
+    global.setTimeout = (callback, ms = 0) => {
+        pending.set(nextId, { time: now + Math.max(0, ms), callback });
+        return nextId++;
+    };
+    global.clearTimeout = id => pending.delete(id);
+    Date.now = () => now;
+    try {
+        fn(clock);
+    } finally {
+        global.setTimeout = real.setTimeout;
+        global.clearTimeout = real.clearTimeout;
+        Date.now = real.now;
+    }
+}
+
+// Synchronous stand-in for the IndexedDB backend
+// Point MetaMind.Audio at a fake context for the duration of fn
+function withFakeAudio(Audio, fn) {
+    const saved = { context: Audio.context, gainNode: Audio.gainNode, initialized: Audio.initialized, voices: Audio.voices };
+    const context = new FakeAudioContext();
+    Audio.context = context;
+    Audio.gainNode = context.createGain();
+    Audio.initialized = true;
+    Audio.voices = [];
+    try {
+        fn(context);
+    } finally {
+        Object.assign(Audio, saved);
+    }
+}
+
+function createMemoryBackend() {
+    const cache = new Map();
+    return {
+        name: 'memory',
+        sessionLimit: 200,
+        cache,
+        available: () => true,
+        open: () => Promise.resolve(),
+        read: key => (cache.has(key) ? cache.get(key) : null),
+        write: (key, value) => { cache.set(key, value); },
+        remove: key => { cache.delete(key); },
+        keys: () => Array.from(cache.keys())
+    };
+}
+
+function loadCore() {
+    if (!global.localStorage) installMemoryStorage();
+    const MetaMind = require('./core.js');
+    MetaMind.Debug.logToConsole = false;
+    require('./modules.js');
+    return MetaMind;
+}
+
+function runCoreBehaviorTests() {
+    TestRunner.suite('Core Behavior', () => {
+        const MetaMind = loadCore();
+        const { MathUtils } = MetaMind;
+
+        TestRunner.test('Seeded streams are reproducible', () => {
+            const a = MathUtils.createRNG(12345);
+            const b = MathUtils.createRNG(12345);
+            for (let i = 0; i < 50; i++) {
+                TestRunner.assertEqual(a.next(), b.next(), `Value ${i} differs.`);
+            }
+            TestRunner.assertEqual(
+                MathUtils.createRNG('team-seed').shuffle([1, 2, 3, 4, 5, 6]).join(),
+                MathUtils.createRNG('team-seed').shuffle([1, 2, 3, 4, 5, 6]).join(),
+                'Shuffle differs.'
+            );
+        });
+
+        TestRunner.test('Shared stream follows setSeed', () => {
+            MathUtils.setSeed(42);
+            const first = [MathUtils.randomInt(0, 1000), MathUtils.pick(['a', 'b', 'c']), MathUtils.random()];
+            MathUtils.setSeed(42);
+            const second = [MathUtils.randomInt(0, 1000), MathUtils.pick(['a', 'b', 'c']), MathUtils.random()];
+            TestRunner.assertEqual(first.join(), second.join(), 'Replay differs.');
+            TestRunner.assertEqual(MathUtils.getSeed(), 42);
+            MathUtils.clearSeed();
+            TestRunner.assertEqual(MathUtils.getSeed(), null);
+        });
+
+        TestRunner.test('Named streams depend only on the seed', () => {
+            const draw = () => MathUtils.stream('content').shuffle([1, 2, 3, 4, 5, 6]).join() + MathUtils.stream('content').randomInt(0, 1000);
+            MathUtils.setSeed(42);
+            const first = draw();
+            MathUtils.setSeed(42);
+            MathUtils.random();
+            MetaMind.Colors.randomBright();
+            MathUtils.stream('other').pick([1, 2, 3]);
+            TestRunner.assertEqual(draw(), first, 'Other draws shifted the stream.');
+            TestRunner.assertEqual(MathUtils.stream('content').seed, MathUtils.createRNG('42:content').seed);
+            MathUtils.setSeed(43);
+            TestRunner.assert(draw() !== first, 'Stream ignores the seed');
+            MathUtils.clearSeed();
+            TestRunner.assertEqual(MathUtils.stream('content').seed, null, 'Seeded without a seed.');
+        });
+
+        TestRunner.test('Seeded randomInt stays in range', () => {
+            const rng = MathUtils.createRNG(7);
+            for (let i = 0; i < 500; i++) {
+                const val = rng.randomInt(3, 9);
+                TestRunner.assert(val >= 3 && val <= 9, `Value ${val} out of range`);
+            }
+        });
+
+        TestRunner.test('Weighted picks follow the weights', () => {
+            const rng = MathUtils.createRNG(5);
+            const counts = { a: 0, b: 0, c: 0 };
+            for (let i = 0; i < 1000; i++) counts[rng.weightedPick(['a', 'b', 'c'], [1, 3, 0])]++;
+            TestRunner.assertEqual(counts.c, 0);
+            TestRunner.assert(counts.b > 2 * counts.a, `Counts ${JSON.stringify(counts)} ignore the weights`);
+            TestRunner.assert(['a', 'b'].includes(rng.weightedPick(['a', 'b'], [0, 0])), 'Zero weights not uniform');
+        });
+
+        TestRunner.test('Daily seed depends only on the UTC date', () => {
+            const morning = MathUtils.dailySeed(new Date('2025-03-01T01:00:00Z'));
+            const evening = MathUtils.dailySeed(new Date('2025-03-01T23:00:00Z'));
+            const nextDay = MathUtils.dailySeed(new Date('2025-03-02T01:00:00Z'));
+            TestRunner.assertEqual(morning, evening, 'Same day differs.');
+            TestRunner.assert(morning !== nextDay, 'Consecutive days share a seed');
+        });
+
+        TestRunner.test('Trials are attached to the saved session', () => {
+            const { Progress } = MetaMind;
+            Progress.clear('_trial_test');
+            Progress.recordTrial('_trial_test', {
+                stimulus: { note: 60 }, response: 'C', correct: true,
+                presentedAt: 1000, respondedAt: 1450
+            });
+            Progress.recordTrial('_trial_test', { stimulus: { note: 62 }, response: null, correct: false });
+
+            const trials = Progress.getTrials('_trial_test');
+            TestRunner.assertEqual(trials.length, 2);
+            TestRunner.assertEqual(trials[0].reactionTime, 450, 'Reaction time.');
+            TestRunner.assertEqual(trials[1].index, 1, 'Trial index.');
+
+            const data = Progress.saveSession('_trial_test', { score: 10, level: 1, accuracy: 50 });
+            const saved = data.sessions[data.sessions.length - 1];
+            TestRunner.assertEqual(saved.trials.length, 2, 'Saved trials.');
+            TestRunner.assertEqual(Progress.getTrials('_trial_test').length, 0, 'Buffer not cleared.');
+            Progress.clear('_trial_test');
+        });
+
+        TestRunner.test('Export/import merges, de-duplicates and reports conflicts', () => {
+            const { Progress } = MetaMind;
+            Progress.clear('_io_test');
+            Progress.saveSession('_io_test', { score: 40, level: 2, accuracy: 80 });
+            const exported = JSON.parse(JSON.stringify(Progress.exportData()));
+            TestRunner.assertEqual(exported.format, 'metamind-progress');
+            TestRunner.assert(exported.modules._io_test, 'Module missing from export');
+
+            // Re-importing the same data only finds duplicates
+            let report = Progress.importData(JSON.stringify(exported));
+            TestRunner.assert(report.ok, 'Import failed');
+            TestRunner.assertEqual(report.added, 0, 'Added.');
+            TestRunner.assert(report.duplicates >= 1, 'No duplicates reported');
+
+            // A new session merges, a changed one is a conflict
+            const sessions = exported.modules._io_test.sessions;
+            const changed = { ...sessions[0], score: 999 };
+            const extra = { score: 70, level: 4, accuracy: 90, timestamp: '2020-01-01T00:00:00.000Z' };
+            exported.modules = { _io_test: { ...exported.modules._io_test, bestScore: 0, sessions: [changed, extra] } };
+            report = Progress.importData(exported);
+            TestRunner.assertEqual(report.added, 1, 'Added.');
+            TestRunner.assertEqual(report.conflicts.length, 1, 'Conflicts.');
+
+            const merged = Progress.getProgress('_io_test');
+            TestRunner.assertEqual(merged.sessions.length, 2, 'Merged sessions.');
+            TestRunner.assertEqual(merged.sessions[0].timestamp, extra.timestamp, 'Sessions not sorted.');
+            TestRunner.assertEqual(merged.bestLevel, 4, 'Best level.');
+            TestRunner.assertEqual(merged.sessions[1].score, 40, 'Local copy not kept.');
+            Progress.clear('_io_test');
+        });
+
+        TestRunner.test('Import rejects foreign files', () => {
+            const { Progress } = MetaMind;
+            TestRunner.assert(!Progress.importData('not json').ok);
+            TestRunner.assert(!Progress.importData({ format: 'other' }).ok);
+            TestRunner.assert(!Progress.importData({ format: 'metamind-progress', version: 99, modules: {} }).ok);
+        });
+
+        TestRunner.test('Import reports unknown versions and every rejected session', () => {
+            const { Progress } = MetaMind;
+            const session = { timestamp: '2021-03-04T05:06:07.000Z', score: 5, level: 1, accuracy: 50 };
+            const file = modules => ({ format: 'metamind-progress', version: 1, modules });
+            [0, -1, 1.5, '2', null].forEach(schemaVersion => {
+                const report = Progress.importData(file({ _bad_version: { schemaVersion, sessions: [session] } }));
+                TestRunner.assertEqual(report.added, 0, `Imported version ${schemaVersion}.`);
+                TestRunner.assertEqual(report.errors.join(), `_bad_version: unknown progress version (${JSON.stringify(schemaVersion)})`);
+            });
+            TestRunner.assertEqual(Progress.importData(file({ _bad_version: { schemaVersion: 99, sessions: [session] } })).errors.join(),
+                '_bad_version: progress is from a newer version (99)');
+            TestRunner.assertEqual(Progress.listModules().includes('_bad_version'), false, 'Module created');
+
+            const report = Progress.importData(file({
+                _rejects: { schemaVersion: 2, sessions: [session, 'text', { score: 1 }, { ...session, timestamp: 'never' }] }
+            }));
+            TestRunner.assertEqual(report.added, 1, 'Added.');
+            TestRunner.assertEqual(report.errors.join('; '), '_rejects: session 1 rejected (not an object); ' +
+                '_rejects: session 2 rejected (no valid timestamp); _rejects: session 3 rejected (no valid timestamp)');
+            Progress.clear('_rejects');
+        });
+
+        TestRunner.test('CSV export has one escaped row per session', () => {
+            const { Progress } = MetaMind;
+            Progress.clear('_csv_test');
+            Progress.saveSession('_csv_test', { score: 5, level: 1, accuracy: 50, seed: 'a,"b"' });
+            const rows = Progress.exportCSV().split('\n').filter(r => r.startsWith('_csv_test,'));
+            TestRunner.assertEqual(rows.length, 1, 'Rows.');
+            TestRunner.assertContains(rows[0], '"a,""b"""', 'Escaping.');
+            Progress.clear('_csv_test');
+        });
+
+        TestRunner.test('Numeric seed strings replay the logged seed', () => {
+            TestRunner.assertEqual(MathUtils.hashSeed('3141592653'), 3141592653);
+            TestRunner.assertEqual(MathUtils.hashSeed(3141592653), 3141592653);
+        });
+
+        TestRunner.test('Legacy progress records are upgraded once, not on every read', () => {
+            const { Progress, Storage } = MetaMind;
+            Storage.save('progress__schema_test', {
+                sessions: [
+                    { score: 50, level: 3, accuracy: 80, gridSize: 4, timestamp: '2024-01-01T00:00:00.000Z' },
+                    { accuracy: 0, timestamp: '2024-01-02T00:00:00.000Z' },
+                    { score: 'lots', level: 2, accuracy: 140, trials: 'x', timestamp: '2024-01-03T00:00:00.000Z' },
+                    { score: 10, timestamp: 'yesterday' },
+                    null
+                ],
+                bestScore: 999, bestLevel: 0, totalSessions: 2
+            });
+
+            // Reads upgrade a copy without writing
+            const save = Storage.save;
+            let writes = 0;
+            Storage.save = function (...args) {
+                writes++;
+                return save.apply(this, args);
+            };
+            let data;
+            try {
+                data = Progress.getProgress('_schema_test');
+                Progress.getStats('_schema_test');
+                Progress.getSessions('_schema_test');
+            } finally {
+                Storage.save = save;
+            }
+            TestRunner.assertEqual(writes, 0, 'Reads wrote to storage.');
+            TestRunner.assertEqual(Storage.load('progress__schema_test').schemaVersion, undefined, 'Stored record changed by a read.');
+            TestRunner.assertEqual(data.schemaVersion, Progress.schemaVersion, 'Record version.');
+            TestRunner.assertEqual(data.sessions.length, 3, 'Invalid sessions not dropped.');
+            TestRunner.assertEqual(data.sessions[0].details.gridSize, 4, 'Module field not moved.');
+            TestRunner.assertEqual(data.sessions[0].gridSize, undefined, 'Module field left at top level.');
+            TestRunner.assertEqual(data.sessions[1].score, null, 'Missing score.');
+            TestRunner.assertEqual(data.sessions[2].score, null, 'Non-numeric score.');
+            TestRunner.assertEqual(data.sessions[2].accuracy, 100, 'Accuracy not clamped.');
+            TestRunner.assertEqual(data.sessions[2].trials.length, 0, 'Trials not repaired.');
+            TestRunner.assertEqual(data.bestLevel, 3, 'Best level not recomputed.');
+            TestRunner.assertEqual(data.bestScore, 999, 'Stored best lost.');
+            TestRunner.assertEqual(data.totalSessions, 3, 'Total below kept sessions.');
+            Progress.upgradeStored();
+            TestRunner.assertEqual(Storage.load('progress__schema_test').schemaVersion, Progress.schemaVersion, 'Upgrade not saved.');
+            TestRunner.assertEqual(JSON.stringify(Progress.getProgress('_schema_test')), JSON.stringify(data), 'Saved upgrade differs.');
+
+            // Unscored sessions don't drag the average down
+            TestRunner.assertEqual(Progress.getStats('_schema_test').avgScore, 50, 'Average.');
+            Progress.clear('_schema_test');
+        });
+
+        TestRunner.test('A stored record that cannot be upgraded leaves the others upgrading', () => {
+            const storage = new MemoryStorage();
+            storage.setItem('metamind_progress__a_bad', '{"schemaVersion":0,"sessions":[]}');
+            storage.setItem('metamind_progress__b_old', '{"sessions":[{"score":5,"gridSize":4,"timestamp":"2024-01-01T00:00:00.000Z"}]}');
+            const page = loadPage('index.html', { storage });
+            TestRunner.assertEqual(JSON.parse(storage.getItem('metamind_progress__b_old')).schemaVersion, page.get('MetaMind.Progress.schemaVersion'), 'Later record not upgraded.');
+            TestRunner.assertEqual(storage.getItem('metamind_progress__a_bad'), '{"schemaVersion":0,"sessions":[]}', 'Bad record touched.');
+            TestRunner.assert(page.console.some(entry => entry.message.includes('Could not upgrade stored progress for _a_bad')), 'Failure not logged');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Saved sessions follow the current schema', () => {
+            const { Progress } = MetaMind;
+            Progress.clear('_schema_test');
+            const data = Progress.saveSession('_schema_test', { score: 20, level: 1, accuracy: 75, maxCombo: 6 });
+            const session = data.sessions[0];
+            TestRunner.assertEqual(session.schemaVersion, Progress.schemaVersion);
+            TestRunner.assertEqual(session.details.maxCombo, 6, 'Module field.');
+            TestRunner.assertEqual(session.daily, false, 'Daily flag.');
+            TestRunner.assertEqual(session.seed, null, 'Seed.');
+            Progress.clear('_schema_test');
+        });
+
+        TestRunner.test('Module registry validates manifests and drives getAllStats', () => {
+            const { Modules, Progress } = MetaMind;
+            TestRunner.assertEqual(Modules.register({ id: 'Bad Id', title: 'x', category: 'x', entry: 'x.html' }), null);
+            TestRunner.assertEqual(Modules.register({ id: 'no_entry', title: 'x', category: 'x' }), null);
+
+            const manifest = Modules.register({
+                id: '_registry_test', title: 'Registry Test', category: '_Testing',
+                entry: 'registry_test.html', stats: { level: false, details: { depth: 'Depth' } }
+            });
+            try {
+                TestRunner.assertEqual(manifest.stats.score, true, 'Score default.');
+                TestRunner.assertEqual(manifest.stats.level, false, 'Level flag.');
+                TestRunner.assertEqual(manifest.stats.details.depth, 'Depth');
+                TestRunner.assertEqual(Modules.list('_Testing').length, 1, 'Category filter.');
+                TestRunner.assert(Modules.categories().includes('_Testing'), 'Category missing');
+                TestRunner.assert('_registry_test' in Progress.getAllStats(), 'Registered module not in stats');
+            } finally {
+                Modules._manifests.delete('_registry_test');
+            }
+        });
+
+        TestRunner.test('Sessions can be filtered by date range', () => {
+            const { Progress, Storage } = MetaMind;
+            Storage.save('progress__range_test', {
+                schemaVersion: Progress.schemaVersion,
+                sessions: ['2024-03-01', '2024-03-05', '2024-03-09'].map((day, i) => ({
+                    score: i, timestamp: `${day}T12:00:00.000Z`
+                })),
+                bestScore: 2, bestLevel: 0, totalSessions: 3
+            });
+
+            TestRunner.assertEqual(Progress.getSessions('_range_test').length, 3, 'Unfiltered.');
+            const middle = Progress.getSessions('_range_test', { from: '2024-03-02', to: new Date('2024-03-06') });
+            TestRunner.assertEqual(middle.map(s => s.score).join(), '1', 'Bounded.');
+            TestRunner.assertEqual(Progress.getSessions('_range_test', { from: '2024-03-05T12:00:00.000Z' }).length, 2, 'Inclusive from.');
+            Progress.clear('_range_test');
+        });
+
+        TestRunner.test('Registered migrations run in order', () => {
+            const { Progress } = MetaMind;
+            const current = Progress.schemaVersion;
+            const original = Progress.migrations[current];
+            Progress.registerMigration(current, record => {
+                record.sessions.forEach(s => { s.details.migrated = true; });
+                return record;
+            });
+            Progress.schemaVersion = current + 1;
+            try {
+                const { record } = Progress.upgradeRecord({
+                    sessions: [{ score: 1, legacy: 'x', timestamp: '2024-01-01T00:00:00.000Z' }]
+                });
+                TestRunner.assertEqual(record.schemaVersion, current + 1);
+                TestRunner.assertEqual(record.sessions[0].details.legacy, 'x', 'Earlier migration skipped.');
+                TestRunner.assert(record.sessions[0].details.migrated, 'New migration skipped');
+            } finally {
+                Progress.schemaVersion = current;
+                if (original) Progress.migrations[current] = original;
+                else delete Progress.migrations[current];
+            }
+        });
+
+        TestRunner.test('Paused timers keep their remaining time', () => {
+            const { Timer } = MetaMind;
+            withFakeClock(clock => {
+                let fired = 0;
+                Timer.delay('_pause_test', 1000, () => fired++);
+                clock.advance(400);
+                TestRunner.assert(Timer.pauseAll('hidden'), 'pauseAll refused');
+                TestRunner.assertEqual(Timer.remaining('_pause_test'), 600, 'Remaining at pause.');
+
+                clock.advance(5000);
+                TestRunner.assertEqual(fired, 0, 'Fired while paused.');
+                TestRunner.assertEqual(Timer.remaining('_pause_test'), 600, 'Remaining while paused.');
+
+                Timer.resumeAll();
+                clock.advance(599);
+                TestRunner.assertEqual(fired, 0, 'Fired early.');
+                clock.advance(1);
+                TestRunner.assertEqual(fired, 1, 'Did not fire.');
+                TestRunner.assertEqual(Timer.getActiveCount(), 0, 'One-shot timer kept.');
+            });
+        });
+
+        TestRunner.test('Countdowns and new timers respect pauseAll', () => {
+            const { Timer } = MetaMind;
+            withFakeClock(clock => {
+                const ticks = [];
+                const events = [];
+                let done = false;
+                const unsubscribe = Timer.onPauseChange((paused, reason) => events.push(`${paused}:${reason}`));
+
+                Timer.countdown('_countdown_test', 3, n => ticks.push(n), () => { done = true; });
+                clock.advance(1500);
+                Timer.pauseAll();
+                let late = false;
+                Timer.after(10, () => { late = true; });
+                clock.advance(10000);
+                TestRunner.assertEqual(ticks.join(), '3,2', 'Ticks while paused.');
+                TestRunner.assert(!late, 'Timer created while paused ran');
+
+                Timer.resumeAll();
+                clock.advance(500);
+                TestRunner.assertEqual(ticks.join(), '3,2,1', 'Tick after resume.');
+                clock.advance(1000);
+                TestRunner.assert(done && late, 'Countdown or new timer did not finish');
+                TestRunner.assertEqual(events.join(), 'true:manual,false:manual', 'Listener calls.');
+                unsubscribe();
+                Timer.clearAll();
+            });
+        });
+
+        TestRunner.test('Notes played while paused are dropped, not resuming the audio clock', () => {
+            const { Audio, Timer } = MetaMind;
+            withFakeAudio(Audio, context => {
+                Timer.pauseAll();
+                context.state = 'suspended';
+                try {
+                    TestRunner.assertEqual(Audio.playMidi(60, { duration: 0.5 }), null, 'Note played while paused.');
+                    TestRunner.assertEqual(Audio.schedule([{ midi: 62, time: 0 }]).voices[0], null, 'Scheduled note played while paused.');
+                    TestRunner.assertEqual(context.state, 'suspended', 'Audio clock resumed.');
+                } finally {
+                    Timer.resumeAll();
+                }
+                TestRunner.assertNotNull(Audio.playMidi(60, { duration: 0.5 }), 'No note after resuming.');
+                TestRunner.assertEqual(context.state, 'running');
+            });
+        });
+
+        TestRunner.test('Audio converts between note names and MIDI', () => {
+            const { Audio } = MetaMind;
+            TestRunner.assertEqual(Audio.noteNameToMidi('C4'), 60);
+            TestRunner.assertEqual(Audio.noteNameToMidi('Bb3'), 58);
+            TestRunner.assertEqual(Audio.noteNameToMidi('F#'), 66, 'Default octave.');
+            TestRunner.assertEqual(Audio.noteNameToMidi('H2'), null, 'Invalid letter.');
+            TestRunner.assertEqual(Audio.midiToNoteName(61), 'C#4');
+            TestRunner.assertEqual(Audio.midiToNoteName(61, { flats: true }), 'Db4');
+            TestRunner.assertEqual(Audio.midiToNoteName(57, { octave: false }), 'A');
+            TestRunner.assertEqual(Audio.midiToFrequency(69), 440);
+            TestRunner.assertEqual(Math.round(Audio.frequencyToMidi(261.63)), 60);
+        });
+
+        TestRunner.test('Audio voices follow their ADSR envelope', () => {
+            const { Audio } = MetaMind;
+            withFakeAudio(Audio, () => {
+                const envelope = { attack: 0.1, decay: 0.1, sustain: 0.5, release: 0.2 };
+                const voice = Audio.playMidi(69, { when: 1, duration: 0.5, velocity: 0.8, envelope });
+                const steps = voice.gain.gain.events.map(e => `${e.type}:${+(e.value || 0).toFixed(2)}@${+e.time.toFixed(2)}`);
+                TestRunner.assertEqual(steps.join(' '),
+                    'set:0@1 ramp:0.8@1.1 ramp:0.4@1.2 cancel:0@1.5 set:0.4@1.5 ramp:0@1.7', 'Gain automation.');
+                TestRunner.assertEqual(voice.oscillator.startTime, 1, 'Start time.');
+                TestRunner.assertEqual(+voice.oscillator.stopTime.toFixed(2), 1.71, 'Stop time.');
+                TestRunner.assertEqual(Audio.envelopeLevel(envelope, 0.05, 0.8), 0.4, 'Level mid-attack.');
+                TestRunner.assertEqual(Audio.activeVoices(1.6).length, 1, 'Voice ended during release.');
+                TestRunner.assertEqual(Audio.activeVoices(1.7).length, 0, 'Voice outlived its release.');
+            });
+        });
+
+        TestRunner.test('Audio steals the oldest voice at the limit', () => {
+            const { Audio } = MetaMind;
+            const limit = Audio.maxVoices;
+            Audio.maxVoices = 2;
+            try {
+                withFakeAudio(Audio, context => {
+                    const first = Audio.noteOn(60);
+                    context.currentTime = 0.5;
+                    const second = Audio.noteOn(64);
+                    context.currentTime = 1;
+                    Audio.noteOn(67);
+                    TestRunner.assertEqual(Audio.voices.length, 2, 'Voice count.');
+                    TestRunner.assert(!Audio.voices.includes(first), 'Oldest voice kept');
+                    TestRunner.assert(Audio.voices.includes(second), 'Newer voice stolen');
+                    TestRunner.assertEqual(+first.endTime.toFixed(3), 1.005, 'Stolen voice release.');
+                });
+            } finally {
+                Audio.maxVoices = limit;
+            }
+        });
+
+        TestRunner.test('Audio schedules note sequences', () => {
+            const { Audio } = MetaMind;
+            withFakeAudio(Audio, context => {
+                context.currentTime = 2;
+                const result = Audio.schedule([
+                    { midi: 60, time: 0 },
+                    { note: 'E4', time: 0.5, duration: 1 },
+                    { frequency: 392, time: 1 }
+                ]);
+                TestRunner.assertEqual(+result.start.toFixed(2), 2.05, 'Default start.');
+                TestRunner.assertEqual(+result.end.toFixed(2), 3.55, 'End of the longest note.');
+                TestRunner.assertEqual(result.voices.map(v => +v.startTime.toFixed(2)).join(), '2.05,2.55,3.05');
+                TestRunner.assertEqual(result.voices[0].midi, 60);
+                TestRunner.assertEqual(Math.round(result.voices[1].frequency), 330, 'Named note frequency.');
+            });
+        });
+
+        TestRunner.test('Pitch detection finds the fundamental of synthesized buffers', () => {
+            const { Audio } = MetaMind;
+            const sampleRate = 44100;
+            const buffer = signal => Float32Array.from({ length: 2048 }, (_, i) => signal(i / sampleRate));
+            const cents = (detected, frequency) => Math.abs(Audio.centsBetween(detected.frequency, frequency));
+
+            [110, 220, 261.63, 440, 987.77].forEach(frequency => {
+                const detected = Audio.detectPitch(buffer(t => 0.5 * Math.sin(2 * Math.PI * frequency * t)), sampleRate);
+                TestRunner.assert(detected && cents(detected, frequency) < 5, `Sine at ${frequency} Hz read as ${detected && detected.frequency}`);
+            });
+
+            // A voice-like tone with a weak fundamental is still heard at its fundamental
+            const voice = t => [0.2, 0.5, 0.4, 0.3, 0.2].reduce((sum, amp, h) => sum + amp * Math.sin(2 * Math.PI * 196 * (h + 1) * t), 0);
+            const detected = Audio.detectPitch(buffer(voice), sampleRate);
+            TestRunner.assert(detected && cents(detected, 196) < 5, `Harmonic tone read as ${detected && detected.frequency}`);
+            TestRunner.assert(detected.clarity > 0.85, 'Clear tone reported as unclear');
+
+            TestRunner.assertEqual(Audio.detectPitch(buffer(() => 0), sampleRate), null, 'Silence.');
+            let state = 2463534242; // xorshift32 white noise
+            const noise = buffer(() => {
+                state ^= state << 13;
+                state ^= state >>> 17;
+                state ^= state << 5;
+                return (state >>> 0) / 2 ** 32 - 0.5;
+            });
+            TestRunner.assertEqual(Audio.detectPitch(noise, sampleRate), null, 'Noise.');
+            TestRunner.assertEqual(Math.round(Audio.centsBetween(466.16, 440)), 100);
+        });
+
+        TestRunner.test('Migration moves prefixed keys into IndexedDB once the copy commits', () => {
+            const record = '{"schemaVersion":2,"sessions":[],"bestScore":3,"bestLevel":0,"totalSessions":0}';
+            const storage = new MemoryStorage();
+            storage.setItem('metamind_progress__mig_test', record);
+            storage.setItem('metamind_debug_log', '[]');
+            storage.setItem('other_app', 'x');
+            const db = createIndexedDB();
+
+            const page = loadPage('index.html', { storage, indexedDB: db });
+            TestRunner.assertEqual(storage.getItem('metamind_progress__mig_test'), record, 'Removed before the copy committed.');
+            page.advance(0);
+            TestRunner.assertEqual(db.upgrades, 1, 'Store not created.');
+            TestRunner.assertEqual(page.get('MetaMind.Storage.backend.name'), 'indexedDB');
+            const records = db.records();
+            TestRunner.assertEqual(records.metamind_progress__mig_test, record);
+            TestRunner.assertEqual(storage.getItem('metamind_progress__mig_test'), null, 'Not removed.');
+            TestRunner.assertNotNull(storage.getItem('metamind_debug_log'), 'Debug log moved');
+            TestRunner.assert(!('metamind_debug_log' in records), 'Debug log migrated');
+            TestRunner.assertEqual(storage.getItem('other_app'), 'x', 'Foreign key touched.');
+            TestRunner.assert(!('other_app' in records), 'Foreign key migrated');
+            TestRunner.assertNotNull(storage.getItem(page.get('MetaMind.Storage.migrationFlag')), 'Flag not set');
+            TestRunner.assertEqual(page.get("MetaMind.Progress.getProgress('_mig_test').bestScore"), 3, 'Migrated data unreadable.');
+            TestRunner.assertEqual(page.get('MetaMind.Progress.maxSessions'), page.get('MetaMind.Storage.backends.indexedDB.sessionLimit'), 'Session limit.');
+            TestRunner.assert(page.get("MetaMind.Storage.keys('progress_')").includes('progress__mig_test'), 'Key not listed');
+            assertCleanPage(page);
+
+            // The next visit reads the records back through a cursor, and saves reach the database
+            const next = loadPage('index.html', { storage, indexedDB: db });
+            next.advance(0);
+            TestRunner.assertEqual(db.upgrades, 1, 'Store recreated.');
+            TestRunner.assertEqual(next.get("MetaMind.Progress.getProgress('_mig_test').bestScore"), 3, 'Records not loaded.');
+            next.get("MetaMind.Storage.save('idb_test', { a: 1 })");
+            next.advance(0);
+            TestRunner.assertEqual(db.records().metamind_idb_test, '{"a":1}');
+            assertCleanPage(next);
+        });
+
+        TestRunner.test('Writes during the migration are merged and other tabs see committed writes', () => {
+            const storage = new MemoryStorage();
+            storage.setItem('metamind_progress__mig_test', '{"schemaVersion":2,"sessions":[],"bestScore":3,"bestLevel":0,"totalSessions":0}');
+            storage.setItem('metamind_gone_test', '1');
+            const db = createIndexedDB();
+            const page = loadPage('index.html', { storage, indexedDB: db });
+
+            // The page is still on localStorage while the copy is in flight
+            let flagged = null;
+            db.beforeCommit = () => {
+                db.beforeCommit = null;
+                flagged = storage.getItem(page.get('MetaMind.Storage.migrationFlag'));
+                page.get("MetaMind.Storage.save('late_test', { a: 1 })");
+                page.get("MetaMind.Storage.remove('gone_test')");
+            };
+            page.advance(0);
+            TestRunner.assertNotNull(flagged, 'Flag not set before the copy');
+            TestRunner.assertEqual(page.get('MetaMind.Storage.backend.name'), 'indexedDB');
+            const records = db.records();
+            TestRunner.assertEqual(records.metamind_late_test, '{"a":1}', 'Late write lost.');
+            TestRunner.assert(!('metamind_gone_test' in records), 'Removed key copied');
+            TestRunner.assertEqual(records.metamind_progress__mig_test.length > 0, true);
+            TestRunner.assertEqual(storage.getItem('metamind_late_test'), null, 'Late write left behind.');
+            TestRunner.assertEqual(page.get("MetaMind.Storage.load('late_test').a"), 1);
+
+            // A second tab's cache follows what the first one commits (the
+            // database runs on the last page's clock, so advance both in turn)
+            const other = loadPage('index.html', { storage, indexedDB: db });
+            const settle = () => [other, page, other, page].forEach(tab => tab.advance(0));
+            settle();
+            page.get("MetaMind.Storage.save('late_test', { a: 2 })");
+            settle();
+            TestRunner.assertEqual(db.records().metamind_late_test, '{"a":2}');
+            TestRunner.assertEqual(other.get("MetaMind.Storage.load('late_test').a"), 2, 'Other tab kept a stale copy.');
+            other.get("MetaMind.Storage.remove('late_test')");
+            settle();
+            TestRunner.assertEqual(page.get("MetaMind.Storage.load('late_test')"), null, 'Removal not seen.');
+            assertCleanPage(page);
+            assertCleanPage(other);
+        });
+
+        TestRunner.test('Failed IndexedDB writes keep what was saved before', () => {
+            // An aborted migration leaves everything in localStorage and stays there
+            const record = '{"schemaVersion":2,"sessions":[],"bestScore":3,"bestLevel":0,"totalSessions":0}';
+            const storage = new MemoryStorage();
+            storage.setItem('metamind_progress__mig_test', record);
+            const db = createIndexedDB();
+            db.failWrites = 'QuotaExceededError';
+            const page = loadPage('index.html', { storage, indexedDB: db });
+            page.advance(0);
+            TestRunner.assertEqual(page.get('MetaMind.Storage.backend.name'), 'localStorage');
+            TestRunner.assertEqual(storage.getItem('metamind_progress__mig_test'), record, 'localStorage copy lost.');
+            TestRunner.assertEqual(storage.getItem(page.get('MetaMind.Storage.migrationFlag')), null, 'Flag set');
+            TestRunner.assert(!('metamind_progress__mig_test' in db.records()), 'Aborted copy committed');
+            TestRunner.assertEqual(page.get("MetaMind.Progress.getProgress('_mig_test').bestScore"), 3);
+            assertCleanPage(page);
+
+            // A save that fails to commit is taken back and reported
+            const full = createIndexedDB({ metamind_idb_test: '{"a":1}' });
+            const next = loadPage('index.html', { indexedDB: full });
+            next.advance(0);
+            full.failWrites = 'QuotaExceededError';
+            next.get("MetaMind.Storage.save('idb_test', { a: 2 })");
+            TestRunner.assertEqual(next.get("MetaMind.Storage.load('idb_test').a"), 2, 'Cache not updated at once.');
+            next.advance(0);
+            TestRunner.assertEqual(next.get("MetaMind.Storage.load('idb_test').a"), 1, 'Unsaved value kept.');
+            TestRunner.assertEqual(full.records().metamind_idb_test, '{"a":1}');
+            TestRunner.assertNotNull(next.$('.storage-warning'), 'User not warned');
+        });
+
+        TestRunner.test('A full IndexedDB drops old trial logs to retry, and persist() reports the outcome', () => {
+            const sessions = Array.from({ length: 60 }, (_, i) => ({
+                schemaVersion: 2, timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(), score: i, level: 1,
+                accuracy: 50, seed: null, daily: false, trials: [{ index: 0, correct: true }], details: {}
+            }));
+            const db = createIndexedDB({
+                metamind_progress__quota_test: JSON.stringify({ schemaVersion: 2, sessions, bestScore: 59, bestLevel: 1, totalSessions: 60 })
+            });
+            const page = loadPage('index.html', { indexedDB: db });
+            page.advance(0);
+            const persist = value => {
+                page.get(`MetaMind.Storage.persist('quota_test', ${JSON.stringify(value)}).then(saved => { window.saved = saved; })`);
+                page.advance(0);
+                return page.get('window.saved');
+            };
+
+            // The first commit finds the disk full; trimming trial logs makes room for the retry
+            let transactions = 0;
+            db.failWrites = 'QuotaExceededError';
+            db.beforeCommit = () => {
+                if (++transactions === 2) db.failWrites = null;
+            };
+            TestRunner.assertEqual(persist({ a: 1 }), true, 'Retry not reported.');
+            TestRunner.assertEqual(transactions, 3, 'Transactions.');
+            TestRunner.assertEqual(db.records().metamind_quota_test, '{"a":1}');
+            const kept = JSON.parse(db.records().metamind_progress__quota_test).sessions;
+            TestRunner.assertEqual(kept.length, 60, 'Sessions dropped.');
+            TestRunner.assertEqual(kept.filter(s => s.trials.length > 0).length, page.get('MetaMind.Progress.trialLogLimit'), 'Trial logs kept.');
+            TestRunner.assertEqual(kept[59].trials.length, 1, 'Latest trial log dropped.');
+            TestRunner.assertEqual(page.$('.storage-warning'), null, 'Warned although the retry worked');
+            assertCleanPage(page);
+
+            // A disk that stays full fails persist() and warns the user
+            db.beforeCommit = null;
+            db.failWrites = 'QuotaExceededError';
+            TestRunner.assertEqual(persist({ a: 2 }), false, 'Lost write reported as stored.');
+            TestRunner.assertEqual(page.get("MetaMind.Storage.load('quota_test').a"), 1);
+            TestRunner.assertNotNull(page.$('.storage-warning'), 'User not warned');
+        });
+
+        TestRunner.test('Quota errors drop the debug log and retry once', () => {
+            const { Storage } = MetaMind;
+            const quotaError = () => Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+            const previous = Storage.backend;
+            let failures = 1;
+            const flaky = createMemoryBackend();
+            flaky.write = (key, value) => {
+                if (failures-- > 0) throw quotaError();
+                flaky.cache.set(key, value);
+            };
+            const full = createMemoryBackend();
+            full.write = () => { throw quotaError(); };
+
+            try {
+                localStorage.setItem('metamind_debug_log', '[]');
+                Storage.backend = flaky;
+                TestRunner.assert(Storage.save('quota_test', { a: 1 }), 'Retry did not succeed');
+                TestRunner.assertEqual(localStorage.getItem('metamind_debug_log'), null, 'Debug log kept.');
+
+                Storage.backend = full;
+                TestRunner.assertEqual(Storage.save('quota_test', { a: 2 }), false, 'Full storage reported success.');
+            } finally {
+                Storage.backend = previous;
+            }
+        });
+
+        TestRunner.test('Storage stays on localStorage without IndexedDB', () => {
+            const { Storage } = MetaMind;
+            TestRunner.assertEqual(typeof indexedDB, 'undefined');
+            TestRunner.assertEqual(Storage.backend.name, 'localStorage');
+            TestRunner.assertEqual(Storage.backends.indexedDB.available(), false);
+        });
+    });
+}
+
 // ============================================
 // MODULE TESTS
 // ============================================
 
-function runModuleTests(moduleName, jsFile, htmlFile, cssFile) {
+function runModuleTests(manifest) {
+    const moduleName = manifest.title;
     TestRunner.suite(`${moduleName} Module`, () => {
-        const jsPath = path.join(__dirname, jsFile);
-        const htmlPath = path.join(__dirname, htmlFile);
-        const cssPath = path.join(__dirname, cssFile);
+        const htmlPath = path.join(__dirname, manifest.entry);
+        // Modules without a script file keep their code inline in the entry page
+        const jsPath = path.join(__dirname, manifest.script || manifest.entry);
 
         // File existence
-        testFileExists(jsPath, `${moduleName} JS`);
+        if (manifest.script) testFileExists(jsPath, `${moduleName} JS`);
         testFileExists(htmlPath, `${moduleName} HTML`);
-        testFileExists(cssPath, `${moduleName} CSS`);
 
         // HTML structure
         testHTMLStructure(htmlPath, `${moduleName} HTML`);
 
         // CSS validation
-        testCSSVariables(cssPath, `${moduleName} CSS`);
+        if (manifest.stylesheet) {
+            const cssPath = path.join(__dirname, manifest.stylesheet);
+            testFileExists(cssPath, `${moduleName} CSS`);
+            testCSSVariables(cssPath, `${moduleName} CSS`);
+        }
 
         // JS validation
         testNoErrors(jsPath, `${moduleName} JS`);
 
         // Module-specific tests
-        TestRunner.test(`${moduleName} JS has init function`, () => {
-            const content = fs.readFileSync(jsPath, 'utf8');
-            TestRunner.assertContains(content, 'function init');
-        });
+        if (manifest.script) {
+            TestRunner.test(`${moduleName} JS has init function`, () => {
+                const content = fs.readFileSync(jsPath, 'utf8');
+                TestRunner.assertContains(content, 'function init');
+            });
+        }
 
         TestRunner.test(`${moduleName} JS uses DOMContentLoaded`, () => {
             const content = fs.readFileSync(jsPath, 'utf8');
             TestRunner.assertContains(content, 'DOMContentLoaded');
         });
+
+        TestRunner.test(`${moduleName} saves progress under its id`, () => {
+            const content = fs.readFileSync(jsPath, 'utf8');
+            TestRunner.assertContains(content, `saveSession('${manifest.id}'`);
+        });
     });
 }
 
+// ============================================
+// BEHAVIOR TESTS
+// ============================================
+
+// Fail on uncaught errors and on anything the page logged at ERROR level
+function assertCleanPage(page) {
+    TestRunner.assertEqual(page.problems().join('\n'), '', 'Page errors:');
+}
+
+// Full sessions played in the headless harness (test-harness.js), keyed by module id
+const behaviorTests = {
+    morph_matrix() {
+        TestRunner.test('Selecting every exact rotation scores a perfect round', () => {
+            const page = loadPage('morph_matrix.html', { search: '?seed=42' });
+            page.click('#start-button');
+            TestRunner.assert(page.isVisible('#game-screen'), 'Game screen hidden');
+
+            const modified = page.get('state.modifiedIndices');
+            for (let i = 0; i < 6; i++) {
+                if (!modified.includes(i)) page.click(`#pattern${i}`);
+            }
+            page.click('#check-button');
+
+            TestRunner.assert(page.isVisible('#results-screen'), 'Results screen hidden');
+            TestRunner.assertEqual(page.$('#final-score').textContent, '80', 'Final score.');
+            TestRunner.assertEqual(page.sessions.length, 1, 'Saved sessions.');
+            const { moduleName, data } = page.sessions[0];
+            TestRunner.assertEqual(moduleName, 'morph_matrix');
+            TestRunner.assertEqual(JSON.stringify(data),
+                JSON.stringify({ score: 80, level: 2, accuracy: 100, matrixSize: 5, seed: page.get('state.seed'), daily: false }));
+            TestRunner.assertEqual(page.get("MetaMind.Progress.getProgress('morph_matrix').sessions[0].trials.length"), 6, 'Trials.');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Selecting nothing only credits the modified patterns', () => {
+            const page = loadPage('morph_matrix.html', { search: '?seed=42' });
+            page.click('#start-button');
+            page.click('#check-button');
+            page.click('#next-button');
+            TestRunner.assert(page.isVisible('#game-screen'), 'Next challenge not shown');
+            page.click('#check-button');
+
+            TestRunner.assertEqual(page.get('state.score'), 40, 'Two modified patterns per round.');
+            TestRunner.assertEqual(page.sessions.map(s => s.data.accuracy).join(), '33,33', 'Accuracy.');
+            TestRunner.assertEqual(page.sessions[1].data.level, 1, 'Level.');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('The same seed replays the same patterns', () => {
+            const patterns = ['?seed=7', '?seed=7', '?seed=8'].map(search => {
+                const page = loadPage('morph_matrix.html', { search });
+                page.click('#start-button');
+                return JSON.stringify(page.get('state.patterns'));
+            });
+            TestRunner.assertEqual(patterns[0], patterns[1], 'Seeded replay differs.');
+            TestRunner.assert(patterns[0] !== patterns[2], 'Different seeds gave the same patterns');
+        });
+    },
+
+    symbol_memory() {
+        TestRunner.test('Ten correct answers complete the game', () => {
+            const page = loadPage('symbol_memory.html', { search: '?seed=3' });
+            page.click('#start-button');
+            let expected = 0;
+
+            for (let level = 1; level <= 10; level++) {
+                page.advanceUntil(() => page.get('state.phase') === 'recall');
+                TestRunner.assertEqual(page.get('state.level'), level, 'Level.');
+                TestRunner.assert(page.isVisible('#answer-panel'), 'Answer panel hidden');
+
+                if (page.get('state.wasModified')) {
+                    page.click('#yes-button');
+                    page.click(page.$$('#symbol-grid .symbol-cell')[page.get('state.modifiedPosition')]);
+                } else {
+                    page.press('KeyN', 'n');
+                }
+                TestRunner.assertEqual(page.get('state.phase'), 'feedback', 'Phase after answering.');
+                TestRunner.assertContains(page.$('#result-message').textContent, 'Correct!');
+
+                const gridSize = Math.min(level + 2, 8);
+                expected += 10 * level + (gridSize - 4) * 2;
+                TestRunner.assertEqual(page.get('state.score'), expected, `Score after level ${level}.`);
+            }
+
+            page.advanceUntil(() => page.sessions.length > 0, { timeout: 5000 });
+            TestRunner.assert(page.isVisible('#complete-screen'), 'Complete screen hidden');
+            const { data } = page.sessions[0];
+            TestRunner.assertEqual(data.score, expected, 'Saved score.');
+            TestRunner.assertEqual(data.level, 10, 'Saved level.');
+            TestRunner.assertEqual(data.accuracy, 100, 'Saved accuracy.');
+            TestRunner.assertEqual(data.gridSize, 8, 'Saved grid size.');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('A hidden tab stops the memorize countdown', () => {
+            const page = loadPage('symbol_memory.html', { search: '?seed=3' });
+            page.click('#start-button');
+            page.advance(1000);
+            const shown = page.$('#time-remaining').textContent;
+
+            page.setHidden(true);
+            page.advance(60000);
+            TestRunner.assertEqual(page.get('state.phase'), 'memorize', 'Phase while hidden.');
+            TestRunner.assertEqual(page.$('#time-remaining').textContent, shown, 'Countdown while hidden.');
+            TestRunner.assert(page.isVisible('.pause-overlay'), 'No pause overlay');
+
+            page.setHidden(false);
+            page.click('.pause-overlay button');
+            TestRunner.assert(!page.$('.pause-overlay'), 'Overlay kept after resuming');
+            page.advanceUntil(() => page.get('state.phase') === 'recall', { timeout: 10000 });
+            assertCleanPage(page);
+        });
+    },
+
+    expand_vision() {
+        TestRunner.test('Twenty-five rounds complete and save an unscored session', () => {
+            const page = loadPage('expand_vision.html', { search: '?seed=9' });
+            page.click('#start-button');
+            page.advanceUntil(() => page.get('state.round') === 5, { timeout: 120000 });
+            TestRunner.assertEqual(page.$('#sum-value').textContent,
+                String(page.get('state.numbers').reduce((a, b) => a + b, 0)), 'Sum prompt.');
+
+            page.advanceUntil(() => page.sessions.length > 0, { timeout: 600000, step: 1000 });
+            TestRunner.assert(page.isVisible('#complete-screen'), 'Complete screen hidden');
+            TestRunner.assertEqual(JSON.stringify(page.sessions[0].data),
+                JSON.stringify({ score: null, level: null, accuracy: null, rounds: 25, seed: page.get('state.seed'), daily: false }));
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Rounds wait while the tab is hidden', () => {
+            const page = loadPage('expand_vision.html', { search: '?seed=9' });
+            page.click('#start-button');
+            page.advanceUntil(() => page.get('state.phase') === 'active', { timeout: 30000 });
+            const round = page.get('state.round');
+
+            page.setHidden(true);
+            page.advance(120000);
+            TestRunner.assertEqual(page.get('state.round'), round, 'Round while hidden.');
+
+            page.setHidden(false);
+            page.click('.pause-overlay button');
+            page.advanceUntil(() => page.get('state.round') === round + 1, { timeout: 30000 });
+            assertCleanPage(page);
+        });
+    },
+
+    music_theory() {
+        TestRunner.test('A ten-challenge session scores by level and saves accuracy', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            let level = 1;
+            let streak = 0;
+            let bestStreak = 0;
+            let score = 0;
+
+            for (let i = 0; i < 10; i++) {
+                TestRunner.assert(page.isVisible('#game-screen'), 'Game screen hidden');
+                page.click('#play-button');
+                TestRunner.assert(page.get('MetaMind.Audio.voices.length') > 0, 'Challenge played no notes');
+
+                // Miss the first challenge, then answer everything correctly
+                const answer = page.get('gameState.currentChallenge.correctAnswer');
+                if (page.get('gameState.currentChallenge.type') === 'dictation') {
+                    page.get('gameState.currentChallenge.notes').forEach(note => page.click(`.piano-key[data-note="${note}"]`));
+                } else {
+                    const choice = i === 0
+                        ? page.$$('.option-button').map(b => b.dataset.option).find(o => o !== answer)
+                        : answer;
+                    page.click(`.option-button[data-option="${choice}"]`);
+                    page.click('#submit-button');
+                }
+
+                if (i === 0) {
+                    streak = 0;
+                } else {
+                    score += 10 * level;
+                    streak++;
+                    bestStreak = Math.max(bestStreak, streak);
+                    if (streak >= 3 && level < 5) level++;
+                }
+                TestRunner.assert(page.isVisible('#feedback-screen'), 'Feedback screen hidden');
+                TestRunner.assertEqual(page.$('#feedback-message').textContent, i === 0 ? 'Incorrect!' : 'Correct!');
+                TestRunner.assertEqual(page.get('gameState.score'), score, `Score after challenge ${i + 1}.`);
+
+                // Long enough for a level 5 progression (cadence, then five chords) to finish
+                page.advance(10000);
+                page.click('#next-button');
+            }
+
+            TestRunner.assert(page.isVisible('#results-screen'), 'Results screen hidden');
+            TestRunner.assertEqual(page.get('MetaMind.Audio.voices.length'), 0, 'Voices left sounding.');
+            const { data } = page.sessions[0];
+            TestRunner.assertEqual(JSON.stringify(data), JSON.stringify({
+                score, level, accuracy: 90, bestStreak, seed: page.get('gameState.seed'), daily: false
+            }));
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Scale playback can start mid-scale and run descending', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.get('MetaMind.Audio.stopAll()');
+            page.get("playSequence([60, 62, 64, 65], 0.3, { direction: 'descending', start: 2 })");
+            const played = page.get('MetaMind.Audio.voices')
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(voice => Math.round(page.get('MetaMind.Audio').frequencyToMidi(voice.frequency)));
+            TestRunner.assertEqual(played.join(), '74,72,65,64');
+        });
+
+        TestRunner.test('Scale tiers accumulate by level and the circle marks the scale', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            TestRunner.assertEqual(page.get('difficulties[1].elements.join()'), 'Major,Minor,Pentatonic');
+            TestRunner.assertEqual(page.get('difficulties[5].elements.length'), page.get('Object.keys(musicData.scales).length'));
+
+            page.click('#start-button');
+            page.get('gameState.level = 4');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'scales'; i++) {
+                page.get('generateChallenge()');
+            }
+            const tiers = page.get('difficulties[4].elements');
+            page.$$('.option-button').forEach(button => {
+                TestRunner.assert(tiers.includes(button.dataset.option), `${button.dataset.option} is above level 4`);
+            });
+
+            // D Dorian shares C major's notes: seven neighbours on the circle
+            page.get('gameState.currentChallenge = { type: "scales", name: "Dorian", rootNote: 62, notes: [62, 64, 65, 67, 69, 71, 72] }');
+            page.click('#toggle-circle');
+            TestRunner.assertEqual(page.$$('.note-position.note-highlight').map(n => n.dataset.note).join(), 'C,G,D,A,E,B,F');
+            TestRunner.assertEqual(page.$$('.note-position.note-root').map(n => n.dataset.note).join(), 'D');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Progressions follow a cadence and are reported by family', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            TestRunner.assertEqual(page.get("voiceNumeral('V7', 60).join()"), '55,62,65,67,71');
+
+            page.click('#start-button');
+            page.get('gameState.level = 3');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'progressions'; i++) {
+                page.get('generateChallenge()');
+            }
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.type, 'progressions');
+            TestRunner.assertEqual(challenge.chords.length, challenge.name.split('–').length);
+            page.$$('.option-button').forEach(button => {
+                TestRunner.assert(page.get('difficulties[3].progressions').includes(button.dataset.option),
+                    `${button.dataset.option} is above level 3`);
+            });
+
+            // Four cadence chords of 0.6s and a 0.6s rest come before the progression
+            page.click('#play-button');
+            page.advance(3050);
+            const firstChord = challenge.chords[0].filter(note => note <= 71).join();
+            TestRunner.assertEqual(page.$$('.piano-key.key-active').map(k => Number(k.dataset.note)).sort((a, b) => a - b).join(),
+                firstChord);
+
+            page.click(`.option-button[data-option="${challenge.correctAnswer}"]`);
+            page.click('#submit-button');
+            page.get('gameState.challengeCount = gameState.totalChallenges');
+            page.advance(3000);
+            page.click('#next-button');
+            TestRunner.assert(page.isVisible('#results-screen'), 'Results screen hidden');
+            TestRunner.assertContains(page.$$('.category-detail').map(d => d.textContent).join(), `${challenge.family}: 1/1`);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Missed items are scheduled for review across sessions', () => {
+            const storage = new MemoryStorage();
+            const day = 24 * 60 * 60 * 1000;
+            const page = loadPage('music_theory.html', { storage });
+            page.click('#start-button');
+            TestRunner.assert(page.get('gameState.spaced'), 'Spaced repetition off without a seed');
+
+            // Miss an interval, then get a chord right
+            page.get('gameState.level = 3');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'intervals'; i++) {
+                page.get('generateChallenge()');
+            }
+            const missed = page.get('gameState.currentChallenge.name');
+            const wrong = page.$$('.option-button').find(b => b.dataset.option !== missed);
+            page.click(`.option-button[data-option="${wrong.dataset.option}"]`);
+            page.click('#submit-button');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'chords'; i++) {
+                page.get('generateChallenge()');
+            }
+            const learned = page.get('gameState.currentChallenge.name');
+            page.click(`.option-button[data-option="${learned}"]`);
+            page.click('#submit-button');
+
+            const review = page.get('MetaMind.Storage.load(REVIEW_STORAGE_KEY, {})');
+            TestRunner.assertEqual(review[`intervals:${missed}`].box, 1);
+            TestRunner.assertEqual(review[`chords:${learned}`].box, 2);
+            TestRunner.assertEqual(review[`chords:${learned}`].due - page.get('Date.now()'), day);
+            TestRunner.assert(page.get(`reviewWeight('intervals', '${missed}')`) > page.get(`reviewWeight('chords', '${learned}')`),
+                'Missed item not favoured');
+
+            page.get('gameState.challengeCount = gameState.totalChallenges');
+            page.advance(3000);
+            page.click('#next-button');
+            TestRunner.assertEqual(page.$$('#review-list .review-item').map(i => i.textContent.split(' (')[0]).join(), missed);
+            assertCleanPage(page);
+
+            // Two days later the chord is due too, missed interval first
+            const later = loadPage('music_theory.html', { storage, epoch: page.get('Date.now()') + 2 * day });
+            later.click('#start-button');
+            later.get('gameState.challengeCount = gameState.totalChallenges');
+            later.get('showResults()');
+            TestRunner.assertEqual(later.$$('#review-list .review-item').map(i => i.dataset.box).join(), '1,2');
+
+            // Seeded sessions ignore the schedule so they replay identically
+            const seeded = loadPage('music_theory.html', { search: '?seed=11', storage });
+            seeded.click('#start-button');
+            TestRunner.assert(!seeded.get('gameState.spaced'), 'Seeded session weighted by history');
+            assertCleanPage(later);
+            assertCleanPage(seeded);
+        });
+
+        TestRunner.test('Dictation is graded note by note with partial credit for contour', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            TestRunner.assertEqual(page.get('dictationCredit([60, 62, 64], [60, 62, 64])'), 1);
+            TestRunner.assertEqual(page.get('dictationCredit([60, 62, 64], [60, 64, 65])'), 0.5 * 1 / 3 + 0.5);
+            TestRunner.assertEqual(page.get('dictationCredit([60, 62, 64], [64, 62, 60])'), 0.5 * 1 / 3);
+
+            page.click('#start-button');
+            page.get('gameState.level = 2');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'dictation'; i++) {
+                page.get('generateChallenge()');
+            }
+            const melody = page.get('gameState.currentChallenge.notes');
+            TestRunner.assertEqual(melody.length, 3);
+            TestRunner.assert(melody.every(note => note >= 48 && note <= 71), `Melody ${melody} is off the piano`);
+            TestRunner.assertEqual(page.$$('.dictation-slot').length, 3);
+
+            // Right first note on the piano, wrong second note from the computer keyboard (A = C3)
+            page.click(`.piano-key[data-note="${melody[0]}"]`);
+            TestRunner.assert(page.$(`.piano-key[data-note="${melody[0]}"]`).classList.contains('key-correct'), 'First key not marked');
+            const wrong = melody[1] === 48 ? 50 : 48;
+            page.press(wrong === 48 ? 'KeyA' : 'KeyS', wrong === 48 ? 'a' : 's');
+            TestRunner.assert(page.$(`.piano-key[data-note="${wrong}"]`).classList.contains('key-wrong'), 'Wrong key not marked');
+            TestRunner.assertEqual(page.$$('.dictation-slot.slot-correct').length, 1);
+            TestRunner.assertEqual(page.$$('.dictation-slot.slot-wrong').length, 1);
+
+            const score = page.get('gameState.score');
+            page.click(`.piano-key[data-note="${melody[2]}"]`);
+            TestRunner.assert(page.isVisible('#feedback-screen'), 'Melody not graded once complete');
+            const credit = page.get(`dictationCredit(${JSON.stringify(melody)}, ${JSON.stringify([melody[0], wrong, melody[2]])})`);
+            TestRunner.assertEqual(page.get('gameState.score') - score, Math.round(20 * credit));
+            TestRunner.assertEqual(page.get('gameState.categoryStats.dictation.correct'), 0);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('The computer keyboard only plays keys on the on-screen piano', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.get('gameState.level = 2');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'dictation'; i++) {
+                page.get('generateChallenge()');
+            }
+
+            // An octave up, A is C4 and K-; run past B4
+            page.press('KeyX', 'x');
+            page.press('KeyX', 'x');
+            TestRunner.assertEqual(page.get('gameState.keyboardOctave'), 60);
+            page.get('MetaMind.Audio.stopAll()');
+            page.press('KeyK', 'k');
+            page.press('Semicolon', ';');
+            TestRunner.assertEqual(page.get('gameState.dictation.length'), 0, 'Off-piano key entered.');
+            TestRunner.assertEqual(page.get('MetaMind.Audio.voices.length'), 0, 'Off-piano key sounded.');
+            page.press('KeyJ', 'j');
+            TestRunner.assertEqual(page.get('gameState.dictation.join()'), '71');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('The waveform panel redraws from a master-output analyser while notes play', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.click('#toggle-waveform');
+            const analyser = page.get('scope.analyser');
+            TestRunner.assert(analyser && page.get('MetaMind.Audio.gainNode.connections').includes(analyser),
+                'Analyser not tapped off the master gain');
+            page.advance(20);
+            TestRunner.assertEqual(page.get('scope.frame'), null, 'Redrawing in silence.');
+
+            // Notes played on the keyboard are drawn too, not only the challenge
+            page.press('KeyA', 'a');
+            TestRunner.assert(page.get('scope.frame') !== null, 'Not redrawing a played note');
+            page.advanceUntil(() => page.get('scope.frame') === null, { timeout: 5000 });
+
+            page.click('#play-button');
+            page.advance(100);
+            TestRunner.assert(page.get('scope.frame') !== null, 'Not redrawing while the challenge plays');
+            page.advanceUntil(() => page.get('scope.frame') === null, { timeout: 5000 });
+            TestRunner.assertEqual(page.get('MetaMind.Audio.activeVoices(MetaMind.Audio.now()).length'), 0, 'Stopped mid-challenge.');
+
+            page.click('.scope-mode[data-mode="spectrogram"]');
+            TestRunner.assertEqual(page.get('scope.mode'), 'spectrogram');
+            TestRunner.assertEqual(page.$$('.scope-mode.active').map(b => b.dataset.mode).join(), 'spectrogram');
+            TestRunner.assertEqual(Math.round(page.get('frequencyToPosition(220, 600)')), 200, 'A3 sits two of six octaves up.');
+
+            // Closing the panel untaps the analyser, so reopening it never stacks another
+            const taps = () => page.get('MetaMind.Audio.gainNode.connections').filter(node => node.fftSize === 8192).length;
+            for (let i = 0; i < 3; i++) {
+                page.click('#toggle-piano');
+                TestRunner.assertEqual(taps(), 0, 'Analyser left on the master gain.');
+                page.click('#toggle-waveform');
+                TestRunner.assertEqual(taps(), 1, 'Analysers on the master gain.');
+            }
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('The circle of fifths shows key signatures and plays tonic chords', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            TestRunner.assertEqual(page.$$('.note-position').length, 12);
+            TestRunner.assertEqual(page.$$('.minor-position').map(k => k.dataset.key).slice(0, 4).join(), 'Am,Em,Bm,F#m');
+            TestRunner.assertEqual(page.$('.note-position[data-note="Eb"] .key-signature').textContent, '3♭');
+            TestRunner.assertEqual(page.$('.note-position[data-note="A"] .key-signature').textContent, '3♯');
+
+            page.click('#start-button');
+            page.click('#toggle-circle');
+            const playedBy = target => {
+                page.get('MetaMind.Audio.stopAll()');
+                page.advance(500);
+                page.click(target);
+                const Audio = page.get('MetaMind.Audio');
+                return Audio.voices.map(v => Math.round(Audio.frequencyToMidi(v.frequency))).join();
+            };
+            TestRunner.assertEqual(playedBy('.note-position[data-note="G"]'), '67,71,74', 'G major triad.');
+            TestRunner.assertEqual(playedBy('.minor-position[data-key="Em"]'), '64,67,71', 'E minor triad.');
+
+            // A new challenge moves the highlights to its own root
+            page.get('generateChallenge()');
+            const rootNote = page.get('gameState.currentChallenge.rootNote');
+            const rootName = page.get(`CIRCLE_OF_FIFTHS[${rootNote % 12} * 7 % 12]`);
+            TestRunner.assertEqual(page.$$('.note-position.note-root').map(n => n.dataset.note).join(), rootName);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('A MIDI keyboard plays the piano, answers dictation and is remembered', () => {
+            const storage = new MemoryStorage();
+            const devices = [{ id: 'usb-1', name: 'USB Keys' }, { id: 'pad-2', name: 'Drum Pad' }];
+            const access = createMIDIAccess(devices);
+            const page = loadPage('music_theory.html', { search: '?seed=11', storage, midi: access });
+            page.click('#start-button');
+            TestRunner.assert(page.isVisible('#midi-select'), 'MIDI menu hidden');
+            TestRunner.assertEqual(page.$$('#midi-input option').map(o => o.textContent).join(), 'None,USB Keys,Drum Pad');
+
+            const menu = page.$('#midi-input');
+            menu.value = 'usb-1';
+            menu.dispatchEvent(new page.window.Event('change'));
+            const keys = access.inputs.get('usb-1');
+            keys.receive([0x90, 60, 100]);
+            TestRunner.assert(page.$('.piano-key[data-note="60"]').classList.contains('key-active'), 'Note-on not shown');
+            page.advance(1000);
+            TestRunner.assert(page.$('.piano-key[data-note="60"]').classList.contains('key-active'), 'Held key released early');
+            keys.receive([0x90, 60, 0]);
+            TestRunner.assert(!page.$('.piano-key[data-note="60"]').classList.contains('key-active'), 'Velocity 0 not a note-off');
+            access.inputs.get('pad-2').receive([0x90, 62, 100]);
+            TestRunner.assert(!page.$('.piano-key[data-note="62"]').classList.contains('key-active'), 'Unselected device heard');
+
+            page.get('gameState.level = 2');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'dictation'; i++) {
+                page.get('generateChallenge()');
+            }
+            page.get('gameState.currentChallenge.notes').forEach(note => {
+                keys.receive([0x91, note, 90]);
+                keys.receive([0x81, note, 0]);
+            });
+            TestRunner.assertEqual(page.$('#feedback-message').textContent, 'Correct!');
+            assertCleanPage(page);
+
+            // The next visit reopens the same device, including after it is replugged
+            const nextAccess = createMIDIAccess(devices);
+            const next = loadPage('music_theory.html', { search: '?seed=11', storage, midi: nextAccess });
+            next.click('#start-button');
+            TestRunner.assertEqual(next.$('#midi-input').value, 'usb-1');
+            nextAccess.unplug('usb-1');
+            TestRunner.assertEqual(next.get('MetaMind.MIDI.input'), null, 'Unplugged device kept');
+            nextAccess.plug(devices[0]);
+            TestRunner.assertEqual(next.get('MetaMind.MIDI.input.id'), 'usb-1', 'Replugged device not reopened');
+            assertCleanPage(next);
+        });
+
+        TestRunner.test('MIDI keys beyond the on-screen piano are ignored', () => {
+            const access = createMIDIAccess([{ id: 'usb-1', name: '88 Keys' }]);
+            const page = loadPage('music_theory.html', { search: '?seed=11', midi: access });
+            page.click('#start-button');
+            const menu = page.$('#midi-input');
+            menu.value = 'usb-1';
+            menu.dispatchEvent(new page.window.Event('change'));
+            page.get('gameState.level = 2');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'dictation'; i++) {
+                page.get('generateChallenge()');
+            }
+
+            const keys = access.inputs.get('usb-1');
+            page.get('MetaMind.Audio.stopAll()');
+            [21, 47, 72, 108].forEach(note => {
+                keys.receive([0x90, note, 100]);
+                keys.receive([0x80, note, 0]);
+            });
+            TestRunner.assertEqual(page.get('gameState.dictation.length'), 0, 'Off-piano note entered.');
+            TestRunner.assertEqual(page.get('MetaMind.Audio.voices.length'), 0, 'Off-piano note sounded.');
+            keys.receive([0x90, 48, 100]);
+            keys.receive([0x90, 71, 100]);
+            TestRunner.assertEqual(page.get('gameState.dictation.join()'), '48,71');
+            assertCleanPage(page);
+        });
+
+        const singingChallenge = page => {
+            page.$('#singback-toggle').checked = true;
+            page.click('#start-button');
+            page.get('gameState.level = 2');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'singing'; i++) {
+                page.get('generateChallenge()');
+            }
+            TestRunner.assertEqual(page.get('gameState.currentChallenge.type'), 'singing');
+            return page.get('gameState.currentChallenge');
+        };
+
+        TestRunner.test('Sung notes are graded in any octave and shown on the tuning meter', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11', microphone: sine(0) });
+            const challenge = singingChallenge(page);
+            const frequency = page.get('MetaMind.Audio').midiToFrequency(challenge.notes[1] + 12.2);
+            page.setMicrophone(sine(frequency));
+
+            page.click('#sing-button');
+            page.advance(100);
+            TestRunner.assertContains(page.$('#sung-note').textContent, '+20 cents');
+            TestRunner.assertEqual(page.$('#tuning-needle').style.left, '70%');
+
+            page.advance(12 * 50);
+            TestRunner.assert(page.isVisible('#feedback-screen'), 'Singing not graded');
+            TestRunner.assertEqual(page.$('#feedback-message').textContent, 'Correct!');
+            TestRunner.assertContains(page.$('#correct-answer').textContent, `you sang ${challenge.correctAnswer} (+20 cents)`);
+            TestRunner.assertEqual(page.get('gameState.categoryStats.singing.correct'), 1);
+            TestRunner.assert(page.microphoneStreams.every(stream => stream.stopped), 'Microphone left open');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Leaving a challenge mid-listen releases the sampler and the microphone', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11', microphone: sine(0) });
+            const listening = () => 'music_singing' in page.get('MetaMind.Timer.timers');
+            const listen = () => {
+                singingChallenge(page);
+                page.click('#sing-button');
+                page.advance(100);
+                TestRunner.assert(listening(), 'Not listening');
+                TestRunner.assert(page.microphoneStreams.some(stream => !stream.stopped), 'Microphone not open');
+            };
+            const assertReleased = how => {
+                TestRunner.assert(!listening(), `Sampler left running after ${how}`);
+                TestRunner.assert(page.microphoneStreams.every(stream => stream.stopped), `Microphone left open after ${how}`);
+            };
+
+            listen();
+            page.get('skipChallenge()');
+            assertReleased('skipping');
+            listen();
+            page.get('showResults()');
+            assertReleased('the results');
+            page.click('#restart-button');
+            listen();
+            page.get("switchScreen('start')");
+            assertReleased('quitting');
+
+            // A microphone granted after the player left is closed at once
+            singingChallenge(page);
+            page.get('startSinging(); nextChallenge()');
+            page.advance(100);
+            assertReleased('moving on while it opened');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Singing flat misses, and a blocked microphone is explained', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11', microphone: sine(0) });
+            const challenge = singingChallenge(page);
+            page.setMicrophone(sine(page.get('MetaMind.Audio').midiToFrequency(challenge.notes[1] - 0.7)));
+            page.click('#sing-button');
+            page.advance(13 * 50);
+            TestRunner.assertEqual(page.$('#feedback-message').textContent, 'Incorrect!');
+            TestRunner.assertContains(page.$('#correct-answer').textContent, '(-70 cents)');
+
+            const unsung = loadPage('music_theory.html', { search: '?seed=11', microphone: sine(0) });
+            singingChallenge(unsung);
+            unsung.click('#submit-button');
+            TestRunner.assertEqual(unsung.dialogs.map(d => d.message).join(), 'Press Sing and hold the note first');
+            assertCleanPage(page);
+            assertCleanPage(unsung);
+        });
+
+        TestRunner.test('A denied microphone lets the challenge be skipped and ends sing-back', () => {
+            const blocked = loadPage('music_theory.html', { search: '?seed=11' });
+            singingChallenge(blocked);
+            const count = blocked.get('gameState.challengeCount');
+            blocked.click('#sing-button');
+            TestRunner.assertContains(blocked.$('#sung-note').textContent, 'Microphone unavailable');
+            TestRunner.assert(blocked.isVisible('#skip-button'), 'No way past the challenge');
+            blocked.click('#submit-button');
+            TestRunner.assertEqual(blocked.dialogs.map(d => d.message).join(), 'The microphone is unavailable - press Skip');
+
+            // Skipping logs it unanswered, leaves it out of the accuracy and moves on
+            blocked.click('#skip-button');
+            TestRunner.assert(blocked.isVisible('#game-screen'), 'Left the game screen');
+            TestRunner.assertEqual(blocked.get('gameState.challengeCount'), count + 1);
+            TestRunner.assertEqual(blocked.get('gameState.categoryStats.singing.total'), 0);
+            const trial = blocked.get("MetaMind.Progress.getTrials('music_theory')").pop();
+            TestRunner.assertEqual(trial.stimulus.type, 'singing');
+            TestRunner.assertEqual(trial.response, null);
+            TestRunner.assert(trial.skipped && !trial.correct, 'Not logged as unanswered');
+
+            // No more sing-back this session
+            for (let i = 0; i < 50; i++) {
+                blocked.get('generateChallenge()');
+                TestRunner.assert(blocked.get('gameState.currentChallenge.type') !== 'singing', 'Sing-back asked again');
+            }
+            assertCleanPage(blocked);
+        });
+
+        TestRunner.test('Voicings put the requested chord tone in the bass', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            const voice = (chord, inversion, voicing) =>
+                page.get(`voiceChord(${JSON.stringify(chord)}, ${inversion}, '${voicing}').join()`);
+            TestRunner.assertEqual(voice([60, 64, 67], 1, 'Close'), '52,55,60');
+            TestRunner.assertEqual(voice([60, 64, 67], 2, 'Open'), '55,64,72');
+            TestRunner.assertEqual(voice([60, 64, 67, 71], 1, 'Drop 2'), '52,59,60,67');
+            TestRunner.assertEqual(voice([60, 64, 67, 70], 3, 'Drop 2'), '58,64,67,72');
+        });
+
+        TestRunner.test('Inversion challenges show only the bass and score their own category', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.get('gameState.level = 5');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'inversions'; i++) {
+                page.get('generateChallenge()');
+            }
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.type, 'inversions');
+            TestRunner.assertEqual(page.$('#challenge-message').textContent, 'Listen and identify the chord and its inversion');
+            TestRunner.assert(challenge.bassNote >= 48 && challenge.bassNote < 60, 'Bass is off the piano');
+
+            page.click('#play-button');
+            TestRunner.assertEqual(page.$$('.piano-key.key-active').map(k => Number(k.dataset.note)).join(),
+                String(challenge.bassNote));
+            page.advance(1000);
+            TestRunner.assertEqual(page.$$('.piano-key.key-active').length, 0, 'Bass left highlighted.');
+
+            page.click(`.option-button[data-option="${challenge.correctAnswer}"]`);
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.get('gameState.categoryStats.inversions.correct'), 1);
+            TestRunner.assertContains(page.$('#correct-answer').textContent, `${challenge.voicing.toLowerCase()} voicing`);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Intervals come from the level pool, up, down or together', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            const intervalsAt = level => {
+                page.get(`gameState.level = ${level}`);
+                const seen = [];
+                for (let i = 0; i < 200 && seen.length < 30; i++) {
+                    page.get('generateChallenge()');
+                    if (page.get('gameState.currentChallenge.type') === 'intervals') seen.push(page.get('gameState.currentChallenge'));
+                }
+                return seen;
+            };
+
+            const easy = intervalsAt(2);
+            TestRunner.assert(easy.every(c => page.get('intervalsUpToTier(1)').includes(c.name)), 'Level 2 interval outside its pool');
+            TestRunner.assert(easy.every(c => c.presentation === 'ascending' && c.notes[1] >= c.notes[0]), 'Level 2 interval not ascending');
+
+            const hard = intervalsAt(4);
+            TestRunner.assert(hard.some(c => page.get(`musicData.intervals['${c.name}']`) > 12), 'No compound intervals');
+            TestRunner.assert(hard.every(c => page.get('intervalsUpToTier(3)').includes(c.name)), 'Level 4 interval outside its pool');
+            const descending = hard.find(c => c.presentation === 'descending');
+            TestRunner.assertEqual(descending.notes[0] - descending.notes[1], page.get(`musicData.intervals['${descending.name}']`));
+
+            // A harmonic interval sounds and is written as one chord
+            for (let i = 0; i < 200 && page.get('gameState.currentChallenge.presentation') !== 'harmonic'; i++) {
+                page.get('generateChallenge()');
+            }
+            const harmonic = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(page.get('updateChallengeMessage(), elements.challengeMessage.textContent'), 'Listen and identify the interval (played together)');
+            TestRunner.assert(page.$$('.option-button').every(b => page.get('intervalsUpToTier(3)').includes(b.dataset.option)), 'Option outside the pool');
+            page.click('#play-button');
+            const sounding = page.$$('.piano-key.key-active').map(k => Number(k.dataset.note));
+            TestRunner.assertEqual(sounding.length, harmonic.notes.filter(n => n >= 48 && n <= 71).length);
+
+            page.click(`.option-button[data-option="${harmonic.name}"]`);
+            page.click('#submit-button');
+            const heads = page.$$('#feedback-staff .note-head').map(h => Number(h.getAttribute('cx')));
+            TestRunner.assert(heads.every(x => x <= heads[0] + 12), 'Harmonic interval not stacked');
+            page.get('gameState.challengeCount = gameState.totalChallenges');
+            page.advance(3000);
+            page.click('#next-button');
+            TestRunner.assertContains(page.$$('.category-detail').map(d => d.textContent).join(), 'Harmonic: 1/1');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Absolute pitch mode names single tones and reports confusions', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.$('#mode-select').value = 'pitch';
+            page.click('#start-button');
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.type, 'pitch');
+            TestRunner.assertEqual(page.$$('.option-button').map(b => b.dataset.option).join(), 'C,E,G');
+
+            page.get('MetaMind.Audio.stopAll()');
+            page.click('#play-button');
+            const played = page.get('MetaMind.Audio.voices').map(voice => Math.round(page.get('MetaMind.Audio').frequencyToMidi(voice.frequency)));
+            TestRunner.assertEqual(played.join(), String(challenge.notes[0]));
+            TestRunner.assertEqual(page.$$('.piano-key.key-active').length, 0);
+
+            const wrong = ['C', 'E', 'G'].find(name => name !== challenge.name);
+            page.click(`.option-button[data-option="${wrong}"]`);
+            page.click('#submit-button');
+            page.get('gameState.level = 3');
+            page.click('#next-button');
+            TestRunner.assertEqual(page.$$('.option-button').length, 12);
+            page.get('gameState.challengeCount = gameState.totalChallenges');
+            page.click(`.option-button[data-option="${page.get('gameState.currentChallenge.name')}"]`);
+            page.click('#submit-button');
+            page.advance(3000);
+            page.click('#next-button');
+            TestRunner.assertContains(page.$$('.category-detail').map(d => d.textContent).join('|'), `${challenge.name}: 0/1 (heard as ${wrong} ×1)`);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Scale degree mode plays a cadence, then the tone to name', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.$('#mode-select').value = 'degrees';
+            page.click('#start-button');
+            TestRunner.assertEqual(page.$$('.option-button').map(b => b.dataset.option).join(), '1,3,5');
+            TestRunner.assertEqual(page.$('#challenge-message').textContent, 'After the cadence, name the scale degree of the last note');
+
+            page.get('gameState.level = 5');
+            page.get('generateChallenge()');
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.type, 'degrees');
+            TestRunner.assertEqual(((challenge.notes[0] - challenge.rootNote) % 12 + 12) % 12, page.get(`DEGREE_NAMES.indexOf('${challenge.name}')`));
+            TestRunner.assertEqual(page.$$('.option-button').length, 12);
+
+            page.get('MetaMind.Audio.stopAll()');
+            page.click('#play-button');
+            const voices = page.get('MetaMind.Audio.voices').sort((a, b) => a.startTime - b.startTime);
+            TestRunner.assertEqual(voices.length, challenge.cadence.flat().length + 1);
+            TestRunner.assertEqual(Math.round(page.get('MetaMind.Audio').frequencyToMidi(voices[voices.length - 1].frequency)), challenge.notes[0]);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Instruments change the timbre, are remembered and can vary', () => {
+            const storage = new MemoryStorage();
+            const page = loadPage('music_theory.html', { search: '?seed=11', storage });
+            page.click('#start-button');
+            TestRunner.assertEqual(page.$$('#instrument-select option').map(o => o.value).join(),
+                'piano,organ,string,electricPiano,sine,random');
+            const choose = name => {
+                const select = page.$('#instrument-select');
+                select.value = name;
+                select.dispatchEvent(new page.window.Event('change'));
+                page.get('MetaMind.Audio.stopAll()');
+                page.get('playNote(69, MetaMind.Audio.now(), 1)');
+                const voices = page.get('MetaMind.Audio.voices');
+                return voices[voices.length - 1];
+            };
+
+            // Additive waves carry the recipe's harmonics; the piano adds a hammer noise burst
+            const piano = choose('piano');
+            TestRunner.assertEqual(piano.oscillator.periodicWave.imag.slice(1).map(a => +a.toFixed(2)).join(), page.get('INSTRUMENTS.piano.timbre.harmonics.join()'));
+            TestRunner.assert(piano.gain.inputs.some(node => node !== piano.oscillator), 'No noise burst');
+            TestRunner.assertEqual(choose('sine').oscillator.type, 'sine');
+
+            // The plucked string is a Karplus-Strong buffer tuned to the note
+            const string = choose('string');
+            const samples = Array.from(string.oscillator.buffer.getChannelData(0).slice(4410, 4410 + 4096));
+            const detected = page.get('MetaMind.Audio').detectPitch(samples, 44100);
+            const cents = page.get('MetaMind.Audio').centsBetween(detected.frequency * string.oscillator.playbackRate.events[0].value, 440);
+            TestRunner.assert(Math.abs(cents) < 5, `Plucked A4 is ${cents} cents out`);
+
+            choose('organ');
+            TestRunner.assertEqual(page.get('MetaMind.Storage.load(INSTRUMENT_STORAGE_KEY)'), 'organ');
+            const next = loadPage('music_theory.html', { search: '?seed=11', storage });
+            next.click('#start-button');
+            TestRunner.assertEqual(next.$('#instrument-select').value, 'organ');
+
+            // Varied timbres: each challenge picks its own
+            choose('random');
+            const picked = new Set();
+            for (let i = 0; i < 30; i++) {
+                page.get('generateChallenge()');
+                picked.add(page.get('gameState.currentChallenge.instrument'));
+            }
+            TestRunner.assert(picked.size > 2, `Only ${[...picked]} picked`);
+            TestRunner.assertEqual(page.get('instrumentName()'), page.get('gameState.currentChallenge.instrument'));
+            assertCleanPage(page);
+            assertCleanPage(next);
+        });
+
+        TestRunner.test('A seeded session asks the same challenges whatever the instrument', () => {
+            const sequence = instrument => {
+                const storage = new MemoryStorage();
+                storage.setItem('metamind_music_theory_instrument', JSON.stringify(instrument));
+                const page = loadPage('music_theory.html', { search: '?seed=11', storage });
+                page.click('#start-button');
+                TestRunner.assertEqual(page.get('gameState.instrument'), instrument);
+                const asked = [];
+                for (let i = 0; i < 20; i++) {
+                    const challenge = page.get('gameState.currentChallenge');
+                    asked.push(`${challenge.type}:${challenge.name}:${challenge.notes.join(' ')}`);
+                    page.get('generateChallenge()');
+                }
+                assertCleanPage(page);
+                return asked.join();
+            };
+            const piano = sequence('piano');
+            TestRunner.assertEqual(sequence('random'), piano);
+            TestRunner.assertEqual(sequence('organ'), piano);
+        });
+
+        TestRunner.test('Saved drills replace the level table with exactly the chosen items', () => {
+            const storage = new MemoryStorage();
+            const page = loadPage('music_theory.html', { search: '?seed=11', storage });
+            page.click('#drill-button');
+            TestRunner.assert(page.isVisible('#drill-screen'), 'Drill builder hidden');
+            TestRunner.assertEqual(page.$$('#drill-intervals input').length, page.get('Object.keys(musicData.intervals).length'));
+
+            // An empty drill can't start
+            page.click('#start-drill-button');
+            TestRunner.assertEqual(page.dialogs.map(d => d.message).join(), 'Pick at least one scale, interval or chord');
+
+            page.$('#drill-name').value = 'Sixths';
+            page.$$('#drill-intervals input').filter(i => i.value.endsWith(' Sixth')).forEach(i => { i.checked = true; });
+            page.$('#drill-playback input[value="ascending"]').checked = false;
+            page.$('#drill-playback input[value="harmonic"]').checked = true;
+            page.$('#drill-options').value = '2';
+            page.$('#drill-length').value = '5';
+            page.click('#save-drill-button');
+            TestRunner.assertEqual(Object.keys(page.get('MetaMind.Storage.load(DRILL_STORAGE_KEY, {})')).join(), 'Sixths');
+            assertCleanPage(page);
+
+            // Another visit lists the preset and launches it
+            const next = loadPage('music_theory.html', { search: '?seed=11', storage });
+            next.click('#drill-button');
+            TestRunner.assertEqual(next.$$('#drill-presets option').map(o => o.value).join(), ',Sixths');
+            const menu = next.$('#drill-presets');
+            menu.value = 'Sixths';
+            menu.dispatchEvent(new next.window.Event('change'));
+            TestRunner.assertEqual(next.$('#drill-name').value, 'Sixths');
+            next.click('#start-drill-button');
+            TestRunner.assert(next.isVisible('#game-screen'), 'Drill not started');
+
+            for (let i = 0; i < 5; i++) {
+                const challenge = next.get('gameState.currentChallenge');
+                TestRunner.assert(['Minor Sixth', 'Major Sixth'].includes(challenge.name), `${challenge.name} is not in the drill`);
+                TestRunner.assertEqual(challenge.presentation, 'harmonic');
+                TestRunner.assertEqual(next.$$('.option-button').map(b => b.dataset.option).sort().join(), 'Major Sixth,Minor Sixth');
+                next.click(`.option-button[data-option="${challenge.name}"]`);
+                next.click('#submit-button');
+                next.click('#next-button');
+            }
+            TestRunner.assert(next.isVisible('#results-screen'), 'Drill length not used');
+            TestRunner.assertEqual(next.get('gameState.categoryStats.intervals.correct'), 5);
+
+            // The regular game goes back to the level table
+            next.click('#restart-button');
+            next.click('#start-button');
+            TestRunner.assertEqual(next.get('gameState.drill'), null);
+            TestRunner.assertEqual(next.get('gameState.totalChallenges'), 10);
+            assertCleanPage(next);
+        });
+
+        TestRunner.test('Construction mode checks chords and scales built on the piano', () => {
+            // Keys are spelled for the chord or scale asked for
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            const answer = (variant, rootNote, intervals) => page.get(`(() => {
+                const challenge = { type: 'construction', variant: '${variant}', rootNote: ${rootNote}, notes: [${intervals}].map(i => ${rootNote} + i) };
+                return challenge.notes.map(note => constructionNoteName(challenge, note)).join(' ');
+            })()`);
+            TestRunner.assertEqual(answer('chords', 61, [0, 3, 7]), 'C♯4 E4 G♯4');
+            TestRunner.assertEqual(answer('chords', 61, [0, 4, 7]), 'D♭4 F4 A♭4');
+            TestRunner.assertEqual(answer('scales', 64, [0, 2, 4, 6, 7, 9, 11]), 'E4 F♯4 G♯4 A♯4 B4 C♯5 D♯5');
+
+            page.$('#mode-select').value = 'construction';
+            page.click('#start-button');
+            for (let i = 0; i < 100 && page.get('gameState.currentChallenge.variant') !== 'chords'; i++) {
+                page.get('generateChallenge()');
+            }
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.type, 'construction');
+            TestRunner.assert(challenge.notes.every(note => note >= 48 && note <= 71), `${challenge.notes} is off the piano`);
+            const root = challenge.correctAnswer.split(' ')[0];
+            TestRunner.assertContains(page.$('#challenge-message').textContent,
+                `${root.replace(/\d+$/, '')} ${challenge.name.toLowerCase()} chord on the piano from ${root}`);
+
+            // Nothing selected yet
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.dialogs.map(d => d.message).join(), 'Select the notes on the piano first');
+
+            // Keys toggle; build it with the fifth left out and a wrong key instead
+            const [first, third] = challenge.notes;
+            const wrong = third + 1;
+            [first, third, wrong, wrong, wrong].forEach(note => page.click(`#piano-container .piano-key[data-note="${note}"]`));
+            TestRunner.assertEqual(page.$$('#piano-container .key-selected').map(k => Number(k.dataset.note)).sort((a, b) => a - b).join(), [first, third, wrong].join());
+            TestRunner.assertEqual(page.$$('.dictation-slot').length, 3);
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.$('#feedback-message').textContent, 'Incorrect!');
+            TestRunner.assertContains(page.$('#correct-answer').textContent, `The correct answer was: ${challenge.correctAnswer} - you played`);
+            TestRunner.assert(page.isVisible('#feedback-piano'), 'Feedback piano hidden');
+            const marked = className => page.$$(`#feedback-piano .${className}`).map(k => Number(k.dataset.note)).sort((a, b) => a - b).join();
+            TestRunner.assertEqual(marked('key-correct'), [first, third].join());
+            TestRunner.assertEqual(marked('key-wrong'), String(wrong));
+            TestRunner.assertEqual(marked('key-missing'), challenge.notes.slice(2).join());
+            assertCleanPage(page);
+
+            // With any octave accepted, the same notes elsewhere on the piano count (one from a MIDI keyboard)
+            const access = createMIDIAccess([{ id: 'usb-1', name: 'USB Keys' }]);
+            const next = loadPage('music_theory.html', { search: '?seed=11', midi: access });
+            next.$('#mode-select').value = 'construction';
+            next.$('#any-octave-toggle').checked = true;
+            next.click('#start-button');
+            const menu = next.$('#midi-input');
+            menu.value = 'usb-1';
+            menu.dispatchEvent(new next.window.Event('change'));
+            const target = next.get('gameState.currentChallenge');
+            TestRunner.assertContains(next.$('#challenge-message').textContent, '(any octave)');
+            const moved = target.notes.map(note => (note - 12 >= 48 ? note - 12 : note + 12));
+            moved.slice(1).forEach(note => next.click(`#piano-container .piano-key[data-note="${note}"]`));
+            access.inputs.get('usb-1').receive([0x90, moved[0], 100]);
+            access.inputs.get('usb-1').receive([0x80, moved[0], 0]);
+            next.click('#submit-button');
+            TestRunner.assertEqual(next.$('#feedback-message').textContent, 'Correct!');
+            TestRunner.assertEqual(next.get('gameState.categoryStats.construction.correct'), 1);
+            TestRunner.assertEqual(next.$$('#feedback-piano .key-correct').length, moved.length);
+            assertCleanPage(next);
+        });
+
+        TestRunner.test('Saved settings are read once storage has switched to IndexedDB', () => {
+            const db = createIndexedDB({
+                metamind_music_theory_instrument: '"organ"',
+                metamind_music_theory_review: '{"scales:Major":{"box":3,"due":0,"seen":2,"correct":2}}',
+                metamind_music_theory_drills: '{"Thirds":{"name":"Thirds","scales":[],"intervals":["Major Third"],"chords":[],"playback":["ascending"],"options":2,"length":5}}'
+            });
+            const page = loadPage('music_theory.html', { indexedDB: db });
+            page.click('#drill-button');
+            page.click('#drill-back-button');
+            page.click('#start-button');
+            TestRunner.assert(!page.isVisible('#game-screen'), 'Started before storage was ready');
+
+            page.advance(0);
+            TestRunner.assertEqual(page.get('MetaMind.Storage.backend.name'), 'indexedDB');
+            TestRunner.assert(page.isVisible('#game-screen'), 'Game not started');
+            TestRunner.assertEqual(page.$('#instrument-select').value, 'organ');
+            TestRunner.assertEqual(page.get("reviewItems['scales:Major'].box"), 3);
+            TestRunner.assertEqual(page.$$('#drill-presets option').map(o => o.value).join(), ',Thirds');
+
+            // Saving keeps what was there
+            const select = page.$('#instrument-select');
+            select.value = 'sine';
+            select.dispatchEvent(new page.window.Event('change'));
+            page.advance(0);
+            const records = db.records();
+            TestRunner.assertEqual(records.metamind_music_theory_instrument, '"sine"');
+            TestRunner.assertContains(records.metamind_music_theory_drills, 'Thirds');
+            TestRunner.assertContains(records.metamind_music_theory_review, 'scales:Major');
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Notes are spelled for their key on the staff', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            const spell = (type, rootNote, intervals) => page.get(`(() => {
+                const challenge = { type: '${type}', rootNote: ${rootNote}, notes: ${JSON.stringify(intervals)}.map(i => ${rootNote} + i) };
+                return challenge.notes.map(noteSpeller(challenge)).map(spelledName).join();
+            })()`);
+            TestRunner.assertEqual(spell('scales', 66, [0, 2, 4, 5, 7, 9, 11]), 'F♯4,G♯4,A♯4,B4,C♯5,D♯5,E♯5');
+            TestRunner.assertEqual(spell('scales', 60, [0, 1, 3, 4, 6, 8, 10]), 'C4,D♭4,E♭4,F♭4,G♭4,A♭4,B♭4');
+            TestRunner.assertEqual(spell('chords', 63, [0, 3, 7]), 'E♭4,G♭4,B♭4');
+            TestRunner.assertEqual(spell('chords', 60, [0, 4, 8]), 'C4,E4,G♯4');
+            TestRunner.assertEqual(spell('progressions', 66, [-1, 8, 15]), 'E♯4,D5,A5');
+            TestRunner.assertEqual(spell('intervals', 71, [0, 12]), 'B4,B5');
+            const interval = (name, rootNote) => page.get(`(() => {
+                const challenge = { type: 'reading', variant: 'intervals', name: '${name}', rootNote: ${rootNote}, notes: [${rootNote}, ${rootNote} + musicData.intervals['${name}']] };
+                return challenge.notes.map(noteSpeller(challenge)).map(spelledName).join();
+            })()`);
+            TestRunner.assertEqual(interval('Augmented Eleventh', 48), 'C3,F♯4');
+            TestRunner.assertEqual(interval('Tritone', 60), 'C4,G♭4');
+            TestRunner.assertEqual(interval('Minor Thirteenth', 50), 'D3,B♭4');
+            TestRunner.assertEqual(interval('Double Octave', 50), 'D3,D5');
+            
+            // Naturals cancel an earlier accidental in the bar; middle C takes a ledger line
+            page.get(`elements.feedbackStaff.innerHTML = ''`);
+            page.get(`drawChallengeStaff(elements.feedbackStaff, { type: 'scales', rootNote: 60, notes: [60, 62, 64, 65, 67, 68, 69, 71] })`);
+            TestRunner.assertEqual(page.$$('#feedback-staff .accidental').map(a => a.textContent).join(), '♭,♮');
+            TestRunner.assertEqual(page.$$('#feedback-staff .staff-note[data-note="C4"] .ledger-line').length, 1);
+            TestRunner.assertEqual(page.$$('#feedback-staff .clef').length, 1);
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('The feedback screen writes out the answered challenge', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.get('gameState.level = 3');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'chords'; i++) {
+                page.get('generateChallenge()');
+            }
+            TestRunner.assert(!page.isVisible('#challenge-staff'), 'Staff gives away a listening challenge');
+            page.click(`.option-button[data-option="${page.get('gameState.currentChallenge.correctAnswer')}"]`);
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.$$('#feedback-staff .staff-note').length, page.get('gameState.currentChallenge.notes.length'));
+            const xs = page.$$('#feedback-staff .note-head').map(head => Number(head.getAttribute('cx')));
+            TestRunner.assert(xs.every(x => x <= xs[0] + 12), `Chord ${xs} not stacked`);
+
+            // Progressions put their bass notes on a bass staff
+            page.click('#next-button');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'progressions'; i++) {
+                page.get('generateChallenge()');
+            }
+            page.click(`.option-button[data-option="${page.get('gameState.currentChallenge.correctAnswer')}"]`);
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.$$('#feedback-staff .clef').map(c => c.getAttribute('class')).join(), 'clef clef-treble,clef clef-bass');
+            TestRunner.assertEqual(page.$$('#feedback-staff .staff-note').length, page.get('gameState.currentChallenge.notes.length'));
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Reading challenges are named from the staff', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.$('#reading-toggle').checked = true;
+            page.click('#start-button');
+            for (let i = 0; i < 50 && page.get('gameState.currentChallenge.type') !== 'reading'; i++) {
+                page.get('generateChallenge()');
+            }
+            const challenge = page.get('gameState.currentChallenge');
+            TestRunner.assertEqual(challenge.variant, 'scales');
+            TestRunner.assert(page.isVisible('#challenge-staff'), 'Staff hidden');
+            TestRunner.assertEqual(page.$$('#challenge-staff .staff-note').length, challenge.notes.length);
+            TestRunner.assertEqual(page.$('#challenge-message').textContent, 'Name the scale written on the staff');
+            TestRunner.assert(page.$$('.option-button').every(b => page.get('scalesUpToTier(1)').includes(b.dataset.option)),
+                'Options are not scales');
+
+            page.click('#play-button');
+            TestRunner.assertEqual(page.$$('.piano-key.key-active').length, 0);
+            page.click(`.option-button[data-option="${challenge.correctAnswer}"]`);
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.get('gameState.categoryStats.reading.correct'), 1);
+            TestRunner.assertEqual(page.get('gameState.categoryStats.scales.total'), page.get('gameState.challengeCount') - page.get('gameState.categoryStats.reading.total'));
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Submitting without a choice asks for one', () => {
+            const page = loadPage('music_theory.html', { search: '?seed=11' });
+            page.click('#start-button');
+            page.click('#submit-button');
+            TestRunner.assertEqual(page.dialogs.map(d => d.message).join(), 'Please select an option first');
+            TestRunner.assert(page.isVisible('#game-screen'), 'Left the game screen');
+            TestRunner.assertEqual(page.sessions.length, 0, 'Saved sessions.');
+        });
+    },
+
+    psychoacoustic_wizard() {
+        const lanes = ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ'];
+
+        TestRunner.test('Hitting every note on the beat clears the pattern perfectly', () => {
+            const page = loadPage('psychoacoustic_wizard.html');
+            page.click('#start-button');
+
+            const notes = page.get('gameState.notes').map(n => ({ lane: n.lane, time: n.time }));
+            TestRunner.assertEqual(notes.length, 8, 'Level 1 notes.');
+            notes.forEach(note => {
+                page.advance(Math.round((note.time - page.get('MetaMind.Audio.now()')) * 1000));
+                page.press(lanes[note.lane]);
+            });
+            TestRunner.assertEqual(page.get('gameState.score'), 8 * 300, 'Score.');
+            TestRunner.assertEqual(page.get('gameState.combo'), 8, 'Combo.');
+
+            page.advance(100);
+            TestRunner.assertEqual(page.get('gameState.level'), 2, 'Level after a clean pattern.');
+            TestRunner.assertEqual(page.get('gameState.perfectPatterns'), 1, 'Perfect patterns.');
+
+            // Hits log their offset from the beat, not a reaction time
+            const hits = page.get("MetaMind.Progress.getTrials('psychoacoustic_wizard')");
+            TestRunner.assertEqual(hits.length, 8, 'Trials.');
+            TestRunner.assert(hits.every(trial => trial.reactionTime === null), 'Offset logged as a reaction time');
+            TestRunner.assert(hits.every(trial => Math.abs(trial.details.offsetMs) <= 1), 'Offsets.');
+
+            page.press('Escape', 'Escape');
+            TestRunner.assert(page.isVisible('#pause-screen'), 'Pause screen hidden');
+            page.click('#resume-button');
+            page.get('endGame()');
+            TestRunner.assert(page.isVisible('#results-screen'), 'Results screen hidden');
+            TestRunner.assertEqual(JSON.stringify(page.sessions[0].data),
+                JSON.stringify({ score: 2400, level: 2, accuracy: 100, maxCombo: 8 }));
+            assertCleanPage(page);
+        });
+
+        TestRunner.test('Pausing freezes the audio clock and missed notes reset the combo', () => {
+            const page = loadPage('psychoacoustic_wizard.html');
+            page.click('#start-button');
+            page.advance(1000);
+
+            page.press('Escape', 'Escape');
+            const frozen = page.get('MetaMind.Audio.now()');
+            page.advance(10000);
+            TestRunner.assertEqual(page.get('MetaMind.Audio.now()'), frozen, 'Audio clock ran while paused.');
+            TestRunner.assertEqual(page.get('gameState.notesMissed'), 0, 'Notes missed while paused.');
+
+            // The last level 1 note is due 10s into the session
+            page.click('#resume-button');
+            page.advance(9500);
+            TestRunner.assertEqual(page.get('gameState.notesMissed'), 8, 'Missed notes.');
+            TestRunner.assertEqual(page.get('gameState.combo'), 0, 'Combo.');
+            TestRunner.assertEqual(page.get('gameState.level'), 1, 'Level.');
+            assertCleanPage(page);
+        });
+    },
+
+    neural_synthesis() {
+        TestRunner.test('Three reproduced patterns advance a level and Reset saves them', () => {
+            const page = loadPage('neural_synthesis.html', { search: '?seed=5' });
+            const phase = () => page.get('neuralSynthesis.state.phase');
+            page.click('#start-button');
+            let score = 0;
+            let correctTrials = 0;
+            let accuracy = 0;
+
+            for (let round = 0; round < 3; round++) {
+                if (round > 0) page.click('#start-button');
+                page.advanceUntil(() => phase() === 'reproduction');
+                const sequence = page.get('neuralSynthesis.state.currentPattern.sequence').map(([v, a]) => [v, a]);
+                const cells = page.$$('.grid-cell');
+                sequence.forEach(([visual]) => page.click(cells[visual]));
+                page.advance(300);
+                TestRunner.assertEqual(phase(), 'feedback', 'Phase after reproducing.');
+
+                // A clicked cell is paired with the first note shown in it
+                const correct = sequence.filter(([visual, audio]) => sequence.find(([v]) => v === visual)[1] === audio).length;
+                accuracy = correct / sequence.length;
+                if (accuracy >= 0.8) score += 10 * accuracy;
+                else if (accuracy >= 0.5) score += 5 * accuracy;
+                if (accuracy >= 0.8) correctTrials++;
+            }
+            TestRunner.assertEqual(page.get('neuralSynthesis.state.level'), accuracy >= 0.7 ? 2 : 1, 'Level.');
+            const seed = page.get('neuralSynthesis.state.seed');
+
+            page.click('#reset-button');
+            TestRunner.assertEqual(phase(), 'ready', 'Phase after reset.');
+            TestRunner.assertEqual(JSON.stringify(page.sessions[0].data), JSON.stringify({
+                score: Math.floor(score),
+                level: accuracy >= 0.7 ? 2 : 1,
+                accuracy: Math.round((correctTrials / 3) * 100),
+                seed,
+                daily: false
+            }));
+            assertCleanPage(page);
+        });
+    }
+};
+
+function runBehaviorTests(manifest) {
+    const play = behaviorTests[manifest.id];
+    if (!play) return;
+    TestRunner.suite(`${manifest.title} Behavior`, play);
+}
+
 // ============================================
 // INTEGRATION TESTS
 // ============================================
 
 function runIntegrationTests() {
     TestRunner.suite('Integration', () => {
-        TestRunner.test('All modules reference core.js', () => {
-            const htmlFiles = [
-                'symbol_memory.html',
-                'morph_matrix.html',
-                'expand_vision.html'
-            ];
+        const { Modules } = loadCore();
 
-            htmlFiles.forEach(file => {
+        TestRunner.test('All modules reference core.js', () => {
+            Modules.list().map(m => m.entry).forEach(file => {
                 const content = fs.readFileSync(path.join(__dirname, file), 'utf8');
                 TestRunner.assertContains(content, 'core.js',
                     `${file} missing core.js reference`);
@@ -330,11 +2239,15 @@ function runIntegrationTests() {
             });
         });
 
-        TestRunner.test('Index.html links to all modules', () => {
+        TestRunner.test('Index.html lists modules from the registry', () => {
             const content = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
-            TestRunner.assertContains(content, 'symbol_memory.html');
-            TestRunner.assertContains(content, 'morph_matrix.html');
-            TestRunner.assertContains(content, 'expand_vision.html');
+            TestRunner.assertContains(content, 'modules.js');
+            TestRunner.assertContains(content, 'id="module-list"');
+        });
+
+        TestRunner.test('Registry has the shipped modules', () => {
+            ['symbol_memory', 'morph_matrix', 'expand_vision', 'music_theory', 'psychoacoustic_wizard', 'neural_synthesis']
+                .forEach(id => TestRunner.assertNotNull(Modules.get(id), `${id} not registered`));
         });
     });
 }
@@ -380,10 +2293,14 @@ function main() {
 
     // Run all test suites
     runCoreTests();
+    runCoreBehaviorTests();
 
-    runModuleTests('Symbol Memory', 'symbol_memory.js', 'symbol_memory.html', 'symbol_memory.css');
-    runModuleTests('Morph Matrix', 'morph_matrix.js', 'morph_matrix.html', 'morph_matrix.css');
-    runModuleTests('Expand Vision', 'expand_vision.js', 'expand_vision.html', 'expand_vision.css');
+    loadCore().Modules.list()
+        .filter(manifest => !CONFIG.targetModule || manifest.id === CONFIG.targetModule)
+        .forEach(manifest => {
+            runModuleTests(manifest);
+            runBehaviorTests(manifest);
+        });
 
     runIntegrationTests();
     runSecurityTests();